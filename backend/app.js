@@ -11,13 +11,19 @@
 require('dotenv').config(); // Chargement des variables d'environnement
 
 const express = require('express');     // Framework web Express
-const mongoose = require('mongoose');   // ODM pour MongoDB
-const path = require('path');           // Gestion des chemins de fichiers
+const database = require('./utils/database'); // Connexion MongoDB
 const cors = require('cors');           // Middleware CORS
 const rateLimit = require('express-rate-limit'); // Middleware de limitation de débit
 
 const userRoutes = require('./routes/user'); // Routes utilisateur (auth)
 const bookRoutes = require('./routes/book'); // Routes livres
+const profileRoutes = require('./routes/profile'); // Routes profils utilisateurs
+const shelfRoutes = require('./routes/shelf'); // Routes étagères de lecture
+const listRoutes = require('./routes/list'); // Routes listes de livres
+const authorRoutes = require('./routes/author'); // Routes auteurs
+const genreRoutes = require('./routes/genre'); // Routes genres
+const adminRoutes = require('./routes/admin'); // Routes d'administration (modération)
+const storage = require('./services/storage'); // Stockage des fichiers (local ou S3)
 
 const app = express();
 
@@ -30,16 +36,15 @@ app.use(express.json());
 /**
  * Middleware CORS
  * Autorise les requêtes cross-origin (ex: frontend sur localhost:3000)
+ * L'en-tête ETag est exposé au frontend (requêtes conditionnelles If-Match)
  */
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 
 /**
  * Connexion à la base de données MongoDB via Mongoose.
  * L'URI est stockée dans le fichier .env pour des raisons de sécurité.
  */
-mongoose.connect(
-    `mongodb+srv://${process.env.MONGO_USER}:${encodeURIComponent(process.env.MONGO_PASSWORD)}@${process.env.MONGO_CLUSTER}/${process.env.MONGO_DB}`
-)
+database.connect()
     .then(() => console.log('Connexion à MongoDB réussie !'))
     .catch((error) => console.log('Connexion à MongoDB échouée !', error));
 
@@ -55,8 +60,12 @@ app.use('/api/auth', rateLimit({
 /**
  * Middleware pour servir les fichiers images statiques
  * Les images sont accessibles via /images/nom_du_fichier
+ * (uniquement avec le stockage local : avec S3, les images sont servies par le bucket)
  */
-app.use('/images', express.static(path.join(__dirname, 'images')));
+const imagesDirectory = storage.localDirectory();
+if (imagesDirectory) {
+    app.use('/images', express.static(imagesDirectory));
+}
 
 /**
  * Routes d'authentification
@@ -70,6 +79,37 @@ app.use('/api/auth', userRoutes);
  */
 app.use('/api/books', bookRoutes);
 
+/**
+ * Routes des auteurs et des genres
+ * Préfixes : /api/authors et /api/genres
+ */
+app.use('/api/authors', authorRoutes);
+app.use('/api/genres', genreRoutes);
+
+/**
+ * Routes des listes de livres
+ * Préfixe : /api/lists
+ */
+app.use('/api/lists', listRoutes);
+
+/**
+ * Routes des étagères de lecture de l'utilisateur connecté
+ * Préfixe : /api/users/me/shelves (déclarées avant /api/users/:id)
+ */
+app.use('/api/users/me/shelves', shelfRoutes);
+
+/**
+ * Routes des profils utilisateurs
+ * Préfixe : /api/users
+ */
+app.use('/api/users', profileRoutes);
+
+/**
+ * Routes d'administration (modérateurs et administrateurs)
+ * Préfixe : /api/admin
+ */
+app.use('/api/admin', adminRoutes);
+
 /**
  * Middleware de gestion des erreurs
  * Ce middleware doit être défini après tous les autres middlewares et routes
@@ -0,0 +1,231 @@
+/**
+ * Controller d'administration
+ *
+ * Ce fichier contient la logique métier réservée aux modérateurs et administrateurs :
+ * - lister les utilisateurs
+ * - suspendre (bannir) et réactiver un utilisateur
+ * - changer le rôle d'un utilisateur (administrateurs uniquement)
+ * - consulter le journal d'audit (administrateurs uniquement)
+ *
+ * Chaque action de modération sur un compte est enregistrée dans le journal d'audit.
+ * La suppression de n'importe quel livre ou note réutilise les controllers
+ * des livres (deleteBook, deleteRating), montés sur les routes d'administration.
+ */
+
+const User = require('../models/User'); // Modèle Mongoose User
+const AuditLog = require('../models/AuditLog'); // Journal d'audit
+const { throwError } = require('../utils/errorHandler'); // Module pour gérer les erreurs
+const { revokeAllSessions } = require('../utils/tokens'); // Révocation des sessions
+const audit = require('../utils/audit'); // Journal d'audit des événements sensibles
+
+/**
+ * Champs d'un utilisateur visibles par l'administration (jamais le mot de passe)
+ */
+const ADMIN_USER_FIELDS = 'email displayName avatarKey avatarUrl verified role banned bannedAt';
+
+/**
+ * Vérifie que l'utilisateur connecté peut agir sur l'utilisateur cible
+ * - personne ne peut agir sur son propre compte
+ * - seul un administrateur peut agir sur un modérateur ou un administrateur
+ */
+const checkCanModerate = (req, target) => {
+    if (target._id.toString() === req.auth.userId) {
+        throwError(req, 400, 'Action impossible sur votre propre compte');
+    }
+    if (target.role !== 'user' && req.auth.role !== 'admin') {
+        throwError(req, 403, 'Requête non autorisée');
+    }
+};
+
+
+/**
+ * Lister les utilisateurs
+ * GET /api/admin/users?page=&limit=&role=&banned=
+ *
+ * Réponse : { users, page, limit, total, totalPages }
+ */
+exports.listUsers = async (req, res, next) => {
+    try {
+        const { page, limit } = req.pagination;
+
+        // Filtres optionnels
+        const query = {};
+        if (['user', 'moderator', 'admin'].includes(req.query.role)) {
+            query.role = req.query.role;
+        }
+        if (req.query.banned === 'true' || req.query.banned === 'false') {
+            query.banned = req.query.banned === 'true';
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(query, ADMIN_USER_FIELDS)
+                .sort({ _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            User.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            users,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Suspendre un utilisateur
+ * POST /api/admin/users/:id/ban
+ *
+ * - l'utilisateur ne peut plus se connecter
+ * - toutes ses sessions sont révoquées immédiatement
+ */
+exports.banUser = async (req, res, next) => {
+    try {
+        const user = await User.findOne({ _id: req.params.id });
+        if (!user) {
+            throwError(req, 404, 'Utilisateur non trouvé');
+        }
+
+        checkCanModerate(req, user);
+
+        user.banned = true;
+        user.bannedAt = new Date();
+        await user.save();
+
+        await revokeAllSessions(user._id);
+
+        await audit(req, 'user.banned', { targetType: 'user', targetId: user._id, details: { email: user.email } });
+
+        res.status(200).json({ message: 'Utilisateur suspendu' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Réactiver un utilisateur suspendu
+ * DELETE /api/admin/users/:id/ban
+ */
+exports.unbanUser = async (req, res, next) => {
+    try {
+        const user = await User.findOne({ _id: req.params.id });
+        if (!user) {
+            throwError(req, 404, 'Utilisateur non trouvé');
+        }
+
+        checkCanModerate(req, user);
+
+        user.banned = false;
+        user.bannedAt = null;
+        await user.save();
+
+        await audit(req, 'user.unbanned', { targetType: 'user', targetId: user._id, details: { email: user.email } });
+
+        res.status(200).json({ message: 'Utilisateur réactivé' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Changer le rôle d'un utilisateur (administrateurs uniquement)
+ * PUT /api/admin/users/:id/role
+ * Body : { role: "user" | "moderator" | "admin" }
+ *
+ * Le rôle est inclus dans le token d'accès : en cas de changement, toutes les sessions
+ * de l'utilisateur sont révoquées, pour qu'un modérateur ou un administrateur rétrogradé
+ * perde ses droits immédiatement. Le nouveau rôle s'applique à sa prochaine connexion.
+ */
+exports.setRole = async (req, res, next) => {
+    try {
+        const { role } = req.body;
+        if (!['user', 'moderator', 'admin'].includes(role)) {
+            throwError(req, 400, 'Rôle invalide');
+        }
+
+        const user = await User.findOne({ _id: req.params.id });
+        if (!user) {
+            throwError(req, 404, 'Utilisateur non trouvé');
+        }
+
+        checkCanModerate(req, user);
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+
+        // Les tokens d'accès en cours portent encore l'ancien rôle
+        if (previousRole !== role) {
+            await revokeAllSessions(user._id);
+        }
+
+        await audit(req, 'user.role_changed', {
+            targetType: 'user',
+            targetId: user._id,
+            details: { email: user.email, from: previousRole, to: role }
+        });
+
+        res.status(200).json({ message: 'Rôle modifié', role: user.role });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Consulter le journal d'audit, de l'événement le plus récent au plus ancien (administrateurs uniquement)
+ * GET /api/admin/audit?event=&userId=&targetId=&from=&to=&page=&limit=
+ * Filtres validés en amont par validateAuditQuery (req.auditQuery).
+ * Réponse : { entries: [{ _id, event, userId, targetType, targetId, ip, details, createdAt }], page, limit, total, totalPages }
+ */
+exports.listAuditLog = async (req, res, next) => {
+    try {
+        const { event, userId, targetId, from, to, page, limit } = req.auditQuery;
+
+        const query = {};
+        if (event) {
+            query.event = event;
+        }
+        if (userId) {
+            query.userId = userId;
+        }
+        if (targetId) {
+            query.targetId = targetId;
+        }
+        if (from || to) {
+            query.createdAt = {};
+            if (from) {
+                query.createdAt.$gte = from;
+            }
+            if (to) {
+                query.createdAt.$lte = to;
+            }
+        }
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            entries,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Controller des auteurs
+ *
+ * Recherche, page auteur et fusion : voir controllers/taxonomy.js
+ */
+
+const Author = require('../models/Author'); // Modèle Mongoose Author
+const taxonomy = require('./taxonomy'); // Controllers communs aux auteurs et aux genres
+
+module.exports = taxonomy({
+    Model: Author,
+    field: 'author',
+    listKey: 'authors',
+    notFoundMessage: 'Auteur non trouvé',
+    bookSort: { year: 1, _id: 1 } // bibliographie, de la plus ancienne publication à la plus récente
+});
@@ -3,36 +3,178 @@
  *
  * Ce fichier contient la logique métier liée aux livres.
  * Il gère les opérations suivantes :
- * - récupérer tous les livres
- * - récupérer un livre par son id
+ * - récupérer les livres (paginés, filtrés et triés)
+ * - rechercher des livres (plein texte sur titre, auteur et genre)
+ * - récupérer un livre par son id, et les autres éditions de la même œuvre
  * - récupérer les 3 livres les mieux notés
- * - créer un nouveau livre (avec gestion de l'image et des notes à la création)
+ * - créer un nouveau livre (avec gestion de l'image, des notes à la création et des doublons)
  * - modifier un livre existant (avec remplacement de l'image si besoin)
- * - supprimer un livre (avec suppression de l'image associée)
+ * - consulter l'historique des modifications d'un livre et revenir à une révision
+ * - supprimer un livre (mise à la corbeille), lister la corbeille et restaurer un livre
  * - noter un livre (en empêchant les notes multiples du même utilisateur)
+ * - modifier ou retirer sa propre note (moyenne recalculée de façon atomique)
+ * - lister les avis écrits d'un livre (paginés, du plus récent au plus ancien)
  *
  * La sécurité est assurée par :   
  * - l'utilisation de req.auth.userId (extrait du token JWT) pour identifier l'utilisateur
- * - la vérification que l'utilisateur est le propriétaire du livre avant modification/suppression
+ * - le middleware requireOwnerOrRole, qui réserve modification/suppression au propriétaire
+ *   du livre ou à un modérateur/administrateur (livre chargé dans req.resource)
  * - la validation des données sensibles (notes, userId) côté serveur
- * - l'optimisation des images avec Sharp pour éviter les fichiers trop lourds
+ * - le contrôle de concurrence optimiste (ETag / If-Match) : un livre modifié entre-temps
+ *   n'est pas écrasé par un enregistrement basé sur une version périmée
+ * - l'optimisation des images avec Sharp (plusieurs tailles, AVIF/WebP/JPEG) pour éviter les fichiers trop lourds
  */
 
 
+const mongoose = require('mongoose');
 const Book = require('../models/Book'); // Modèle Mongoose Book
-const fs = require('fs'); // Module pour gérer les fichiers (suppression d'images)
-const sharp = require('sharp'); // Module pour traiter les images (redimensionnement)
-const path = require('path'); // Module pour gérer les chemins de fichiers
+const User = require('../models/User'); // Modèle Mongoose User (auteurs des avis, éditeurs)
+const Author = require('../models/Author'); // Auteurs (slug de la page auteur)
+const Genre = require('../models/Genre'); // Genres (slug de la page genre)
+const BookRevision = require('../models/BookRevision'); // Historique des modifications des livres
+const { createCoverVariants, deleteCoverFiles, coverUrls } = require('../utils/coverImages'); // Variantes des couvertures
 const { throwError } = require('../utils/errorHandler'); // Module pour gérer les erreurs de validation
+const escapeRegex = require('../utils/escapeRegex'); // Échappement des saisies utilisées dans les regex
+const accentRegex = require('../utils/accentRegex'); // Regex insensible aux accents (recherche)
+const displayName = require('../utils/displayName'); // Nom public d'un utilisateur
+const avatarUrl = require('../utils/avatarUrl'); // URL publique de l'avatar d'un utilisateur
+const workKey = require('../utils/workKey'); // Clé commune aux éditions d'une même œuvre
+const { STAFF_ROLES } = require('../middleware/authorize'); // Rôles de modération (corbeille)
+const { purgeDate } = require('../utils/trash'); // Date de purge des livres de la corbeille
+const { linkAuthorAndGenre } = require('../utils/bookEntities'); // Documents Author et Genre des livres
+const { coverOf, diffBook, recordRevision } = require('../utils/bookRevisions'); // Historique des livres
+const audit = require('../utils/audit'); // Journal d'audit des événements sensibles
+const { bookEtag, etagMatches } = require('../utils/etag'); // ETag des livres (requêtes conditionnelles)
+const { VERSION_CONFLICT_MESSAGE } = require('../middleware/conditional'); // Livre modifié entre-temps (412)
+const { ratingStats, ratingStatsExpressions, ratingStatsStage } = require('../utils/ratingScore'); // Moyenne, nombre de notes, score bayésien
 
 /**
- * Récupérer tous les livres
- * GET /api/books
+ * Correspondance entre les tris acceptés et les champs MongoDB
+ * - recent : l'_id MongoDB contient la date de création du document
+ */
+const SORT_FIELDS = {
+    title: 'title',
+    year: 'year',
+    averageRating: 'averageRating',
+    recent: '_id'
+};
+
+/**
+ * Champs renvoyés pour décrire un doublon probable ou une autre édition
+ */
+const EDITION_FIELDS = 'title author year isbn publishingHouse language edition';
+
+/**
+ * Prépare la détection des doublons d'un livre créé ou modifié
+ * - calcule la clé de l'œuvre (titre + auteur normalisés)
+ * - rejette (409) un ISBN déjà enregistré pour un autre livre (corbeille comprise)
+ * - renvoie les livres de la même œuvre : doublons probables, ou autres éditions
+ *
+ * excludeId : livre modifié, à ne pas comparer avec lui-même
+ */
+const checkDuplicates = async (req, bookObject, excludeId = null) => {
+    bookObject.workKey = workKey(bookObject.title, bookObject.author);
+
+    const others = excludeId ? { _id: { $ne: excludeId } } : {};
+
+    if (bookObject.isbn) {
+        // Les livres de la corbeille gardent leur ISBN (index unique) jusqu'à leur purge
+        const sameIsbn = await Book.findOne({ ...others, isbn: bookObject.isbn }, 'deletedAt')
+            .setOptions({ withDeleted: true });
+        if (sameIsbn) {
+            throwError(req, 409, sameIsbn.deletedAt
+                ? 'Un livre avec cet ISBN est dans la corbeille'
+                : 'Un livre avec cet ISBN existe déjà');
+        }
+    }
+
+    return Book.find({ ...others, workKey: bookObject.workKey }, EDITION_FIELDS).limit(5);
+};
+
+/**
+ * Filtre de version d'une mise à jour conditionnelle (If-Match vérifié par checkIfMatch)
+ * Sans If-Match, aucune condition. Les livres antérieurs au champ version sont en version 0.
+ */
+const versionFilter = (req) => {
+    if (req.expectedVersion === undefined) {
+        return {};
+    }
+    return { version: req.expectedVersion === 0 ? { $in: [0, null] } : req.expectedVersion };
+};
+
+/**
+ * Refus (412) d'une mise à jour conditionnelle : le livre a changé depuis la vérification
+ * de l'en-tête If-Match. L'ETag actuel est renvoyé pour permettre d'écraser en connaissance de cause.
+ */
+const throwVersionConflict = async (req, res, bookId) => {
+    const current = await Book.findOne({ _id: bookId }, 'version');
+    if (current) {
+        res.set('ETag', bookEtag(current));
+    }
+    throwError(req, 412, VERSION_CONFLICT_MESSAGE);
+};
+
+/**
+ * Erreur d'index unique MongoDB (deux créations simultanées avec le même ISBN)
+ */
+const isDuplicateIsbnError = (error) => error.code === 11000 && error.keyPattern && error.keyPattern.isbn;
+
+/**
+ * Récupérer les livres (paginés, filtrés et triés)
+ * GET /api/books?page=&limit=&sort=&order=&genre=&author=&tag=&yearMin=&yearMax=&minRating=
+ *
+ * Les paramètres sont validés en amont par validateBookQuery (req.listOptions).
+ * Réponse : { books, page, limit, total, totalPages }
  */
 exports.getAllBooks = async (req, res, next) => {
     try {
-        const books = await Book.find();
-        res.status(200).json(books);
+        const { page, limit, sort, order, filters } = req.listOptions;
+
+        // Construction du filtre MongoDB
+        const query = {};
+        if (filters.genre) {
+            // Genre exact, insensible à la casse
+            query.genre = new RegExp(`^${escapeRegex(filters.genre)}$`, 'i');
+        }
+        if (filters.author) {
+            // Auteur partiel, insensible à la casse (ex: "hugo")
+            query.author = new RegExp(escapeRegex(filters.author), 'i');
+        }
+        if (filters.tag) {
+            // Tag exact (les tags sont enregistrés en minuscules)
+            query.tags = filters.tag;
+        }
+        if (filters.yearMin !== undefined || filters.yearMax !== undefined) {
+            query.year = {};
+            if (filters.yearMin !== undefined) query.year.$gte = filters.yearMin;
+            if (filters.yearMax !== undefined) query.year.$lte = filters.yearMax;
+        }
+        if (filters.minRating !== undefined) {
+            query.averageRating = { $gte: filters.minRating };
+        }
+
+        // Tri principal + _id en second critère pour une pagination stable
+        const direction = order === 'asc' ? 1 : -1;
+        const sortObject = { [SORT_FIELDS[sort]]: direction };
+        if (SORT_FIELDS[sort] !== '_id') {
+            sortObject._id = -1;
+        }
+
+        const [books, total] = await Promise.all([
+            Book.find(query)
+                .sort(sortObject)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Book.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            books,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
     } catch (error) {
         // Toute erreur technique est transmise au middleware global
         next(error);
@@ -40,9 +182,69 @@ exports.getAllBooks = async (req, res, next) => {
 };
 
 
+/**
+ * Rechercher des livres
+ * GET /api/books/search?q=&page=&limit=
+ *
+ * - Utilise l'index texte MongoDB (titre, auteur, genre), trié par pertinence
+ * - Les accents sont ignorés : "Gérard" trouve "Gerard" et inversement
+ * - Si l'index ne trouve rien (ex: mot incomplet pendant la saisie),
+ *   on se rabat sur une recherche partielle insensible aux accents
+ *
+ * Réponse : { books, page, limit, total, totalPages }
+ */
+exports.searchBooks = async (req, res, next) => {
+    try {
+        const { q, page, limit } = req.searchOptions;
+        const skip = (page - 1) * limit;
+
+        // Recherche plein texte, classée par score de pertinence
+        const textQuery = { $text: { $search: q } };
+        let [books, total] = await Promise.all([
+            Book.find(textQuery, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' } })
+                .skip(skip)
+                .limit(limit),
+            Book.countDocuments(textQuery)
+        ]);
+
+        // Repli : correspondance partielle sur titre, auteur ou genre
+        if (total === 0) {
+            const pattern = accentRegex(q);
+            const partialQuery = {
+                $or: [{ title: pattern }, { author: pattern }, { genre: pattern }]
+            };
+            [books, total] = await Promise.all([
+                Book.find(partialQuery)
+                    .sort({ title: 1 })
+                    .skip(skip)
+                    .limit(limit),
+                Book.countDocuments(partialQuery)
+            ]);
+        }
+
+        res.status(200).json({
+            books,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
 /**
  * Récupérer un livre par son id
  * GET /api/books/:id
+ *
+ * Le livre est accompagné du nom public de l'utilisateur qui l'a publié (publisher)
+ * et des slugs de ses pages auteur et genre (authorSlug, genreSlug : null pour un livre non migré)
+ *
+ * Requêtes conditionnelles : la réponse porte l'ETag de la version du livre ;
+ * avec If-None-Match égal à cet ETag, le livre n'a pas changé et la réponse est 304 (sans corps).
  */
 exports.getOneBook = async (req, res, next) => {
     try {
@@ -52,7 +254,32 @@ exports.getOneBook = async (req, res, next) => {
             throwError(req, 404, 'Livre non trouvé');
         }
 
-        res.status(200).json(book);
+        // Le navigateur revalide à chaque fois (no-cache), sans retélécharger un livre inchangé
+        const etag = bookEtag(book);
+        res.set({ ETag: etag, 'Cache-Control': 'no-cache' });
+
+        const ifNoneMatch = req.get('If-None-Match');
+        if (ifNoneMatch && etagMatches(ifNoneMatch, etag, { weak: true })) {
+            return res.status(304).end();
+        }
+
+        // Nom public de l'utilisateur qui a publié le livre, auteur et genre
+        const [publisher, author, genre] = await Promise.all([
+            User.findOne({ _id: book.userId }, { displayName: 1, avatarKey: 1, avatarUrl: 1 }),
+            book.authorId ? Author.findOne({ _id: book.authorId }, 'slug') : null,
+            book.genreId ? Genre.findOne({ _id: book.genreId }, 'slug') : null
+        ]);
+
+        res.status(200).json({
+            ...book.toJSON(),
+            authorSlug: author ? author.slug : null,
+            genreSlug: genre ? genre.slug : null,
+            publisher: {
+                userId: book.userId,
+                displayName: displayName(publisher),
+                avatarUrl: avatarUrl(publisher)
+            }
+        });
     } catch (error) {
         next(error); // Middleware global d'erreur gère la 500
     }
@@ -60,16 +287,90 @@ exports.getOneBook = async (req, res, next) => {
 
 
 /**
- * Récupérer les 3 livres les mieux notés
- * GET /api/books/bestrating
+ * Récupérer les autres éditions d'un livre
+ * GET /api/books/:id/editions
+ *
+ * Éditions = livres de la même œuvre (même titre et même auteur, une fois normalisés),
+ * de la plus ancienne à la plus récente.
+ */
+exports.getEditions = async (req, res, next) => {
+    try {
+        const book = await Book.findOne({ _id: req.params.id }, 'title author workKey');
+
+        if (!book) {
+            throwError(req, 404, 'Livre non trouvé');
+        }
+
+        const editions = await Book.find({
+            _id: { $ne: book._id },
+            workKey: book.workKey || workKey(book.title, book.author)
+        }).sort({ year: 1 });
+
+        res.status(200).json(editions);
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Récupérer les livres les mieux notés
+ * GET /api/books/bestrating?limit=&genre=&period=
+ *
+ * - classement sur le score bayésien (weightedRating) et non sur la moyenne brute :
+ *   un livre noté une seule fois 5/5 ne passe pas devant un livre noté cinquante fois 4,8
+ * - seuls les livres ayant au moins une note sont classés
+ * - period (week, month, year) : seules les notes données ou modifiées pendant la période comptent,
+ *   le score de la période est renvoyé dans periodRating
+ *
+ * Les paramètres sont validés en amont par validateBestRatingQuery (req.bestRatingOptions).
  */
 exports.getBestRatingBooks = async (req, res, next) => {
     try {
-        const books = await Book.find()
-            .sort({ averageRating: -1 }) // tri décroissant sur la note moyenne
-            .limit(3); // on limite à 3 résultats
+        const { limit, genre, since } = req.bestRatingOptions;
+
+        const query = { ratingsCount: { $gt: 0 } };
+        if (genre) {
+            // Genre exact, insensible à la casse (comme GET /api/books)
+            query.genre = new RegExp(`^${escapeRegex(genre)}$`, 'i');
+        }
+
+        // Sans période : le score enregistré avec le livre suffit
+        if (!since) {
+            const books = await Book.find(query)
+                .sort({ weightedRating: -1, _id: 1 })
+                .limit(limit);
 
-        res.status(200).json(books);
+            return res.status(200).json(books);
+        }
+
+        // Avec période : score recalculé sur les seules notes de la période
+        const ranking = await Book.aggregate([
+            { $match: { ...query, ratings: { $elemMatch: { updatedAt: { $gte: since } } } } },
+            {
+                $project: {
+                    periodRatings: {
+                        $filter: { input: '$ratings', as: 'r', cond: { $gte: ['$$r.updatedAt', since] } }
+                    }
+                }
+            },
+            { $project: { periodRating: ratingStatsExpressions('$periodRatings') } },
+            { $sort: { 'periodRating.weightedRating': -1, _id: 1 } },
+            { $limit: limit }
+        ]);
+
+        // Chargement des livres, dans l'ordre du classement
+        const books = await Book.find({ _id: { $in: ranking.map((entry) => entry._id) } });
+        const booksById = new Map(books.map((book) => [book._id.toString(), book]));
+
+        res.status(200).json(
+            ranking
+                .filter((entry) => booksById.has(entry._id.toString()))
+                .map((entry) => ({
+                    ...booksById.get(entry._id.toString()).toJSON(),
+                    periodRating: entry.periodRating
+                }))
+        );
     } catch (error) {
         next(error); // Middleware global gère la 500
     }
@@ -82,9 +383,9 @@ exports.getBestRatingBooks = async (req, res, next) => {
  *
  * - Accepte éventuellement une note à la création
  * - Si aucune note n'est fournie : ratings = [], averageRating = 0
- * - Si une note est fournie : on initialise ratings et averageRating
+ * - Si une note est fournie : on initialise ratings et les statistiques (moyenne, nombre, score)
  * - Ne fait pas confiance aux champs sensibles envoyés par le client
- * - Optimise l'image avec Sharp
+ * - Optimise l'image avec Sharp (variantes thumbnail/medium/large en AVIF, WebP et JPEG)
  */
 exports.createBook = async (req, res, next) => {
     try {
@@ -103,7 +404,6 @@ exports.createBook = async (req, res, next) => {
         const userId = req.auth.userId;
 
         let ratings = [];
-        let averageRating = 0;
 
         // Si le frontend a envoyé une note dans ratings[0].grade
         if (Array.isArray(bookObject.ratings) && bookObject.ratings.length > 0) {
@@ -112,7 +412,6 @@ exports.createBook = async (req, res, next) => {
             // Validation de la note (entre 1 et 5)
             if (typeof firstRating === 'number' && firstRating > 0 && firstRating <= 5) {
                 ratings = [{ userId: userId, grade: firstRating }];
-                averageRating = firstRating;
                 // Si la note est 0 ou invalide, on ignore : pas de note à la création
             }
         }
@@ -120,37 +419,60 @@ exports.createBook = async (req, res, next) => {
         // On supprime les champs sensibles envoyés par le client 
         delete bookObject.ratings;
         delete bookObject.averageRating;
+        delete bookObject.ratingsCount;
+        delete bookObject.weightedRating;
+        delete bookObject.images;
+        delete bookObject.imageKey;
+        delete bookObject.imageUrl;
+        delete bookObject.deletedAt;
+        delete bookObject.deletedBy;
+        delete bookObject.version;
 
-        // ===== Traitement de l'image avec Sharp =====
-        const outputFilename = `optimized_${Date.now()}.jpg`;
-        const outputPath = path.join('images', outputFilename);
-
-        await sharp(req.file.path)
-            .resize(400, 600, { // dimensions max et ajustement 
-                fit: 'cover',
-                position: 'centre'
-            })
-            .jpeg({ quality: 80 })  // compression
-            .toFile(outputPath);
-
-        // Suppression du fichier brut uploadé par Multer
-        fs.unlink(req.file.path, (err) => {
-            if (err) {
-                console.error('Erreur suppression fichier temporaire :', err);
-            }
-        });
+        // Auteur et genre : noms remplacés par ceux des documents Author et Genre (créés si besoin)
+        await linkAuthorAndGenre(bookObject);
+
+        // ===== Doublons : ISBN déjà enregistré (rejet) ou même titre et auteur (avertissement) =====
+        // Vérifié avant Sharp pour ne pas générer d'images inutiles
+        const duplicates = await checkDuplicates(req, bookObject);
+
+        // ===== Traitement de l'image avec Sharp (toutes les tailles et formats) =====
+        const { images, imageKey } = await createCoverVariants(req.file.buffer);
 
         // Création du livre
         const book = new Book({
             ...bookObject,
             userId: userId,
-            imageUrl: `${req.protocol}://${req.get('host')}/images/${outputFilename}`,
+            imageKey: imageKey,
+            images: images,
             ratings: ratings,
-            averageRating: averageRating
+            ...ratingStats(ratings)
         });
 
-        // Sauvegarde en base
-        await book.save();
+        // Sauvegarde en base : en cas d'échec, les variantes créées n'ont plus de livre
+        try {
+            await book.save();
+        } catch (error) {
+            await deleteCoverFiles({ imageKey, images });
+            if (isDuplicateIsbnError(error)) {
+                throwError(req, 409, 'Un livre avec cet ISBN existe déjà');
+            }
+            throw error;
+        }
+
+        // Première révision de l'historique : valeurs initiales du livre
+        await recordRevision(book._id, userId, 'create', {
+            changes: diffBook({}, book.toObject()),
+            cover: coverOf(book)
+        });
+
+        // Même titre et même auteur : le livre est enregistré, mais on signale les doublons probables
+        if (duplicates.length > 0) {
+            return res.status(201).json({
+                message: 'Livre enregistré avec succès !',
+                warning: 'Ce livre semble déjà exister : vérifiez qu\'il ne s\'agit pas d\'un doublon',
+                duplicates
+            });
+        }
 
         res.status(201).json({ message: 'Livre enregistré avec succès !' });
 
@@ -168,10 +490,16 @@ exports.createBook = async (req, res, next) => {
  * PUT /api/books/:id
  *
  * - Gère le cas avec ou sans nouvelle image
- * - Si nouvelle image :
- *   - supprime l'ancienne image
- *   - optimise la nouvelle avec Sharp
- * - Vérifie que l'utilisateur est le propriétaire
+ * - Si nouvelle image (tout ou rien) :
+ *   - génère les nouvelles variantes avec Sharp
+ *   - enregistre le livre avec les nouvelles clés
+ *   - conserve les anciennes variantes, référencées par l'historique (retour en arrière possible)
+ *   - en cas d'échec, supprime les nouvelles variantes : le livre garde ses images
+ * - Enregistre une révision : champs modifiés (avant / après), auteur de la modification, couverture remplacée
+ * - Le propriétaire (ou un modérateur) est vérifié en amont par requireOwnerOrRole
+ * - Avec If-Match (vérifié par checkIfMatch), le livre n'est modifié que s'il est toujours
+ *   dans la version attendue : sinon 412, et les nouvelles variantes sont supprimées
+ * - La réponse porte l'ETag de la nouvelle version
  */
 exports.modifyBook = async (req, res, next) => {
     try {
@@ -190,58 +518,79 @@ exports.modifyBook = async (req, res, next) => {
         delete bookObject.userId;
         delete bookObject.ratings;
         delete bookObject.averageRating;
+        delete bookObject.ratingsCount;
+        delete bookObject.weightedRating;
+        delete bookObject.images;
+        delete bookObject.imageKey;
+        delete bookObject.imageUrl;
+        delete bookObject.workKey;
+        delete bookObject.deletedAt;
+        delete bookObject.deletedBy;
+        delete bookObject.version;
         delete bookObject._id;
 
-        // Récupérer le livre existant
-        const book = await Book.findOne({ _id: req.params.id });
-        if (!book) {
-            throwError(req, 404, 'Livre non trouvé');
-        }
+        // Livre existant, déjà chargé et autorisé par requireOwnerOrRole
+        const book = req.resource;
 
-        // Vérifier que l'utilisateur est bien le propriétaire
-        if (book.userId !== req.auth.userId) {
-            throwError(req, 403, 'Requête non autorisée');
-        }
+        // Auteur et genre : noms remplacés par ceux des documents Author et Genre (créés si besoin)
+        await linkAuthorAndGenre(bookObject);
+
+        // ISBN déjà utilisé par un autre livre : rejet (la clé de l'œuvre est recalculée)
+        await checkDuplicates(req, bookObject, book._id);
 
-        // Si une nouvelle image est envoyée, on gère le remplacement
+        // Si une nouvelle image est envoyée, on génère d'abord les nouvelles variantes
+        let newCover = null;
         if (req.file) {
-            // Supprimer l'ancienne image
-            const oldFilename = book.imageUrl.split('/images/')[1];
-            fs.unlink(path.join('images', oldFilename), (err) => {
-                if (err) {
-                    console.error('Erreur suppression ancienne image :', err);
-                }
-            });
+            newCover = await createCoverVariants(req.file.buffer);
 
-            // Générer la nouvelle image optimisée avec Sharp
-            const outputFilename = `optimized_${Date.now()}.jpg`;
-            const outputPath = path.join('images', outputFilename);
-
-            await sharp(req.file.path)
-                .resize(400, 600, { // dimensions max et ajustement 
-                    fit: 'cover',
-                    position: 'centre'
-                })
-                .jpeg({ quality: 80 })  // compression
-                .toFile(outputPath);
-
-            // Supprimer le fichier brut uploadé par Multer
-            fs.unlink(req.file.path, (err) => {
-                if (err) {
-                    console.error('Erreur suppression fichier temporaire :', err);
-                }
-            });
+            // Mettre à jour les images dans l'objet de mise à jour
+            // (l'ancienne URL complète éventuelle n'a plus lieu d'être)
+            bookObject.imageKey = newCover.imageKey;
+            bookObject.imageUrl = null;
+            bookObject.images = newCover.images;
+        }
 
-            // Mettre à jour l'URL de l'image dans l'objet de mise à jour
-            bookObject.imageUrl = `${req.protocol}://${req.get('host')}/images/${outputFilename}`;
+        // Mise à jour du livre en base (seulement dans la version attendue, avec If-Match)
+        let updatedBook;
+        try {
+            updatedBook = await Book.findOneAndUpdate(
+                { _id: req.params.id, ...versionFilter(req) },
+                { ...bookObject, _id: req.params.id },
+                { new: true }
+            ).select('version');
+        } catch (error) {
+            // Annulation : les nouvelles variantes ne sont référencées par aucun livre
+            if (newCover) {
+                await deleteCoverFiles(newCover);
+            }
+            if (isDuplicateIsbnError(error)) {
+                throwError(req, 409, 'Un livre avec cet ISBN existe déjà');
+            }
+            throw error;
         }
 
-        // Mise à jour du livre en base
-        await Book.updateOne(
-            { _id: req.params.id },
-            { ...bookObject, _id: req.params.id }
-        );
+        // Livre modifié depuis la vérification de If-Match (ou supprimé entre-temps)
+        if (!updatedBook) {
+            if (newCover) {
+                await deleteCoverFiles(newCover);
+            }
+            if (req.expectedVersion === undefined) {
+                throwError(req, 404, 'Livre non trouvé');
+            }
+            await throwVersionConflict(req, res, book._id);
+        }
 
+        // Historique : les anciennes images restent dans le stockage, référencées par la révision
+        const changes = diffBook(book, bookObject);
+        if (changes.length > 0 || newCover) {
+            await recordRevision(book._id, req.auth.userId, 'update', {
+                changes,
+                previousCover: newCover ? coverOf(book) : null,
+                cover: newCover ? coverOf(bookObject) : null
+            });
+        }
+
+        res.set('ETag', bookEtag(updatedBook));
         res.status(200).json({ message: 'Livre modifié avec succès !' });
 
     } catch (error) {
@@ -254,46 +603,293 @@ exports.modifyBook = async (req, res, next) => {
 
 
 /**
- * Supprimer un livre
+ * Supprimer un livre (mise à la corbeille)
  * DELETE /api/books/:id
  *
  * Cette route :
- * - vérifie que le livre existe
- * - vérifie que l'utilisateur est le propriétaire
- * - supprime l'image associée du serveur
- * - supprime le livre de la base de données
+ * - s'appuie sur requireOwnerOrRole (livre existant, propriétaire ou modérateur)
+ * - renseigne deletedAt : le livre disparaît de toutes les listes et recherches
+ * - conserve ses images, ses suivis de lecture et sa place dans les listes,
+ *   retrouvés s'il est restauré ; la purge les supprime après la durée de conservation
+ * - avec If-Match (vérifié par checkIfMatch) : refus 412 si le livre a été modifié entre-temps
+ * Réponse : { message, purgeAt }
  */
 exports.deleteBook = async (req, res, next) => {
     try {
-        // Récupération du livre en base
-        const book = await Book.findOne({ _id: req.params.id });
+        // Livre existant, déjà chargé et autorisé par requireOwnerOrRole
+        const book = req.resource;
+        const deletedAt = new Date();
 
-        if (!book) {
-            throwError(req, 404, 'Livre non trouvé');
+        const result = await Book.updateOne(
+            { _id: book._id, ...versionFilter(req) },
+            { $set: { deletedAt, deletedBy: req.auth.userId } }
+        );
+
+        // Livre modifié depuis la vérification de If-Match, ou mis à la corbeille (purgé) entre-temps
+        if (result.matchedCount === 0) {
+            if (req.expectedVersion === undefined) {
+                throwError(req, 404, 'Livre non trouvé');
+            }
+            await throwVersionConflict(req, res, book._id);
+        }
+
+        // Journalisé seulement si le livre a bien été mis à la corbeille
+        await audit(req, 'book.deleted', {
+            targetType: 'book',
+            targetId: book._id,
+            details: { title: book.title, ownerId: book.userId }
+        });
+
+        res.status(200).json({ message: 'Livre placé dans la corbeille', purgeAt: purgeDate(deletedAt) });
+    } catch (error) {
+        // Toute erreur technique est transmise au middleware global
+        next(error);
+    }
+};
+
+
+/**
+ * Vrai si l'utilisateur peut restaurer un livre de la corbeille :
+ * modérateur ou administrateur, ou propriétaire qui l'a lui-même supprimé
+ * (un livre retiré par la modération ne peut pas être restauré par son propriétaire)
+ */
+const canRestore = (book, auth) => STAFF_ROLES.includes(auth.role)
+    || (book.userId === auth.userId && book.deletedBy === auth.userId);
+
+/**
+ * Lister la corbeille, du livre supprimé le plus récemment au plus ancien
+ * GET /api/books/trash?page=&limit=
+ *
+ * - utilisateur : ses livres supprimés
+ * - modérateur ou administrateur : tous les livres supprimés
+ * Réponse : { books: [{ ...livre, purgeAt, restorable }], page, limit, total, totalPages }
+ */
+exports.getTrash = async (req, res, next) => {
+    try {
+        const { page, limit } = req.pagination;
+
+        const query = { deletedAt: { $ne: null } };
+        if (!STAFF_ROLES.includes(req.auth.role)) {
+            query.userId = req.auth.userId;
         }
 
-        // Vérification que l'utilisateur authentifié est bien le propriétaire
-        if (book.userId !== req.auth.userId) {
+        const [books, total] = await Promise.all([
+            Book.find(query)
+                .sort({ deletedAt: -1, _id: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Book.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            books: books.map((book) => ({
+                ...book.toJSON(),
+                purgeAt: purgeDate(book.deletedAt),
+                restorable: canRestore(book, req.auth)
+            })),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Restaurer un livre de la corbeille
+ * POST /api/books/:id/restore
+ *
+ * Le livre retrouve ses images, ses notes, ses suivis de lecture et sa place dans les listes.
+ */
+exports.restoreBook = async (req, res, next) => {
+    try {
+        const book = mongoose.isValidObjectId(req.params.id)
+            ? await Book.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+            : null;
+
+        if (!book) {
+            throwError(req, 404, 'Livre absent de la corbeille');
+        }
+        if (!canRestore(book, req.auth)) {
             throwError(req, 403, 'Requête non autorisée');
         }
 
-        // Récupération du nom du fichier image à partir de l'URL
-        const filename = book.imageUrl.split('/images/')[1];
+        const restored = await Book.findOneAndUpdate(
+            { _id: book._id, deletedAt: { $ne: null } },
+            { $set: { deletedAt: null, deletedBy: null } },
+            { new: true }
+        );
+
+        // Purgé entre-temps
+        if (!restored) {
+            throwError(req, 404, 'Livre absent de la corbeille');
+        }
 
-        // Suppression du fichier image du serveur
-        fs.unlink(`images/${filename}`, (err) => {
-            if (err) {
-                console.error('Erreur lors de la suppression de l’image :', err);
-            }
+        await audit(req, 'book.restored', {
+            targetType: 'book',
+            targetId: restored._id,
+            details: { title: restored.title, ownerId: restored.userId }
         });
 
-        // Suppression du livre de la base de données
-        await Book.deleteOne({ _id: req.params.id });
+        res.status(200).json(restored);
+    } catch (error) {
+        next(error);
+    }
+};
 
-        res.status(200).json({ message: 'Livre supprimé avec succès !' });
 
+/**
+ * Consulter l'historique des modifications d'un livre, de la plus récente à la plus ancienne
+ * GET /api/books/:id/history?page=&limit=
+ *
+ * Réservé au propriétaire du livre, aux modérateurs et aux administrateurs (requireOwnerOrRole).
+ * Réponse : { revisions: [{ _id, action, user, changes, previousCover, cover, revertedTo, createdAt }],
+ *             page, limit, total, totalPages }
+ */
+exports.getHistory = async (req, res, next) => {
+    try {
+        const { page, limit } = req.pagination;
+        const query = { bookId: req.resource._id };
+
+        const [revisions, total] = await Promise.all([
+            BookRevision.find(query)
+                .sort({ _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            BookRevision.countDocuments(query)
+        ]);
+
+        // Auteurs des modifications, en une seule requête
+        const users = await User.find(
+            { _id: { $in: [...new Set(revisions.map((revision) => revision.userId))] } },
+            { displayName: 1 }
+        );
+        const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+
+        res.status(200).json({
+            revisions: revisions.map((revision) => ({
+                _id: revision._id,
+                action: revision.action,
+                user: {
+                    userId: revision.userId,
+                    displayName: displayName(usersById.get(revision.userId))
+                },
+                changes: revision.changes,
+                // Clés de stockage converties en URLs, comme pour les livres
+                previousCover: revision.previousCover ? coverUrls(revision.previousCover) : null,
+                cover: revision.cover ? coverUrls(revision.cover) : null,
+                revertedTo: revision.revertedTo,
+                createdAt: revision.createdAt
+            })),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Revenir à une révision de l'historique
+ * POST /api/books/:id/history/:revisionId/revert
+ *
+ * - annule, de la plus récente à la plus ancienne, les révisions postérieures à celle choisie
+ *   (anciennes valeurs des champs et couverture d'origine)
+ * - l'auteur, le genre et l'ISBN sont revérifiés comme pour une modification
+ * - le retour en arrière est lui-même enregistré dans l'historique : il peut être annulé
+ * - avec If-Match (vérifié par checkIfMatch) : refus 412 si le livre a été modifié entre-temps
+ * Réponse : le livre mis à jour (avec l'ETag de sa nouvelle version)
+ */
+exports.revertBook = async (req, res, next) => {
+    try {
+        // Livre existant, déjà chargé et autorisé par requireOwnerOrRole
+        const book = req.resource;
+        const { revisionId } = req.params;
+
+        const target = mongoose.isValidObjectId(revisionId)
+            ? await BookRevision.findOne({ _id: revisionId, bookId: book._id })
+            : null;
+
+        if (!target) {
+            throwError(req, 404, 'Révision non trouvée');
+        }
+
+        const newer = await BookRevision.find({ bookId: book._id, _id: { $gt: target._id } }).sort({ _id: -1 });
+        if (newer.length === 0) {
+            throwError(req, 400, 'Le livre correspond déjà à cette révision');
+        }
+
+        // État du livre à la révision choisie : valeurs actuelles, puis anciennes valeurs
+        // de chaque révision postérieure (la plus ancienne l'emporte)
+        const bookObject = { title: book.title, author: book.author, genre: book.genre };
+        let cover = null;
+        for (const revision of newer) {
+            for (const change of revision.changes) {
+                bookObject[change.field] = change.from;
+            }
+            if (revision.previousCover) {
+                cover = revision.previousCover;
+            }
+        }
+
+        // Auteur et genre : noms remplacés par ceux des documents Author et Genre (créés si besoin)
+        await linkAuthorAndGenre(bookObject);
+
+        // ISBN repris entre-temps par un autre livre : rejet (la clé de l'œuvre est recalculée)
+        await checkDuplicates(req, bookObject, book._id);
+
+        // Couverture d'origine, conservée dans le stockage par l'historique
+        const previousCover = coverOf(book);
+        if (cover && (cover.imageKey !== previousCover.imageKey || cover.imageUrl !== previousCover.imageUrl)) {
+            Object.assign(bookObject, coverOf(cover));
+        } else {
+            cover = null;
+        }
+
+        let updatedBook;
+        try {
+            updatedBook = await Book.findOneAndUpdate(
+                { _id: book._id, ...versionFilter(req) },
+                { $set: bookObject },
+                { new: true }
+            );
+        } catch (error) {
+            if (isDuplicateIsbnError(error)) {
+                throwError(req, 409, 'Un livre avec cet ISBN existe déjà');
+            }
+            throw error;
+        }
+
+        // Livre modifié depuis la vérification de If-Match (ou supprimé entre-temps)
+        if (!updatedBook) {
+            if (req.expectedVersion === undefined) {
+                throwError(req, 404, 'Livre non trouvé');
+            }
+            await throwVersionConflict(req, res, book._id);
+        }
+
+        await recordRevision(book._id, req.auth.userId, 'revert', {
+            changes: diffBook(book, bookObject),
+            previousCover: cover ? previousCover : null,
+            cover,
+            revertedTo: target._id
+        });
+
+        await audit(req, 'book.reverted', {
+            targetType: 'book',
+            targetId: book._id,
+            details: { title: book.title, ownerId: book.userId, revisionId: target._id.toString() }
+        });
+
+        res.set('ETag', bookEtag(updatedBook));
+        res.status(200).json(updatedBook);
     } catch (error) {
-        // Toute erreur technique est transmise au middleware global
         next(error);
     }
 };
@@ -304,12 +900,14 @@ exports.deleteBook = async (req, res, next) => {
  * POST /api/books/:id/rating
  *
  * Cette route :
- * - vérifie que le livre existe
  * - vérifie que la note est entre 0 et 5
- * - empêche un utilisateur de noter deux fois le même livre
- * - ajoute la note dans le tableau ratings
- * - recalcule la moyenne averageRating
- * - sauvegarde et renvoie le livre mis à jour
+ * - ajoute la note (et l'avis écrit éventuel) dans le tableau ratings
+ * - recalcule averageRating, ratingsCount et weightedRating
+ * - renvoie le livre mis à jour
+ *
+ * L'ajout et le recalcul se font en une seule opération MongoDB, dont le filtre exclut
+ * les livres déjà notés par l'utilisateur : deux notes simultanées ne peuvent ni s'écraser
+ * ni permettre à un même utilisateur de noter deux fois.
  */
 exports.rateBook = async (req, res, next) => {
     try {
@@ -321,37 +919,289 @@ exports.rateBook = async (req, res, next) => {
             throwError(req, 400, 'La note doit être comprise entre 1 et 5');
         }
 
-        // Récupération du livre en base
-        const book = await Book.findOne({ _id: req.params.id });
+        // Le filtre garantit que l'utilisateur n'a pas encore noté ce livre
+        const updatedBook = await Book.findOneAndUpdate(
+            { _id: req.params.id, 'ratings.userId': { $ne: userId } },
+            [
+                {
+                    $set: {
+                        ratings: {
+                            $concatArrays: ['$ratings', [{
+                                userId: { $literal: userId },
+                                grade: rating,
+                                // $literal : le texte de l'avis ne doit pas être interprété comme une expression
+                                review: { $literal: req.body.review ?? null },
+                                createdAt: '$$NOW',
+                                updatedAt: '$$NOW'
+                            }]]
+                        }
+                    }
+                },
+                ratingStatsStage
+            ],
+            { new: true, updatePipeline: true }
+        );
 
-        if (!book) {
-            throwError(req, 404, 'Livre non trouvé');
+        // Aucun livre modifié : livre introuvable, ou déjà noté par l'utilisateur
+        if (!updatedBook) {
+            const exists = await Book.exists({ _id: req.params.id });
+            if (!exists) {
+                throwError(req, 404, 'Livre non trouvé');
+            }
+            throwError(req, 400, 'Vous avez déjà noté ce livre');
         }
 
-        // Vérification que l'utilisateur n'a pas déjà noté ce livre
-        const alreadyRated = book.ratings.find(r => r.userId === userId);
-        if (alreadyRated) {
-            throwError(req, 400, 'Vous avez déjà noté ce livre');
+        // On renvoie le livre mis à jour en réponse
+        res.status(200).json(updatedBook);
+
+    } catch (error) {
+        // Toute erreur technique (MongoDB, etc.) est transmise au middleware global
+        next(error);
+    }
+};
+
+
+/**
+ * Distingue "livre introuvable" et "note introuvable" après un update sans résultat
+ */
+const throwRatingNotFound = async (req) => {
+    const exists = await Book.exists({ _id: req.params.id });
+    if (!exists) {
+        throwError(req, 404, 'Livre non trouvé');
+    }
+    throwError(req, 404, 'Note non trouvée');
+};
+
+
+/**
+ * Modifier sa note
+ * PUT /api/books/:id/rating
+ *
+ * Cette route :
+ * - vérifie que la note est entre 1 et 5
+ * - remplace la note de l'utilisateur connecté (et uniquement la sienne)
+ * - remplace son avis écrit s'il est fourni (null pour le retirer)
+ * - recalcule averageRating, ratingsCount et weightedRating dans la même opération MongoDB
+ * - renvoie le livre mis à jour
+ */
+exports.updateRating = async (req, res, next) => {
+    try {
+        const userId = req.auth.userId; // ID venant du token (sécurisé)
+        const rating = req.body.rating;
+
+        if (typeof rating !== 'number' || rating < 1 || rating > 5) {
+            throwError(req, 400, 'La note doit être comprise entre 1 et 5');
         }
 
-        // Ajout de la nouvelle note dans le tableau ratings
-        book.ratings.push({ userId: userId, grade: rating });
+        // Champs modifiés dans la note : l'avis n'est touché que s'il est envoyé
+        const changes = { grade: rating, updatedAt: '$$NOW' };
+        if (req.body.review !== undefined) {
+            // $literal : le texte de l'avis ne doit pas être interprété comme une expression
+            changes.review = { $literal: req.body.review };
+        }
 
-        // Recalcul de la moyenne des notes
-        const sum = book.ratings.reduce((acc, curr) => acc + curr.grade, 0);
-        const average = sum / book.ratings.length;
-        book.averageRating = Math.round(average * 10) / 10; // Arrondi à 1 décimale
+        // Le filtre garantit que l'utilisateur a déjà noté ce livre
+        const updatedBook = await Book.findOneAndUpdate(
+            { _id: req.params.id, 'ratings.userId': userId },
+            [
+                {
+                    $set: {
+                        ratings: {
+                            $map: {
+                                input: '$ratings',
+                                as: 'r',
+                                in: {
+                                    $cond: [
+                                        { $eq: ['$$r.userId', userId] },
+                                        { $mergeObjects: ['$$r', changes] },
+                                        '$$r'
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                },
+                ratingStatsStage
+            ],
+            { new: true, updatePipeline: true }
+        );
 
-        // Sauvegarde du livre mis à jour
-        const updatedBook = await book.save();
+        if (!updatedBook) {
+            await throwRatingNotFound(req);
+        }
+
+        res.status(200).json(updatedBook);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Retirer une note
+ * DELETE /api/books/:id/rating (sa propre note)
+ * DELETE /api/admin/books/:id/ratings/:userId (modération : note d'un autre utilisateur)
+ *
+ * Cette route :
+ * - supprime la note de l'utilisateur connecté, ou celle de :userId pour la modération
+ * - recalcule averageRating, ratingsCount et weightedRating dans la même opération MongoDB
+ * - renvoie le livre mis à jour
+ */
+exports.deleteRating = async (req, res, next) => {
+    try {
+        // Sans :userId (route utilisateur), c'est l'ID venant du token (sécurisé)
+        const userId = req.params.userId || req.auth.userId;
+
+        const updatedBook = await Book.findOneAndUpdate(
+            { _id: req.params.id, 'ratings.userId': userId },
+            [
+                {
+                    $set: {
+                        ratings: {
+                            $filter: {
+                                input: '$ratings',
+                                as: 'r',
+                                cond: { $ne: ['$$r.userId', userId] }
+                            }
+                        }
+                    }
+                },
+                ratingStatsStage
+            ],
+            { new: true, updatePipeline: true }
+        );
+
+        if (!updatedBook) {
+            await throwRatingNotFound(req);
+        }
+
+        // Note retirée par son auteur, ou par la modération (route d'administration)
+        await audit(req, 'rating.deleted', {
+            targetType: 'book',
+            targetId: updatedBook._id,
+            details: { ratingUserId: userId, moderation: Boolean(req.params.userId) }
+        });
 
-        // On renvoie le livre mis à jour en réponse
         res.status(200).json(updatedBook);
 
     } catch (error) {
-        // Toute erreur technique (MongoDB, etc.) est transmise au middleware global
         next(error);
     }
 };
 
 
+/**
+ * Lister les avis écrits d'un livre
+ * GET /api/books/:id/reviews?page=&limit=
+ *
+ * - ne renvoie que les notes accompagnées d'un avis
+ * - du plus récent au plus ancien
+ * - chaque avis est accompagné du nom public de son auteur
+ *
+ * Réponse : { reviews, page, limit, total, totalPages }
+ */
+exports.getReviews = async (req, res, next) => {
+    try {
+        const { page, limit } = req.pagination;
+
+        const book = await Book.findOne({ _id: req.params.id }, { ratings: 1 });
+        if (!book) {
+            throwError(req, 404, 'Livre non trouvé');
+        }
+
+        // Avis triés du plus récent au plus ancien, puis découpés pour la page demandée
+        const withReview = book.ratings
+            .filter((r) => r.review && r.review.body)
+            .sort((a, b) => b.createdAt - a.createdAt);
+        const pageRatings = withReview.slice((page - 1) * limit, page * limit);
+
+        // Récupération des auteurs des avis de la page en une seule requête
+        const users = await User.find(
+            { _id: { $in: pageRatings.map((r) => r.userId) } },
+            { displayName: 1, avatarKey: 1, avatarUrl: 1 }
+        );
+        const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+
+        const reviews = pageRatings.map((r) => ({
+            userId: r.userId,
+            displayName: displayName(usersById.get(r.userId)),
+            avatarUrl: avatarUrl(usersById.get(r.userId)),
+            grade: r.grade,
+            title: r.review.title,
+            body: r.review.body,
+            createdAt: r.createdAt,
+            updatedAt: r.updatedAt
+        }));
+
+        res.status(200).json({
+            reviews,
+            page,
+            limit,
+            total: withReview.length,
+            totalPages: Math.ceil(withReview.length / limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Statistiques de notation d'un livre
+ * GET /api/books/:id/stats
+ *
+ * - distribution : nombre de notes par valeur, de 1 à 5 (arrondies à l'entier le plus proche)
+ * - history : évolution mois par mois, selon la date à laquelle chaque note a été donnée
+ *   (ratingsCount et averageRating cumulés à la fin du mois, newRatings : notes du mois)
+ *   Une note modifiée compte avec sa valeur actuelle, à la date de sa première publication.
+ * - undatedRatings : notes enregistrées avant que leur date ne soit conservée, absentes des mois
+ *   mais comptées dans la moyenne cumulée dès le premier mois
+ *
+ * Réponse : { bookId, ratingsCount, averageRating, weightedRating, distribution, undatedRatings, history }
+ */
+exports.getStats = async (req, res, next) => {
+    try {
+        // Lecture brute : sans lean(), le défaut du schéma daterait les anciennes notes du jour de la lecture
+        const book = await Book.findOne({ _id: req.params.id }, { ratings: 1 }).lean();
+        if (!book) {
+            throwError(req, 404, 'Livre non trouvé');
+        }
+
+        const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        book.ratings.forEach((r) => {
+            distribution[Math.min(5, Math.max(1, Math.round(r.grade)))] += 1;
+        });
+
+        // Notes enregistrées avant que leur date ne soit conservée : antérieures à toutes les notes datées
+        const undated = book.ratings.filter((r) => !r.createdAt);
+
+        // Notes regroupées par mois (AAAA-MM, en UTC), du plus ancien au plus récent
+        const byMonth = new Map();
+        book.ratings
+            .filter((r) => r.createdAt)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .forEach((r) => {
+                const month = r.createdAt.toISOString().slice(0, 7);
+                byMonth.set(month, [...(byMonth.get(month) || []), r]);
+            });
+
+        // Moyenne cumulée : toutes les notes données jusqu'à la fin de chaque mois
+        const cumulated = [...undated];
+        const history = [...byMonth].map(([month, monthRatings]) => {
+            cumulated.push(...monthRatings);
+            const { averageRating, ratingsCount } = ratingStats(cumulated);
+            return { month, newRatings: monthRatings.length, ratingsCount, averageRating };
+        });
+
+        res.status(200).json({
+            bookId: book._id,
+            ...ratingStats(book.ratings),
+            distribution,
+            undatedRatings: undated.length,
+            history
+        });
+    } catch (error) {
+        next(error);
+    }
+};
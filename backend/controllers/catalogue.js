@@ -0,0 +1,389 @@
+/**
+ * Controller de l'import et de l'export du catalogue
+ *
+ * - export : tout le catalogue en CSV ou en JSON (tableurs, sauvegardes)
+ * - import : création de livres en masse depuis un fichier CSV ou JSON
+ *   - chaque ligne passe par les mêmes règles que validateBook (cleanBookData)
+ *   - les erreurs sont rapportées ligne par ligne : les lignes valides sont importées
+ *   - dryRun : le fichier est seulement vérifié, rien n'est enregistré
+ *   - une archive zip de couvertures peut accompagner le fichier (colonne "cover" = nom du fichier)
+ *   - les livres importés appartiennent à l'utilisateur connecté
+ */
+
+const AdmZip = require('adm-zip'); // Lecture des archives zip (couvertures)
+const { parse } = require('csv-parse/sync'); // Lecture des fichiers CSV
+const { stringify } = require('csv-stringify/sync'); // Écriture des fichiers CSV
+const path = require('path'); // Noms de fichiers des couvertures
+const zlib = require('zlib'); // Décompression des couvertures de l'archive
+const Book = require('../models/Book'); // Modèle Mongoose Book
+const { cleanBookData } = require('../middleware/validators'); // Règles de validation d'un livre
+const { createCoverVariants, deleteCoverFiles, coverUrls, placeholderCover } = require('../utils/coverImages');
+const { throwError } = require('../utils/errorHandler'); // Module pour gérer les erreurs
+const workKey = require('../utils/workKey'); // Clé commune aux éditions d'une même œuvre
+const { linkAuthorAndGenre } = require('../utils/bookEntities'); // Documents Author et Genre des livres
+const { coverOf, diffBook, recordRevision } = require('../utils/bookRevisions'); // Historique des livres
+const audit = require('../utils/audit'); // Journal d'audit des événements sensibles
+
+// Colonnes d'un livre dans les fichiers importés et exportés
+const BOOK_FIELDS = ['title', 'author', 'year', 'genre', 'isbn', 'publishingHouse', 'language', 'pageCount', 'edition', 'tags'];
+
+// Nombre maximal de livres par import
+const MAX_IMPORT_ROWS = 1000;
+
+// Taille maximale d'une couverture dans l'archive (même limite qu'un upload)
+const MAX_COVER_SIZE = 10 * 1024 * 1024;
+
+// Formats de couverture acceptés dans l'archive
+const COVER_EXTENSIONS = /\.(jpe?g|png)$/i;
+
+// Premiers caractères qui font interpréter une cellule comme une formule (Excel, LibreOffice, Google Sheets)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Neutralise une cellule CSV qui serait lue comme une formule ("=HYPERLINK(...)") :
+ * elle est préfixée d'une apostrophe, que les tableurs n'affichent pas.
+ * Les titres, auteurs, tags... sont saisis par les utilisateurs : sans cela,
+ * ouvrir l'export pourrait exécuter une formule piégée.
+ */
+const csvCell = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+/**
+ * Inverse de csvCell, pour qu'un fichier exporté puisse être réimporté tel quel
+ */
+const readCsvCell = (value) => {
+    if (typeof value === 'string' && value.startsWith('\'') && FORMULA_PREFIX.test(value.slice(1))) {
+        return value.slice(1);
+    }
+    return value;
+};
+
+/**
+ * Exporter le catalogue
+ * GET /api/books/export?format=csv|json
+ *
+ * Colonnes : id, champs du livre, note moyenne et URL de la couverture.
+ * Un fichier exporté peut être réimporté (les colonnes inconnues sont ignorées).
+ * En CSV, les cellules qui commencent comme une formule sont neutralisées (csvCell).
+ * Les livres de la corbeille ne sont pas exportés.
+ */
+exports.exportBooks = async (req, res, next) => {
+    try {
+        const { format } = req.exportOptions;
+
+        // lean() : lecture rapide, les URLs des couvertures sont calculées ci-dessous
+        const books = await Book.find({}, [...BOOK_FIELDS, 'averageRating', 'imageKey', 'imageUrl']).sort({ _id: 1 }).lean();
+
+        const rows = books.map((book) => {
+            const row = { id: book._id.toString() };
+            for (const field of BOOK_FIELDS) {
+                row[field] = book[field] ?? null;
+            }
+            // En CSV, les tags sont séparés par des virgules (format accepté à l'import)
+            if (format === 'csv') {
+                row.tags = (book.tags || []).join(', ');
+            }
+            row.averageRating = book.averageRating;
+            row.imageUrl = coverUrls(book).imageUrl;
+            return row;
+        });
+
+        const filename = `catalogue-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.attachment(filename);
+
+        if (format === 'csv') {
+            // BOM : Excel reconnaît ainsi l'UTF-8 (accents)
+            const cells = rows.map((row) => Object.fromEntries(
+                Object.entries(row).map(([column, value]) => [column, csvCell(value)])
+            ));
+            res.type('text/csv').status(200).send(stringify(cells, {
+                header: true,
+                bom: true,
+                columns: ['id', ...BOOK_FIELDS, 'averageRating', 'imageUrl']
+            }));
+        } else {
+            res.status(200).json(rows);
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Lit le fichier importé
+ * Renvoie [{ row, data }] où row est le numéro de ligne (CSV) ou de l'élément (JSON), à partir de 1
+ */
+const readImportFile = (req, file) => {
+    if (/\.json$/i.test(file.originalname)) {
+        let content;
+        try {
+            content = JSON.parse(file.buffer.toString('utf8'));
+        } catch (error) {
+            throwError(req, 400, 'Fichier JSON invalide');
+        }
+        // Tableau de livres, ou objet { books: [...] }
+        const items = Array.isArray(content) ? content : content && content.books;
+        if (!Array.isArray(items)) {
+            throwError(req, 400, 'Le fichier JSON doit contenir un tableau de livres');
+        }
+        return items.map((data, index) => ({ row: index + 1, data }));
+    }
+
+    let records;
+    try {
+        records = parse(file.buffer, {
+            columns: true,
+            bom: true,
+            trim: true,
+            skip_empty_lines: true,
+            delimiter: [',', ';'], // Les tableurs français exportent souvent avec ";"
+            info: true
+        });
+    } catch (error) {
+        throwError(req, 400, `Fichier CSV invalide : ${error.message}`);
+    }
+    return records.map(({ info, record }) => ({
+        row: info.lines,
+        data: Object.fromEntries(Object.entries(record).map(([column, value]) => [column, readCsvCell(value)]))
+    }));
+};
+
+/**
+ * Lit l'archive de couvertures
+ * Renvoie une Map nom de fichier (en minuscules) → entrée de l'archive
+ */
+const readCoversArchive = (req, file) => {
+    let entries;
+    try {
+        entries = new AdmZip(file.buffer).getEntries();
+    } catch (error) {
+        throwError(req, 400, 'Archive de couvertures invalide');
+    }
+
+    const covers = new Map();
+    for (const entry of entries) {
+        const name = path.posix.basename(entry.entryName).toLowerCase();
+        if (!entry.isDirectory && COVER_EXTENSIONS.test(name)) {
+            covers.set(name, entry);
+        }
+    }
+    return covers;
+};
+
+/**
+ * Contenu décompressé d'une couverture de l'archive
+ * La taille annoncée par l'archive peut être fausse (archive piégée) : la décompression
+ * s'arrête dès que MAX_COVER_SIZE est dépassée, sans jamais produire un buffer plus grand.
+ * Lance une erreur dont le message est rapporté pour la ligne.
+ */
+const readCover = (entry) => {
+    const name = path.posix.basename(entry.entryName);
+    const { method, encrypted } = entry.header;
+
+    if (encrypted) {
+        throw new Error(`Couverture chiffrée : ${name}`);
+    }
+
+    const compressed = entry.getCompressedData();
+
+    // Fichier stocké sans compression : sa taille réelle est celle des données
+    if (method === 0) {
+        if (compressed.length > MAX_COVER_SIZE) {
+            throw new Error(`Couverture trop volumineuse : ${name}`);
+        }
+        return compressed;
+    }
+
+    // Deflate, seule compression des archives zip courantes
+    if (method !== 8) {
+        throw new Error(`Couverture illisible : ${name}`);
+    }
+    try {
+        return zlib.inflateRawSync(compressed, { maxOutputLength: MAX_COVER_SIZE });
+    } catch (error) {
+        throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE'
+            ? `Couverture trop volumineuse : ${name}`
+            : `Couverture illisible : ${name}`);
+    }
+};
+
+/**
+ * Vérifie une ligne de l'import
+ * Renvoie { data, cover } (données nettoyées et entrée de l'archive éventuelle)
+ * ou lance une erreur dont le message est rapporté pour la ligne
+ */
+const checkRow = (data, covers) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Ligne invalide');
+    }
+
+    // Seuls les champs d'un livre sont repris (id, note, userId... sont ignorés)
+    const bookData = {};
+    for (const field of BOOK_FIELDS) {
+        if (data[field] !== undefined) {
+            bookData[field] = data[field];
+        }
+    }
+    const error = cleanBookData(bookData);
+    if (error) {
+        throw new Error(error);
+    }
+
+    let cover = null;
+    if (typeof data.cover === 'string' && data.cover.trim() !== '') {
+        cover = covers.get(path.posix.basename(data.cover.trim()).toLowerCase());
+        if (!cover) {
+            throw new Error(`Couverture introuvable dans l'archive : ${data.cover.trim()}`);
+        }
+        // Taille annoncée par l'archive : premier tri, la taille réelle est vérifiée par readCover
+        if (cover.header.size > MAX_COVER_SIZE) {
+            throw new Error(`Couverture trop volumineuse : ${data.cover.trim()}`);
+        }
+    }
+
+    return { data: bookData, cover };
+};
+
+/**
+ * Importer des livres
+ * POST /api/books/import?dryRun=true
+ * multipart/form-data : file (CSV ou JSON), covers (zip, optionnel)
+ *
+ * Réponse :
+ * { dryRun, total, imported, books: [{ row, _id, title }], errors: [{ row, error }] }
+ * (avec dryRun, "valid" remplace "imported" et "books" : nombre de lignes qui seraient importées)
+ */
+exports.importBooks = async (req, res, next) => {
+    try {
+        const { dryRun } = req.importOptions;
+
+        const rows = readImportFile(req, req.files.file[0]);
+        if (rows.length === 0) {
+            throwError(req, 400, 'Aucun livre dans le fichier');
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            throwError(req, 400, `Trop de livres (${MAX_IMPORT_ROWS} maximum par import)`);
+        }
+
+        const covers = req.files.covers ? readCoversArchive(req, req.files.covers[0]) : new Map();
+
+        const errors = [];
+        const validRows = [];
+
+        // ===== Vérification de chaque ligne =====
+        for (const { row, data } of rows) {
+            try {
+                validRows.push({ row, ...checkRow(data, covers) });
+            } catch (error) {
+                errors.push({ row, error: error.message });
+            }
+        }
+
+        // ===== ISBN déjà enregistrés (corbeille comprise), ou présents plusieurs fois dans le fichier =====
+        const isbns = validRows.map(({ data }) => data.isbn).filter(Boolean);
+        const existing = await Book.find({ isbn: { $in: isbns } }, 'isbn deletedAt')
+            .setOptions({ withDeleted: true })
+            .lean();
+        const usedIsbns = new Set(existing.map((book) => book.isbn));
+        const trashedIsbns = new Set(existing.filter((book) => book.deletedAt).map((book) => book.isbn));
+
+        const toImport = [];
+        for (const item of validRows) {
+            if (item.data.isbn && trashedIsbns.has(item.data.isbn)) {
+                errors.push({ row: item.row, error: 'Un livre avec cet ISBN est dans la corbeille' });
+            } else if (item.data.isbn && usedIsbns.has(item.data.isbn)) {
+                errors.push({ row: item.row, error: 'Un livre avec cet ISBN existe déjà' });
+            } else {
+                if (item.data.isbn) {
+                    usedIsbns.add(item.data.isbn);
+                }
+                toImport.push(item);
+            }
+        }
+
+        const sortErrors = () => errors.sort((a, b) => a.row - b.row);
+
+        if (dryRun) {
+            return res.status(200).json({
+                dryRun: true,
+                total: rows.length,
+                valid: toImport.length,
+                errors: sortErrors()
+            });
+        }
+
+        // ===== Enregistrement, ligne par ligne (une ligne en échec n'arrête pas l'import) =====
+        const imported = [];
+        let placeholder = null;
+
+        for (const { row, data, cover } of toImport) {
+            // Couverture de l'archive, décompressée dans la limite de taille
+            let buffer;
+            if (cover) {
+                try {
+                    buffer = readCover(cover);
+                } catch (error) {
+                    errors.push({ row, error: error.message });
+                    continue;
+                }
+            }
+
+            let variants = null;
+            try {
+                // Auteur et genre : noms remplacés par ceux des documents Author et Genre (créés si besoin)
+                await linkAuthorAndGenre(data);
+
+                if (!buffer) {
+                    placeholder = placeholder || await placeholderCover();
+                    buffer = placeholder;
+                }
+
+                variants = await createCoverVariants(buffer);
+
+                const book = new Book({
+                    ...data,
+                    userId: req.auth.userId,
+                    workKey: workKey(data.title, data.author),
+                    imageKey: variants.imageKey,
+                    images: variants.images,
+                    ratings: [],
+                    averageRating: 0
+                });
+                await book.save();
+
+                // Première révision de l'historique, comme pour un livre créé depuis le formulaire
+                await recordRevision(book._id, req.auth.userId, 'create', {
+                    changes: diffBook({}, book.toObject()),
+                    cover: coverOf(book)
+                });
+
+                imported.push({ row, _id: book._id, title: book.title });
+            } catch (error) {
+                // Pas de livre enregistré : ses couvertures ne doivent pas rester dans le stockage
+                if (variants) {
+                    await deleteCoverFiles(variants);
+                }
+                console.error(`Import, ligne ${row} :`, error);
+                errors.push({
+                    row,
+                    error: error.code === 11000 ? 'Un livre avec cet ISBN existe déjà' : 'Livre non importé (image ou données invalides)'
+                });
+            }
+        }
+
+        if (imported.length > 0) {
+            await audit(req, 'book.imported', {
+                details: { total: rows.length, imported: imported.length, books: imported.map((book) => book._id) }
+            });
+        }
+
+        res.status(201).json({
+            dryRun: false,
+            total: rows.length,
+            imported: imported.length,
+            books: imported,
+            errors: sortErrors()
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Controller des genres
+ *
+ * Recherche, page genre et fusion : voir controllers/taxonomy.js
+ */
+
+const Genre = require('../models/Genre'); // Modèle Mongoose Genre
+const taxonomy = require('./taxonomy'); // Controllers communs aux auteurs et aux genres
+
+module.exports = taxonomy({
+    Model: Genre,
+    field: 'genre',
+    listKey: 'genres',
+    notFoundMessage: 'Genre non trouvé',
+    bookSort: { weightedRating: -1, _id: 1 } // les mieux notés d'abord
+});
@@ -0,0 +1,303 @@
+/**
+ * Controller des listes de livres
+ *
+ * Un utilisateur compose des listes ordonnées de livres :
+ * - publiques : visibles par tous, avec un lien partageable (page /liste/:id du site)
+ * - privées : visibles uniquement par leur propriétaire
+ *
+ * Les modifications sont réservées au propriétaire (ou aux modérateurs et administrateurs) :
+ * la liste est chargée et autorisée en amont par requireOwnerOrRole (req.resource).
+ */
+
+const mongoose = require('mongoose');
+const List = require('../models/List'); // Modèle Mongoose List
+const Book = require('../models/Book'); // Modèle Mongoose Book
+const User = require('../models/User'); // Modèle Mongoose User (propriétaires des listes)
+const { STAFF_ROLES } = require('../middleware/authorize'); // Rôles de modération
+const { throwError } = require('../utils/errorHandler'); // Module pour gérer les erreurs
+const displayName = require('../utils/displayName'); // Nom public d'un utilisateur
+
+const { MAX_LIST_BOOKS } = List;
+
+/**
+ * Vrai si le visiteur peut consulter la liste
+ * (liste publique, propriétaire, ou modérateur / administrateur)
+ */
+const canView = (list, auth) => list.visibility === 'public'
+    || (auth && (list.userId === auth.userId || STAFF_ROLES.includes(auth.role)));
+
+/**
+ * Noms publics des propriétaires, en une seule requête
+ */
+const ownerNames = async (lists) => {
+    const users = await User.find(
+        { _id: { $in: [...new Set(lists.map((list) => list.userId))] } },
+        { displayName: 1 }
+    );
+    return new Map(users.map((user) => [user._id.toString(), displayName(user)]));
+};
+
+/**
+ * Identifiants des livres existants parmi ceux donnés (hors corbeille)
+ * Un livre mis à la corbeille garde sa place dans les listes (retrouvée s'il est restauré),
+ * mais n'y apparaît plus.
+ */
+const visibleBookIds = async (bookIds) => {
+    const books = await Book.find({ _id: { $in: bookIds } }, '_id');
+    return new Set(books.map((book) => book._id.toString()));
+};
+
+/**
+ * Liste complète : propriétaire et livres dans l'ordre de la liste
+ * Les livres introuvables (ou dans la corbeille) sont ignorés.
+ */
+const fullList = async (list) => {
+    const [owners, books] = await Promise.all([
+        ownerNames([list]),
+        Book.find({ _id: { $in: list.books.map((item) => item.bookId) } })
+    ]);
+    const booksById = new Map(books.map((book) => [book._id.toString(), book]));
+
+    return {
+        ...list.toJSON(),
+        owner: { userId: list.userId, displayName: owners.get(list.userId) || null },
+        books: list.books
+            .filter((item) => booksById.has(item.bookId.toString()))
+            .map((item) => ({
+                bookId: item.bookId,
+                addedAt: item.addedAt,
+                book: booksById.get(item.bookId.toString())
+            }))
+    };
+};
+
+/**
+ * Rechercher des listes, de la plus récemment modifiée à la plus ancienne
+ * GET /api/lists?userId=&bookId=&page=&limit=
+ *
+ * - userId : listes d'un utilisateur ; bookId : listes contenant un livre
+ * - les listes privées ne sont renvoyées qu'à leur propriétaire
+ * Paramètres validés en amont par validateListQuery (req.listQuery).
+ * Réponse : { lists: [{ _id, name, description, visibility, owner, booksCount, updatedAt }], page, limit, total, totalPages }
+ */
+exports.getLists = async (req, res, next) => {
+    try {
+        const { userId, bookId, page, limit } = req.listQuery;
+
+        const query = {};
+        if (userId) {
+            query.userId = userId;
+        }
+        if (bookId) {
+            query['books.bookId'] = bookId;
+        }
+        if (!req.auth || !STAFF_ROLES.includes(req.auth.role)) {
+            query.$or = [{ visibility: 'public' }];
+            if (req.auth) {
+                query.$or.push({ userId: req.auth.userId });
+            }
+        }
+
+        const [lists, total] = await Promise.all([
+            List.find(query)
+                .sort({ updatedAt: -1, _id: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            List.countDocuments(query)
+        ]);
+        const [owners, visible] = await Promise.all([
+            ownerNames(lists),
+            visibleBookIds(lists.flatMap((list) => list.books.map((item) => item.bookId)))
+        ]);
+
+        res.status(200).json({
+            lists: lists.map((list) => ({
+                _id: list._id,
+                name: list.name,
+                description: list.description,
+                visibility: list.visibility,
+                owner: { userId: list.userId, displayName: owners.get(list.userId) || null },
+                booksCount: list.books.filter((item) => visible.has(item.bookId.toString())).length,
+                createdAt: list.createdAt,
+                updatedAt: list.updatedAt
+            })),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Consulter une liste et ses livres
+ * GET /api/lists/:id
+ *
+ * Une liste privée est introuvable (404) pour les autres utilisateurs.
+ * Réponse : { _id, name, description, visibility, owner, books: [{ bookId, addedAt, book }] }
+ */
+exports.getList = async (req, res, next) => {
+    try {
+        const list = mongoose.isValidObjectId(req.params.id)
+            ? await List.findOne({ _id: req.params.id })
+            : null;
+
+        if (!list || !canView(list, req.auth)) {
+            throwError(req, 404, 'Liste non trouvée');
+        }
+
+        res.status(200).json(await fullList(list));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Créer une liste (vide)
+ * POST /api/lists
+ * Body validé par validateList (req.listData) : { name, description, visibility }
+ */
+exports.createList = async (req, res, next) => {
+    try {
+        const { name, description, visibility } = req.listData;
+        const list = new List({ userId: req.auth.userId, name, description, visibility });
+
+        try {
+            await list.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throwError(req, 409, 'Une liste porte déjà ce nom');
+            }
+            throw error;
+        }
+
+        res.status(201).json(await fullList(list));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Modifier une liste
+ * PUT /api/lists/:id
+ * Body validé par validateList (req.listData) : { name, description, visibility, bookIds }
+ *
+ * bookIds donne le nouvel ordre des livres : il ne peut contenir que des livres
+ * déjà présents dans la liste, ceux qui n'y figurent plus sont retirés
+ * (sauf ceux de la corbeille, que le propriétaire ne voit pas).
+ */
+exports.updateList = async (req, res, next) => {
+    try {
+        // Liste existante, déjà chargée et autorisée par requireOwnerOrRole
+        const list = req.resource;
+        const { bookIds, ...changes } = req.listData;
+
+        Object.assign(list, changes);
+
+        if (bookIds) {
+            const itemsById = new Map(list.books.map((item) => [item.bookId.toString(), item]));
+            if (!bookIds.every((id) => itemsById.has(id))) {
+                throwError(req, 400, 'Livre absent de la liste');
+            }
+            // Les livres de la corbeille, absents de la liste affichée, gardent leur place en fin de liste
+            const visible = await visibleBookIds([...itemsById.keys()]);
+            const hidden = list.books.filter((item) => !visible.has(item.bookId.toString())
+                && !bookIds.includes(item.bookId.toString()));
+            list.books = [...bookIds.map((id) => itemsById.get(id)), ...hidden];
+        }
+
+        try {
+            await list.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throwError(req, 409, 'Une liste porte déjà ce nom');
+            }
+            throw error;
+        }
+
+        res.status(200).json(await fullList(list));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Supprimer une liste
+ * DELETE /api/lists/:id
+ */
+exports.deleteList = async (req, res, next) => {
+    try {
+        await List.deleteOne({ _id: req.resource._id });
+
+        res.status(200).json({ message: 'Liste supprimée' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Ajouter un livre à la fin d'une liste
+ * POST /api/lists/:id/books
+ * Body : { bookId }
+ *
+ * L'ajout se fait en une seule opération, dont le filtre exclut les listes contenant
+ * déjà le livre ou pleines : deux ajouts simultanés ne peuvent pas créer de doublon.
+ */
+exports.addBook = async (req, res, next) => {
+    try {
+        const list = req.resource;
+        const { bookId } = req.body;
+
+        if (!await Book.exists({ _id: bookId })) {
+            throwError(req, 404, 'Livre non trouvé');
+        }
+
+        const updated = await List.findOneAndUpdate(
+            {
+                _id: list._id,
+                'books.bookId': { $ne: bookId },
+                [`books.${MAX_LIST_BOOKS - 1}`]: { $exists: false }
+            },
+            { $push: { books: { bookId, addedAt: new Date() } } },
+            { new: true }
+        );
+
+        if (!updated) {
+            if (list.books.some((item) => item.bookId.equals(bookId))) {
+                throwError(req, 409, 'Livre déjà présent dans la liste');
+            }
+            throwError(req, 400, `Une liste ne peut pas contenir plus de ${MAX_LIST_BOOKS} livres`);
+        }
+
+        res.status(201).json(await fullList(updated));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Retirer un livre d'une liste
+ * DELETE /api/lists/:id/books/:bookId
+ */
+exports.removeBook = async (req, res, next) => {
+    try {
+        const { bookId } = req.params;
+
+        const result = mongoose.isValidObjectId(bookId)
+            ? await List.updateOne(
+                { _id: req.resource._id, 'books.bookId': bookId },
+                { $pull: { books: { bookId } } }
+            )
+            : { modifiedCount: 0 };
+
+        if (result.modifiedCount === 0) {
+            throwError(req, 404, 'Livre absent de la liste');
+        }
+
+        res.status(200).json({ message: 'Livre retiré de la liste' });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,87 @@
+/**
+ * Controller de recherche de livres par ISBN
+ *
+ * Ce fichier interroge le service bookLookup (Open Library ou fixtures locales)
+ * pour pré-remplir le formulaire d'ajout d'un livre :
+ * - métadonnées (titre, auteur, année, genre, éditeur, nombre de pages, langue)
+ * - couverture, renvoyée par le backend pour que le frontend puisse l'envoyer
+ *   comme image du livre (pas de problème CORS, pas d'URL externe arbitraire)
+ *
+ * L'ISBN est validé et converti en ISBN-13 en amont par validateIsbnQuery (req.lookupOptions).
+ */
+
+const Book = require('../models/Book'); // Modèle Mongoose Book
+const bookLookup = require('../services/bookLookup'); // Fournisseur de métadonnées (Open Library, fixtures)
+const { throwError } = require('../utils/errorHandler'); // Module pour gérer les erreurs
+
+/**
+ * Le fournisseur est injoignable ou a répondu de façon inattendue : 502
+ */
+const handleUnavailable = (req, error) => {
+    if (error.unavailable) {
+        console.error('Recherche ISBN :', error.cause || error);
+        throwError(req, 502, 'Service de recherche ISBN indisponible');
+    }
+    throw error;
+};
+
+/**
+ * Rechercher les métadonnées d'un livre par son ISBN
+ * GET /api/books/lookup?isbn=
+ *
+ * Réponse : { isbn, title, author, year, genre, publishingHouse, pageCount, language, hasCover, existingBookId }
+ * - hasCover : une couverture est disponible sur GET /api/books/lookup/cover?isbn=
+ * - existingBookId : livre déjà enregistré avec cet ISBN (sa création serait refusée)
+ */
+exports.lookupIsbn = async (req, res, next) => {
+    try {
+        const { isbn } = req.lookupOptions;
+
+        let metadata;
+        try {
+            metadata = await bookLookup.lookup(isbn);
+        } catch (error) {
+            handleUnavailable(req, error);
+        }
+
+        if (!metadata) {
+            throwError(req, 404, 'Aucun livre trouvé pour cet ISBN');
+        }
+
+        const existing = await Book.findOne({ isbn }, '_id');
+
+        res.status(200).json({
+            isbn,
+            ...metadata,
+            existingBookId: existing ? existing._id : null
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Récupérer la couverture d'un livre par son ISBN
+ * GET /api/books/lookup/cover?isbn=
+ *
+ * Renvoie directement l'image (le frontend la transforme en fichier pour le formulaire).
+ */
+exports.lookupCover = async (req, res, next) => {
+    try {
+        let cover;
+        try {
+            cover = await bookLookup.cover(req.lookupOptions.isbn);
+        } catch (error) {
+            handleUnavailable(req, error);
+        }
+
+        if (!cover) {
+            throwError(req, 404, 'Aucune couverture trouvée pour cet ISBN');
+        }
+
+        res.set('Content-Type', cover.contentType);
+        res.status(200).send(cover.buffer);
+    } catch (error) {
+        next(error);
+    }
+};
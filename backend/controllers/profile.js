@@ -0,0 +1,204 @@
+/**
+ * Controller des profils utilisateurs
+ *
+ * Ce fichier contient la logique métier liée aux profils :
+ * - récupérer son propre profil (avec l'email et l'état de vérification)
+ * - modifier son profil (nom d'affichage, présentation, avatar)
+ * - récupérer le profil public d'un utilisateur, avec les livres
+ *   qu'il a publiés et les notes qu'il a données
+ *
+ * L'email n'est jamais exposé dans le profil public.
+ */
+
+const User = require('../models/User'); // Modèle Mongoose User
+const Book = require('../models/Book'); // Modèle Mongoose Book
+const crypto = require('crypto'); // Partie aléatoire des clés de stockage
+const sharp = require('sharp'); // Module pour traiter les images (redimensionnement)
+const storage = require('../services/storage'); // Stockage des fichiers (local ou S3)
+const { throwError } = require('../utils/errorHandler'); // Module pour gérer les erreurs
+const displayName = require('../utils/displayName'); // Nom public d'un utilisateur
+const avatarUrl = require('../utils/avatarUrl'); // URL publique de l'avatar
+const { coverUrls } = require('../utils/coverImages'); // URLs publiques des couvertures
+
+/**
+ * Représentation publique d'un utilisateur (sans email)
+ */
+const publicProfile = (user) => ({
+    _id: user._id,
+    displayName: displayName(user),
+    avatarUrl: avatarUrl(user),
+    bio: user.bio
+});
+
+
+/**
+ * Récupérer son propre profil
+ * GET /api/users/me
+ */
+exports.getMe = async (req, res, next) => {
+    try {
+        const user = await User.findOne({ _id: req.auth.userId });
+
+        if (!user) {
+            throwError(req, 404, 'Utilisateur non trouvé');
+        }
+
+        res.status(200).json({
+            ...publicProfile(user),
+            email: user.email,
+            verified: user.verified
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Modifier son propre profil
+ * PUT /api/users/me
+ *
+ * - nom d'affichage et présentation validés par validateProfile
+ * - avatar optionnel : recadré en carré 200x200 et compressé avec Sharp
+ * - l'ancien avatar est supprimé une fois le nouveau enregistré
+ */
+exports.updateMe = async (req, res, next) => {
+    try {
+        const user = await User.findOne({ _id: req.auth.userId });
+
+        if (!user) {
+            throwError(req, 404, 'Utilisateur non trouvé');
+        }
+
+        const changes = { ...req.body.profile };
+        const oldAvatarKey = storage.toKey(user.avatarKey || user.avatarUrl);
+
+        // ===== Traitement de l'avatar avec Sharp =====
+        if (req.file) {
+            // Partie aléatoire : deux envois dans la même milliseconde n'écrivent pas le même fichier
+            const avatarKey = `avatar_${Date.now()}_${crypto.randomBytes(8).toString('hex')}.jpg`;
+
+            const buffer = await sharp(req.file.buffer)
+                .resize(200, 200, { // carré, recadré au centre
+                    fit: 'cover',
+                    position: 'centre'
+                })
+                .jpeg({ quality: 80 })  // compression
+                .toBuffer();
+
+            await storage.put(avatarKey, buffer, 'image/jpeg');
+
+            changes.avatarKey = avatarKey;
+            changes.avatarUrl = '';
+        }
+
+        Object.assign(user, changes);
+
+        // En cas d'échec, le nouvel avatar n'est référencé par aucun compte : on le supprime
+        try {
+            await user.save();
+        } catch (error) {
+            if (changes.avatarKey) {
+                await storage.delete(changes.avatarKey).catch((err) => {
+                    console.error('Erreur suppression avatar :', err);
+                });
+            }
+            throw error;
+        }
+
+        // Suppression de l'ancien avatar, une fois le nouveau enregistré
+        if (req.file && oldAvatarKey) {
+            storage.delete(oldAvatarKey).catch((err) => {
+                console.error('Erreur suppression ancien avatar :', err);
+            });
+        }
+
+        res.status(200).json({
+            ...publicProfile(user),
+            email: user.email,
+            verified: user.verified
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * Récupérer le profil public d'un utilisateur
+ * GET /api/users/:id?page=&limit=
+ *
+ * Renvoie le profil, les livres publiés par l'utilisateur (du plus récent au plus ancien)
+ * et les notes qu'il a données (avec le livre concerné), paginés ensemble :
+ * la page demandée s'applique aux deux listes (req.pagination).
+ */
+exports.getUser = async (req, res, next) => {
+    try {
+        const { page, limit } = req.pagination;
+        const user = await User.findOne({ _id: req.params.id });
+
+        if (!user) {
+            throwError(req, 404, 'Utilisateur non trouvé');
+        }
+
+        const userId = user._id.toString();
+
+        const [books, booksCount, [rated]] = await Promise.all([
+            Book.find({ userId })
+                .sort({ _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Book.countDocuments({ userId }),
+            // Une entrée par note donnée, de la plus récente à la plus ancienne : triée et paginée par MongoDB
+            Book.aggregate([
+                { $match: { 'ratings.userId': userId } },
+                {
+                    $project: {
+                        title: 1,
+                        author: 1,
+                        imageKey: 1,
+                        imageUrl: 1,
+                        images: 1,
+                        rating: {
+                            $first: { $filter: { input: '$ratings', cond: { $eq: ['$$this.userId', userId] } } }
+                        }
+                    }
+                },
+                { $sort: { 'rating.createdAt': -1, _id: -1 } },
+                {
+                    $facet: {
+                        items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                        total: [{ $count: 'count' }]
+                    }
+                }
+            ])
+        ]);
+
+        const ratingsCount = rated.total.length > 0 ? rated.total[0].count : 0;
+        const ratings = rated.items.map((book) => ({
+            book: {
+                _id: book._id,
+                title: book.title,
+                author: book.author,
+                imageUrl: coverUrls(book).imageUrl
+            },
+            grade: book.rating.grade,
+            review: book.rating.review,
+            createdAt: book.rating.createdAt
+        }));
+
+        res.status(200).json({
+            ...publicProfile(user),
+            books,
+            booksCount,
+            ratings,
+            ratingsCount,
+            page,
+            limit,
+            // La liste la plus longue fixe le nombre de pages
+            totalPages: Math.ceil(Math.max(booksCount, ratingsCount) / limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
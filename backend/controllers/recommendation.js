@@ -0,0 +1,188 @@
+/**
+ * Controller des recommandations de livres
+ *
+ * Les suggestions partent de livres "de départ" :
+ * - le livre consulté (bookId), pour les suggestions "Vous aimerez aussi"
+ * - les livres que l'utilisateur connecté a aimés (note >= LIKED_GRADE)
+ *
+ * Elles sont calculées en trois passes, chacune complétant la précédente :
+ * 1. filtrage collaboratif : les lecteurs qui ont aimé les livres de départ ("voisins")
+ *    ont aussi aimé ces livres, pondérés par le nombre de livres de départ aimés en commun
+ * 2. similarité de contenu : même auteur (poids 2) ou même genre (poids 1)
+ * 3. livres les mieux notés, pour ne jamais renvoyer une liste vide
+ *
+ * Sont exclus : les livres déjà notés par l'utilisateur, les livres de départ et leurs autres éditions.
+ * Les paramètres sont validés en amont par validateRecommendationQuery (req.recommendationOptions).
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book'); // Modèle Mongoose Book
+const { throwError } = require('../utils/errorHandler'); // Module pour gérer les erreurs
+
+// Note à partir de laquelle un livre est considéré comme aimé
+const LIKED_GRADE = 4;
+
+// Nombre maximum de voisins retenus pour le filtrage collaboratif
+const MAX_NEIGHBOURS = 50;
+
+/**
+ * Livres aimés par les voisins, classés par score
+ * Le score d'un livre est la somme des recouvrements des voisins qui l'ont aimé.
+ */
+const collaborativeCandidates = async (seedIds, userId, exclusion, limit) => {
+    if (seedIds.length === 0) {
+        return [];
+    }
+
+    const neighbours = await Book.aggregate([
+        { $match: { _id: { $in: seedIds } } },
+        { $unwind: '$ratings' },
+        { $match: { 'ratings.grade': { $gte: LIKED_GRADE }, 'ratings.userId': { $ne: userId } } },
+        { $group: { _id: '$ratings.userId', overlap: { $sum: 1 } } },
+        { $sort: { overlap: -1, _id: 1 } },
+        { $limit: MAX_NEIGHBOURS }
+    ]);
+
+    if (neighbours.length === 0) {
+        return [];
+    }
+
+    const overlaps = new Map(neighbours.map((neighbour) => [neighbour._id, neighbour.overlap]));
+    const neighbourIds = [...overlaps.keys()];
+
+    const candidates = await Book.aggregate([
+        { $match: { ...exclusion, 'ratings.userId': { $in: neighbourIds } } },
+        { $unwind: '$ratings' },
+        { $match: { 'ratings.userId': { $in: neighbourIds }, 'ratings.grade': { $gte: LIKED_GRADE } } },
+        {
+            $group: {
+                _id: '$_id',
+                likers: { $push: '$ratings.userId' },
+                weightedRating: { $first: '$weightedRating' }
+            }
+        }
+    ]);
+
+    return candidates
+        .map((candidate) => ({
+            _id: candidate._id,
+            weightedRating: candidate.weightedRating,
+            score: candidate.likers.reduce((sum, liker) => sum + overlaps.get(liker), 0)
+        }))
+        .sort((a, b) => b.score - a.score || b.weightedRating - a.weightedRating)
+        .slice(0, limit)
+        .map((candidate) => candidate._id);
+};
+
+/**
+ * Livres du même auteur ou du même genre que les livres de départ
+ */
+const similarCandidates = async (seeds, exclusion, limit) => {
+    if (seeds.length === 0 || limit <= 0) {
+        return [];
+    }
+
+    const authors = [...new Set(seeds.map((seed) => seed.author))];
+    const genres = [...new Set(seeds.map((seed) => seed.genre))];
+
+    const candidates = await Book.aggregate([
+        { $match: { ...exclusion, $or: [{ author: { $in: authors } }, { genre: { $in: genres } }] } },
+        {
+            $addFields: {
+                similarity: {
+                    $add: [
+                        { $cond: [{ $in: ['$author', authors] }, 2, 0] },
+                        { $cond: [{ $in: ['$genre', genres] }, 1, 0] }
+                    ]
+                }
+            }
+        },
+        { $sort: { similarity: -1, weightedRating: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 1 } }
+    ]);
+
+    return candidates.map((candidate) => candidate._id);
+};
+
+/**
+ * Livres les mieux notés, en dernier recours
+ */
+const bestRatedCandidates = async (exclusion, limit) => {
+    if (limit <= 0) {
+        return [];
+    }
+
+    const books = await Book.find(exclusion, { _id: 1 })
+        .sort({ weightedRating: -1, _id: 1 })
+        .limit(limit);
+
+    return books.map((book) => book._id);
+};
+
+/**
+ * Récupérer des recommandations
+ * GET /api/books/recommendations?bookId=&limit=
+ *
+ * - connecté : suggestions à partir de ses notes (et du livre consulté s'il est fourni)
+ * - anonyme : bookId obligatoire, suggestions liées à ce livre
+ * Réponse : tableau de livres, du plus recommandé au moins recommandé
+ */
+exports.getRecommendations = async (req, res, next) => {
+    try {
+        const { bookId, limit } = req.recommendationOptions;
+        const userId = req.auth ? req.auth.userId : null;
+
+        const seeds = [];
+        const excludedIds = [];
+
+        // Livre consulté
+        if (bookId) {
+            const book = await Book.findOne({ _id: bookId }, 'author genre workKey');
+            if (!book) {
+                throwError(req, 404, 'Livre non trouvé');
+            }
+            seeds.push(book);
+            excludedIds.push(book._id);
+        }
+
+        // Livres notés par l'utilisateur : ceux qu'il a aimés servent de départ, tous sont exclus
+        if (userId) {
+            const ratedBooks = await Book.find(
+                { 'ratings.userId': userId },
+                { author: 1, genre: 1, workKey: 1, ratings: { $elemMatch: { userId } } }
+            );
+            ratedBooks.forEach((book) => {
+                excludedIds.push(book._id);
+                if (book.ratings[0].grade >= LIKED_GRADE && !book._id.equals(bookId)) {
+                    seeds.push(book);
+                }
+            });
+        }
+
+        const seedIds = seeds.map((seed) => seed._id);
+        const seedWorkKeys = seeds.map((seed) => seed.workKey).filter(Boolean);
+
+        // Filtre commun : ni livres exclus, ni autres éditions des livres de départ
+        const exclusionFor = (chosenIds) => ({
+            _id: { $nin: [...excludedIds, ...chosenIds].map((id) => new mongoose.Types.ObjectId(id)) },
+            workKey: { $nin: seedWorkKeys }
+        });
+
+        const recommendedIds = await collaborativeCandidates(seedIds, userId, exclusionFor([]), limit);
+        recommendedIds.push(...await similarCandidates(seeds, exclusionFor(recommendedIds), limit - recommendedIds.length));
+        recommendedIds.push(...await bestRatedCandidates(exclusionFor(recommendedIds), limit - recommendedIds.length));
+
+        // Chargement des livres, dans l'ordre de recommandation
+        const books = await Book.find({ _id: { $in: recommendedIds } });
+        const booksById = new Map(books.map((book) => [book._id.toString(), book]));
+
+        res.status(200).json(
+            recommendedIds
+                .map((id) => booksById.get(id.toString()))
+                .filter(Boolean)
+        );
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,328 @@
+/**
+ * Controller des étagères de lecture
+ *
+ * Chaque utilisateur range les livres qu'il suit dans :
+ * - trois étagères de statut : à lire, en cours, lu (champ status du suivi)
+ * - des étagères personnalisées, qu'il crée, renomme et supprime (modèle Shelf)
+ *
+ * Un suivi de lecture (ReadingEntry) porte aussi les dates de début et de fin
+ * et la progression. Toutes les routes concernent l'utilisateur connecté (req.auth.userId).
+ */
+
+const mongoose = require('mongoose');
+const Shelf = require('../models/Shelf'); // Modèle Mongoose Shelf (étagères personnalisées)
+const ReadingEntry = require('../models/ReadingEntry'); // Modèle Mongoose ReadingEntry (suivis de lecture)
+const Book = require('../models/Book'); // Modèle Mongoose Book
+const { throwError } = require('../utils/errorHandler'); // Module pour gérer les erreurs
+
+/**
+ * Nom affiché des étagères de statut
+ */
+const STATUS_SHELVES = {
+    'to-read': 'À lire',
+    reading: 'En cours',
+    read: 'Lu'
+};
+
+/**
+ * Charge une étagère personnalisée de l'utilisateur connecté (404 sinon)
+ */
+const findOwnShelf = async (req) => {
+    const shelf = mongoose.isValidObjectId(req.params.id)
+        ? await Shelf.findOne({ _id: req.params.id, userId: req.auth.userId })
+        : null;
+
+    if (!shelf) {
+        throwError(req, 404, 'Étagère non trouvée');
+    }
+    return shelf;
+};
+
+/**
+ * Identifiants des livres suivis par l'utilisateur, hors corbeille
+ * Un livre mis à la corbeille garde ses suivis de lecture (retrouvés s'il est restauré),
+ * mais n'apparaît plus dans les étagères.
+ */
+const visibleBookIds = async (userId) => {
+    const bookIds = await ReadingEntry.distinct('bookId', { userId });
+    const books = await Book.find({ _id: { $in: bookIds.filter(mongoose.isValidObjectId) } }, '_id');
+    return books.map((book) => book._id.toString());
+};
+
+/**
+ * Lister ses étagères, avec le nombre de livres de chacune
+ * GET /api/users/me/shelves
+ *
+ * Réponse : { shelves: [{ key, name, builtIn, count }] }
+ * - key : statut pour les étagères par défaut, identifiant pour les étagères personnalisées
+ */
+exports.getShelves = async (req, res, next) => {
+    try {
+        const userId = req.auth.userId;
+        const bookId = { $in: await visibleBookIds(userId) };
+
+        const [statusCounts, shelfCounts, customShelves] = await Promise.all([
+            ReadingEntry.aggregate([
+                { $match: { userId, bookId } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            ReadingEntry.aggregate([
+                { $match: { userId, bookId } },
+                { $unwind: '$shelves' },
+                { $group: { _id: '$shelves', count: { $sum: 1 } } }
+            ]),
+            Shelf.find({ userId }).sort({ name: 1 })
+        ]);
+
+        const countOf = (counts, key) => counts.find((c) => c._id.toString() === key)?.count || 0;
+
+        const shelves = [
+            ...Object.entries(STATUS_SHELVES).map(([key, name]) => ({
+                key,
+                name,
+                builtIn: true,
+                count: countOf(statusCounts, key)
+            })),
+            ...customShelves.map((shelf) => ({
+                key: shelf._id,
+                name: shelf.name,
+                builtIn: false,
+                count: countOf(shelfCounts, shelf._id.toString())
+            }))
+        ];
+
+        res.status(200).json({ shelves });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Créer une étagère personnalisée
+ * POST /api/users/me/shelves
+ * Body : { name }
+ */
+exports.createShelf = async (req, res, next) => {
+    try {
+        const shelf = new Shelf({ userId: req.auth.userId, name: req.body.name });
+
+        try {
+            await shelf.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throwError(req, 409, 'Une étagère porte déjà ce nom');
+            }
+            throw error;
+        }
+
+        res.status(201).json(shelf);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Renommer une étagère personnalisée
+ * PUT /api/users/me/shelves/:id
+ * Body : { name }
+ */
+exports.renameShelf = async (req, res, next) => {
+    try {
+        const shelf = await findOwnShelf(req);
+        shelf.name = req.body.name;
+
+        try {
+            await shelf.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throwError(req, 409, 'Une étagère porte déjà ce nom');
+            }
+            throw error;
+        }
+
+        res.status(200).json(shelf);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Supprimer une étagère personnalisée
+ * DELETE /api/users/me/shelves/:id
+ *
+ * Les livres qu'elle contenait restent suivis (ils gardent leur statut).
+ */
+exports.deleteShelf = async (req, res, next) => {
+    try {
+        const shelf = await findOwnShelf(req);
+
+        await ReadingEntry.updateMany(
+            { userId: req.auth.userId, shelves: shelf._id },
+            { $pull: { shelves: shelf._id } }
+        );
+        await Shelf.deleteOne({ _id: shelf._id });
+
+        res.status(200).json({ message: 'Étagère supprimée' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Lister les livres d'une étagère, du plus récemment mis à jour au plus ancien
+ * GET /api/users/me/shelves/entries?shelf=&page=&limit=
+ *
+ * Paramètres validés en amont par validateShelfEntriesQuery (req.shelfOptions).
+ * Réponse : { entries: [{ bookId, status, shelves, startedAt, finishedAt, progress, book }], page, limit, total, totalPages }
+ */
+exports.getEntries = async (req, res, next) => {
+    try {
+        const { shelf, page, limit } = req.shelfOptions;
+
+        const query = { userId: req.auth.userId, bookId: { $in: await visibleBookIds(req.auth.userId) } };
+        if (STATUS_SHELVES[shelf]) {
+            query.status = shelf;
+        } else if (shelf) {
+            query.shelves = shelf;
+        }
+
+        const [entries, total] = await Promise.all([
+            ReadingEntry.find(query)
+                .sort({ updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            ReadingEntry.countDocuments(query)
+        ]);
+
+        // Livres correspondants, en une seule requête
+        const books = await Book.find({ _id: { $in: entries.map((entry) => entry.bookId) } });
+        const booksById = new Map(books.map((book) => [book._id.toString(), book]));
+
+        res.status(200).json({
+            entries: entries.map((entry) => ({
+                ...entry.toJSON(),
+                book: booksById.get(entry.bookId) || null
+            })),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Récupérer le suivi de lecture d'un livre
+ * GET /api/users/me/shelves/entries/:bookId
+ */
+exports.getEntry = async (req, res, next) => {
+    try {
+        const entry = await ReadingEntry.findOne({ userId: req.auth.userId, bookId: req.params.bookId });
+
+        if (!entry) {
+            throwError(req, 404, 'Livre absent de vos étagères');
+        }
+
+        res.status(200).json(entry);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Ranger un livre ou mettre à jour son suivi de lecture
+ * PUT /api/users/me/shelves/entries/:bookId
+ * Body validé par validateReadingEntry (req.readingEntry) : { status, progress, startedAt, finishedAt, shelves }
+ *
+ * Les champs absents gardent leur valeur, avec des valeurs déduites du statut :
+ * - "reading" : date de début = aujourd'hui si elle n'est pas connue
+ * - "read" : progression à 100 %, date de fin = aujourd'hui si elle n'est pas connue
+ */
+exports.saveEntry = async (req, res, next) => {
+    try {
+        const userId = req.auth.userId;
+        const { bookId } = req.params;
+        const changes = req.readingEntry;
+
+        const bookExists = mongoose.isValidObjectId(bookId) && await Book.exists({ _id: bookId });
+        if (!bookExists) {
+            throwError(req, 404, 'Livre non trouvé');
+        }
+
+        // Les étagères personnalisées doivent appartenir à l'utilisateur
+        if (changes.shelves && changes.shelves.length > 0) {
+            const owned = await Shelf.countDocuments({ _id: { $in: changes.shelves }, userId });
+            if (owned !== changes.shelves.length) {
+                throwError(req, 400, 'Étagère inconnue');
+            }
+        }
+
+        const existing = await ReadingEntry.findOne({ userId, bookId });
+        const current = (field) => (changes[field] !== undefined ? changes[field] : existing?.[field] ?? null);
+
+        const entry = {
+            status: changes.status,
+            startedAt: current('startedAt'),
+            finishedAt: current('finishedAt'),
+            progress: current('progress') ?? 0
+        };
+        if (changes.shelves) {
+            entry.shelves = changes.shelves;
+        }
+
+        const now = new Date();
+        if (entry.status === 'reading' && !entry.startedAt) {
+            entry.startedAt = now;
+        }
+        if (entry.status === 'read') {
+            entry.progress = 100;
+            entry.finishedAt = entry.finishedAt || now;
+        }
+        if (entry.startedAt && entry.finishedAt && entry.finishedAt < entry.startedAt) {
+            throwError(req, 400, 'La date de fin doit suivre la date de début');
+        }
+
+        const save = () => ReadingEntry.findOneAndUpdate(
+            { userId, bookId },
+            { $set: entry },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        let created = !existing;
+        let saved;
+        try {
+            saved = await save();
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            // Deux premiers envois simultanés : l'autre a créé le suivi, celui-ci le met à jour
+            created = false;
+            saved = await save();
+        }
+
+        res.status(created ? 201 : 200).json(saved);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Retirer un livre de ses étagères (le suivi de lecture est supprimé)
+ * DELETE /api/users/me/shelves/entries/:bookId
+ */
+exports.deleteEntry = async (req, res, next) => {
+    try {
+        const result = await ReadingEntry.deleteOne({ userId: req.auth.userId, bookId: req.params.bookId });
+
+        if (result.deletedCount === 0) {
+            throwError(req, 404, 'Livre absent de vos étagères');
+        }
+
+        res.status(200).json({ message: 'Livre retiré de vos étagères' });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,183 @@
+/**
+ * Controller des auteurs et des genres
+ *
+ * Les deux collections fonctionnent de la même façon : ce fichier crée les controllers
+ * d'une collection à partir de sa configuration (voir controllers/author.js et controllers/genre.js).
+ * - recherche par début de nom (autocomplétion du formulaire des livres)
+ * - page d'un auteur ou d'un genre, avec ses livres
+ * - fusion de deux écritures d'un même nom (modération)
+ *
+ * Configuration :
+ * - Model : modèle Mongoose (Author ou Genre)
+ * - field : champ du livre qui porte le nom ('author' ou 'genre'), la référence est field + 'Id'
+ * - listKey : clé de la liste dans la réponse de la recherche ('authors', 'genres')
+ * - notFoundMessage : message de l'erreur 404
+ * - bookSort : ordre des livres sur la page
+ */
+
+const Book = require('../models/Book'); // Modèle Mongoose Book
+const { throwError } = require('../utils/errorHandler'); // Module pour gérer les erreurs
+const escapeRegex = require('../utils/escapeRegex'); // Échappement des saisies utilisées dans les regex
+const workKey = require('../utils/workKey'); // Clé commune aux éditions d'une même œuvre
+const slug = require('../utils/slug'); // Slug des noms (casse, accents et ponctuation ignorés)
+
+module.exports = ({ Model, field, listKey, notFoundMessage, bookSort }) => {
+    const idField = `${field}Id`;
+
+    /**
+     * Document désigné par son slug ou par l'un de ses alias (404 sinon)
+     */
+    const findBySlug = async (req, value) => {
+        const entity = await Model.findOne({ $or: [{ slug: value }, { aliases: value }] });
+        if (!entity) {
+            throwError(req, 404, notFoundMessage);
+        }
+        return entity;
+    };
+
+    /**
+     * Rechercher par nom
+     * GET /api/authors?q=&limit= (ou /api/genres)
+     *
+     * - q est comparé au début du slug ou de l'un de ses mots, ou à un alias :
+     *   "hug" trouve "Victor Hugo", "emile" trouve "Émile Zola"
+     * - sans q : liste alphabétique
+     * Réponse : { authors: [{ name, slug }] } (ou genres)
+     */
+    const search = async (req, res, next) => {
+        try {
+            const { q, limit } = req.entitySearch;
+
+            const query = {};
+            if (q) {
+                const startsWith = new RegExp(`(^|-)${escapeRegex(q)}`);
+                query.$or = [{ slug: startsWith }, { aliases: startsWith }];
+            }
+
+            const entities = await Model.find(query, 'name slug')
+                .collation({ locale: 'fr' }) // tri alphabétique tenant compte des accents
+                .sort({ name: 1 })
+                .limit(limit);
+
+            res.status(200).json({ [listKey]: entities });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Page d'un auteur ou d'un genre, avec ses livres paginés
+     * GET /api/authors/:slug?page=&limit= (ou /api/genres/:slug)
+     *
+     * Un alias désigne le document dans lequel il a été fusionné : son slug est renvoyé.
+     * Réponse : { author, books, page, limit, total, totalPages } (ou genre)
+     */
+    const getOne = async (req, res, next) => {
+        try {
+            const { page, limit } = req.pagination;
+            const entity = await findBySlug(req, slug(req.params.slug));
+
+            const query = { [idField]: entity._id };
+            const [books, total] = await Promise.all([
+                Book.find(query)
+                    .sort(bookSort)
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                Book.countDocuments(query)
+            ]);
+
+            res.status(200).json({
+                [field]: entity,
+                books,
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Rattache à la cible les livres d'un document fusionné (corbeille comprise : ils peuvent être restaurés)
+     * et recalcule leur clé d'œuvre si le nom de l'auteur a changé
+     * Renvoie le nombre de livres déplacés.
+     */
+    const moveBooks = async (source, target) => {
+        const { modifiedCount } = await Book.updateMany(
+            { [idField]: source._id },
+            { $set: { [field]: target.name, [idField]: target._id } },
+            { withDeleted: true }
+        );
+
+        // Le nom de l'auteur fait partie de la clé d'œuvre (éditions, doublons)
+        if (field === 'author') {
+            const books = await Book.find({ [idField]: target._id }, 'title author workKey')
+                .setOptions({ withDeleted: true });
+            const changes = books
+                .filter((book) => book.workKey !== workKey(book.title, book.author))
+                .map((book) => ({
+                    updateOne: {
+                        filter: { _id: book._id },
+                        // bulkWrite ne passe pas par les hooks de requête : version (ETag) incrémentée ici
+                        update: { $set: { workKey: workKey(book.title, book.author) }, $inc: { version: 1 } }
+                    }
+                }));
+            if (changes.length > 0) {
+                await Book.bulkWrite(changes);
+            }
+        }
+
+        return modifiedCount;
+    };
+
+    /**
+     * Fusionner un document dans un autre (modérateurs et administrateurs)
+     * POST /api/admin/authors/:slug/merge (ou /api/admin/genres/:slug/merge)
+     * Body : { "target": "slug-conserve" }
+     *
+     * - le slug et les alias du document fusionné deviennent des alias de la cible :
+     *   les livres saisis plus tard avec l'ancienne écriture sont reliés à la cible
+     * - ses livres prennent le nom de la cible (et leur clé d'œuvre est recalculée)
+     * - le document fusionné est supprimé en dernier
+     */
+    const merge = async (req, res, next) => {
+        try {
+            const source = await Model.findOne({ slug: slug(req.params.slug) });
+            if (!source) {
+                throwError(req, 404, notFoundMessage);
+            }
+            const target = await findBySlug(req, req.body.target);
+            if (target._id.equals(source._id)) {
+                throwError(req, 400, 'Impossible de fusionner un élément avec lui-même');
+            }
+
+            // Les écritures fusionnées sont rattachées à la cible en premier : les livres enregistrés
+            // pendant la fusion sont reliés à la source ou à la cible, jamais à un nouveau document
+            await Model.updateOne(
+                { _id: target._id },
+                { $addToSet: { aliases: { $each: [source.slug, ...source.aliases] } } }
+            );
+
+            // Les livres sont déplacés avant la suppression de la source : si la fusion est interrompue,
+            // aucun livre ne pointe vers un document supprimé et la fusion peut être relancée
+            let movedBooks = await moveBooks(source, target);
+
+            await source.deleteOne();
+
+            // Livres reliés à la source entre leur déplacement et sa suppression
+            movedBooks += await moveBooks(source, target);
+
+            res.status(200).json({
+                message: 'Fusion effectuée',
+                [field]: await Model.findOne({ _id: target._id }),
+                movedBooks
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    return { search, getOne, merge };
+};
@@ -4,22 +4,67 @@
  * Ce fichier contient la logique métier liée à l'authentification :
  * - inscription des utilisateurs (signup)
  * - connexion des utilisateurs (login)
+ * - renouvellement des tokens (refresh)
+ * - déconnexion (logout)
+ * - mot de passe oublié et réinitialisation par email
+ * - vérification de l'adresse email (et renvoi du lien)
  *
  * La sécurité est assurée par :
  * - bcrypt pour le hachage et la vérification des mots de passe
- * - JWT (JSON Web Token) pour l'authentification des requêtes protégées
+ * - JWT (JSON Web Token) de courte durée pour l'authentification des requêtes protégées
+ * - des refresh tokens renouvelés à chaque utilisation et révocables côté serveur
+ * - le journal d'audit (connexions refusées, réinitialisations de mot de passe)
  */
 
 const bcrypt = require('bcrypt'); // Librairie de hachage sécurisé des mots de passe
 const User = require('../models/User'); // Modèle Mongoose User
-const jwt = require('jsonwebtoken'); // Librairie de gestion des tokens d'authentification
+const Session = require('../models/Session'); // Modèle Mongoose Session (refresh tokens)
+const {
+    createSession,
+    rotateSession,
+    parseRefreshToken,
+    hashToken,
+    revokeAllSessions,
+    createUserToken,
+    consumeUserToken
+} = require('../utils/tokens'); // Gestion des tokens
+const { sendMail } = require('../services/mailer'); // Envoi des emails
+const audit = require('../utils/audit'); // Journal d'audit des événements sensibles
+
+// Durée de validité d'un lien de réinitialisation du mot de passe : 1 heure
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+
+// Durée de validité d'un lien de vérification de l'email : 24 heures
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+
+// URL du frontend, utilisée pour construire les liens envoyés par email
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 const { throwError } = require('../utils/errorHandler'); // Utilitaire de gestion des erreurs
 
+/**
+ * Envoie le lien de vérification de l'adresse email d'un utilisateur
+ * (un nouveau lien invalide les précédents)
+ */
+const sendVerificationEmail = async (user) => {
+    const token = await createUserToken(user._id, 'email-verification', EMAIL_VERIFICATION_TTL);
+    const link = `${FRONTEND_URL}/verification/${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Confirmez votre adresse email',
+        text: `Bonjour,\n\nPour confirmer votre adresse email et pouvoir publier et noter des livres, ouvrez ce lien (valable 24 heures) :\n${link}`,
+        html: `<p>Bonjour,</p><p>Pour confirmer votre adresse email et pouvoir publier et noter des livres, cliquez sur ce lien (valable 24 heures) :</p><p><a href="${link}">${link}</a></p>`
+    });
+};
+
+
 /**
  * INSCRIPTION (signup)
  * Cette fonction permet de créer un nouvel utilisateur.
  * Le mot de passe n'est JAMAIS stocké en clair :
  * il est hashé avec bcrypt avant d'être enregistré en base de données.
+ * Un lien de vérification de l'adresse email est ensuite envoyé :
+ * le compte ne peut pas publier ni noter de livres avant d'être vérifié.
  * 
  * Erreurs en code 409 : problème de conflit
  */
@@ -44,8 +89,17 @@ exports.signup = async (req, res, next) => {
         // Enregistrement de l'utilisateur dans MongoDB
         await user.save();
 
+        // Envoi du lien de vérification (un échec n'annule pas l'inscription : lien renvoyable)
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Erreur envoi email de vérification :', mailError);
+        }
+
         // Réponse envoyée si la création s'est bien passée
-        res.status(201).json({ message: 'Utilisateur créé !' });
+        res.status(201).json({
+            message: 'Utilisateur créé ! Confirmez votre adresse avec le lien envoyé par email'
+        });
 
     } catch (error) {
         if (error.code === 11000) {
@@ -69,10 +123,12 @@ exports.signup = async (req, res, next) => {
  * Elle vérifie que l'email existe en base, puis compare le mot de passe
  * fourni avec le hash stocké grâce à bcrypt.
  *
- * Si l'authentification réussit, un token JWT est généré et renvoyé
- * au frontend. Ce token sera utilisé pour sécuriser les routes protégées.
+ * Si l'authentification réussit, une session est ouverte : un token JWT
+ * de courte durée et un refresh token sont renvoyés au frontend.
+ * Le token sécurise les routes protégées, le refresh token permet d'en obtenir un nouveau.
  * 
  * Erreurs en code 401 : problème d'authentification
+ * Erreurs en code 403 : compte suspendu
  */
 exports.login = async (req, res, next) => {
     try {
@@ -81,6 +137,7 @@ exports.login = async (req, res, next) => {
 
         // Si l'utilisateur n'existe pas, erreur d'authentification
         if (!user) {
+            await audit(req, 'login.failed', { details: { email: req.body.email, reason: 'unknown-email' } });
             throwError(req, 401, 'Identifiants invalides');
         }
 
@@ -89,20 +146,34 @@ exports.login = async (req, res, next) => {
 
         // Si le mot de passe est incorrect, erreur d'authentification
         if (!valid) {
+            await audit(req, 'login.failed', {
+                targetType: 'user',
+                targetId: user._id,
+                details: { email: user.email, reason: 'wrong-password' }
+            });
             throwError(req, 401, 'Identifiants invalides');
         }
 
-        // Authentification réussie : génération du token JWT
-        const token = jwt.sign(
-            { userId: user._id },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Un compte suspendu ne peut plus se connecter
+        if (user.banned) {
+            await audit(req, 'login.failed', {
+                targetType: 'user',
+                targetId: user._id,
+                details: { email: user.email, reason: 'banned' }
+            });
+            throwError(req, 403, 'Compte suspendu');
+        }
+
+        // Authentification réussie : ouverture d'une session
+        const { token, refreshToken } = await createSession(user._id, user.role);
 
-        // On renvoie l'ID utilisateur et le token au frontend
+        // On renvoie l'ID utilisateur, les tokens, l'état de vérification et le rôle au frontend
         res.status(200).json({
             userId: user._id,
-            token: token
+            token: token,
+            refreshToken: refreshToken,
+            verified: user.verified,
+            role: user.role
         });
 
     } catch (error) {
@@ -112,3 +183,183 @@ exports.login = async (req, res, next) => {
 };
 
 
+/**
+ * RENOUVELLEMENT DES TOKENS (refresh)
+ *
+ * Échange un refresh token valide contre un nouveau token d'accès
+ * et un nouveau refresh token (l'ancien devient inutilisable).
+ * Présenter un refresh token déjà utilisé révoque toute la session.
+ *
+ * Erreurs en code 401 : refresh token invalide, expiré ou révoqué
+ */
+exports.refresh = async (req, res, next) => {
+    try {
+        const parsed = parseRefreshToken(req.body.refreshToken);
+        if (!parsed) {
+            throwError(req, 401, 'Session invalide');
+        }
+
+        const tokens = await rotateSession(parsed.sessionId, parsed.secret);
+        if (!tokens) {
+            throwError(req, 401, 'Session invalide');
+        }
+
+        res.status(200).json(tokens);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * DÉCONNEXION (logout)
+ *
+ * Révoque la session liée au refresh token : le refresh token
+ * et tous les tokens d'accès de cette session deviennent invalides.
+ * Répond 204 même si la session était déjà révoquée (déconnexion idempotente).
+ */
+exports.logout = async (req, res, next) => {
+    try {
+        const parsed = parseRefreshToken(req.body.refreshToken);
+        if (!parsed) {
+            throwError(req, 400, 'Refresh token manquant ou invalide');
+        }
+
+        // Le hash doit correspondre : on ne révoque pas une session à partir de son seul id
+        await Session.updateOne(
+            { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+            { revokedAt: new Date() }
+        );
+
+        res.status(204).end();
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * MOT DE PASSE OUBLIÉ (forgot-password)
+ *
+ * Envoie par email un lien de réinitialisation valable 1 heure.
+ * La réponse est toujours la même, que l'email existe ou non :
+ * on ne révèle pas quels emails possèdent un compte.
+ */
+exports.forgotPassword = async (req, res, next) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+
+        if (user) {
+            const token = await createUserToken(user._id, 'password-reset', PASSWORD_RESET_TTL);
+            const link = `${FRONTEND_URL}/reinitialiser-mot-de-passe?token=${token}`;
+
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: 'Réinitialisation de votre mot de passe',
+                    text: `Bonjour,\n\nPour choisir un nouveau mot de passe, ouvrez ce lien (valable 1 heure) :\n${link}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez cet email.`,
+                    html: `<p>Bonjour,</p><p>Pour choisir un nouveau mot de passe, cliquez sur ce lien (valable 1 heure) :</p><p><a href="${link}">${link}</a></p><p>Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.</p>`
+                });
+            } catch (mailError) {
+                // L'échec d'envoi est journalisé sans changer la réponse (pas d'indice sur le compte)
+                console.error('Erreur envoi email de réinitialisation :', mailError);
+            }
+        }
+
+        res.status(200).json({
+            message: 'Si un compte existe pour cet email, un lien de réinitialisation vient d\'être envoyé'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * RÉINITIALISATION DU MOT DE PASSE (reset-password)
+ *
+ * - le token doit être valide, non expiré et jamais utilisé (usage unique)
+ * - le nouveau mot de passe est hashé avec bcrypt
+ * - toutes les sessions ouvertes de l'utilisateur sont révoquées
+ *
+ * Erreurs en code 400 : lien invalide, expiré ou déjà utilisé
+ */
+exports.resetPassword = async (req, res, next) => {
+    try {
+        const userToken = await consumeUserToken(req.body.token, 'password-reset');
+        if (!userToken) {
+            throwError(req, 400, 'Lien de réinitialisation invalide ou expiré');
+        }
+
+        const hash = await bcrypt.hash(req.body.password, 10);
+        const result = await User.updateOne({ _id: userToken.userId }, { password: hash });
+        if (result.matchedCount === 0) {
+            throwError(req, 400, 'Lien de réinitialisation invalide ou expiré');
+        }
+
+        // Un mot de passe compromis ne doit plus donner accès aux sessions existantes
+        await revokeAllSessions(userToken.userId);
+
+        await audit(req, 'password.reset', { targetType: 'user', targetId: userToken.userId });
+
+        res.status(200).json({ message: 'Mot de passe modifié, vous pouvez vous connecter' });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * VÉRIFICATION DE L'EMAIL (verify)
+ *
+ * Valide le token reçu par email (usage unique, 24 heures)
+ * et marque le compte comme vérifié.
+ *
+ * Erreurs en code 400 : lien invalide, expiré ou déjà utilisé
+ */
+exports.verifyEmail = async (req, res, next) => {
+    try {
+        const userToken = await consumeUserToken(req.params.token, 'email-verification');
+        if (!userToken) {
+            throwError(req, 400, 'Lien de vérification invalide ou expiré');
+        }
+
+        await User.updateOne({ _id: userToken.userId }, { verified: true });
+
+        res.status(200).json({ message: 'Adresse email vérifiée !' });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+/**
+ * RENVOI DU LIEN DE VÉRIFICATION (resend-verification)
+ *
+ * Route protégée : renvoie un nouveau lien à l'utilisateur connecté.
+ *
+ * Erreurs en code 400 : compte déjà vérifié
+ */
+exports.resendVerification = async (req, res, next) => {
+    try {
+        const user = await User.findOne({ _id: req.auth.userId });
+        if (!user) {
+            throwError(req, 404, 'Utilisateur non trouvé');
+        }
+        if (user.verified) {
+            throwError(req, 400, 'Adresse email déjà vérifiée');
+        }
+
+        await sendVerificationEmail(user);
+
+        res.status(200).json({ message: 'Un nouveau lien de vérification vient d\'être envoyé' });
+
+    } catch (error) {
+        next(error);
+    }
+};
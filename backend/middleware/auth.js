@@ -1,7 +1,9 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
 const { throwError } = require('../utils/errorHandler');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
+    let decodedToken;
     try {
         // Vérifie que le header Authorization existe
         if (!req.headers.authorization) {
@@ -16,24 +18,40 @@ module.exports = (req, res, next) => {
         }
 
         // Vérification du token (signature et expiration)
-        const decodedToken = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Récupération de l'identifiant utilisateur depuis le token
-        const userId = decodedToken.userId;
-
-        // Ajout de l'userId à la requête pour les prochaines étapes
-        req.auth = { userId };
-
-        // Passage à la suite (route protégée)
-        next();
+        decodedToken = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         /**
          * Si l'erreur vient de jwt.verify (token invalide / expiré) ou
          * d'un problème de header, on renvoie une erreur d'authentification.
-         * Les autres erreurs techniques (ex: problème de connexion à MongoDB)
-         * seront capturées par le middleware global de gestion des erreurs.
          */
         throwError(req, 401, 'Requête non authentifiée');
     }
-};
 
+    // Les tokens émis avant les sessions (sans sessionId) ne sont plus acceptés
+    if (!decodedToken.sessionId) {
+        throwError(req, 401, 'Requête non authentifiée');
+    }
+
+    /**
+     * Vérification que la session n'a pas été révoquée (déconnexion, vol détecté).
+     * Les erreurs techniques (ex: problème de connexion à MongoDB) sont
+     * capturées par le middleware global de gestion des erreurs.
+     */
+    const session = await Session.findOne(
+        { _id: decodedToken.sessionId, userId: decodedToken.userId },
+        { revokedAt: 1 }
+    );
+    if (!session || session.revokedAt) {
+        throwError(req, 401, 'Session révoquée');
+    }
+
+    // Ajout de l'userId et du rôle à la requête pour les prochaines étapes
+    req.auth = {
+        userId: decodedToken.userId,
+        sessionId: decodedToken.sessionId,
+        role: decodedToken.role || 'user'
+    };
+
+    // Passage à la suite (route protégée)
+    next();
+};
@@ -0,0 +1,49 @@
+/**
+ * Middlewares d'autorisation (contrôle d'accès par rôle)
+ *
+ * À placer après le middleware auth, qui fournit req.auth.userId et req.auth.role.
+ * - requireRole : réservé à certains rôles (ex: administration)
+ * - requireOwnerOrRole : réservé au propriétaire de la ressource ou à certains rôles
+ *   (ex: un modérateur peut supprimer le livre d'un autre utilisateur)
+ */
+
+const { throwError } = require('../utils/errorHandler');
+
+// Rôles autorisés à modérer les contenus des autres utilisateurs
+const STAFF_ROLES = ['moderator', 'admin'];
+exports.STAFF_ROLES = STAFF_ROLES;
+
+/**
+ * Autorise uniquement les rôles listés
+ * Ex: requireRole('admin')
+ */
+exports.requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.auth.role)) {
+        throwError(req, 403, 'Requête non autorisée');
+    }
+    next();
+};
+
+/**
+ * Autorise le propriétaire de la ressource (champ userId) ou les rôles listés
+ *
+ * - Model : modèle Mongoose de la ressource, cherchée par req.params.id
+ * - notFoundMessage : message de l'erreur 404 si la ressource n'existe pas
+ * - roles : rôles autorisés en plus du propriétaire (modérateurs et admins par défaut)
+ *
+ * La ressource chargée est placée dans req.resource pour le controller.
+ */
+exports.requireOwnerOrRole = (Model, notFoundMessage, roles = STAFF_ROLES) => async (req, res, next) => {
+    const resource = await Model.findOne({ _id: req.params.id });
+
+    if (!resource) {
+        throwError(req, 404, notFoundMessage);
+    }
+
+    if (resource.userId !== req.auth.userId && !roles.includes(req.auth.role)) {
+        throwError(req, 403, 'Requête non autorisée');
+    }
+
+    req.resource = resource;
+    next();
+};
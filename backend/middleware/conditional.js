@@ -0,0 +1,40 @@
+const { throwError } = require('../utils/errorHandler');
+const { bookEtag, etagMatches } = require('../utils/etag');
+
+/**
+ * Message des requêtes refusées car le livre a été modifié entre-temps
+ */
+const VERSION_CONFLICT_MESSAGE = 'Le livre a été modifié entre-temps : rechargez-le avant de l\'enregistrer';
+
+/**
+ * Middleware de contrôle de concurrence optimiste (If-Match)
+ *
+ * À placer après requireOwnerOrRole(Book), qui charge le livre dans req.resource.
+ * - sans en-tête If-Match : la requête continue (dernière écriture gagnante)
+ * - If-Match différent de l'ETag actuel du livre : refus 412, avec l'ETag actuel en en-tête
+ * - sinon : la version attendue est placée dans req.expectedVersion, pour que le controller
+ *   l'ajoute au filtre de sa mise à jour (une modification simultanée est aussi détectée) ;
+ *   If-Match: * accepte n'importe quelle version
+ */
+const checkIfMatch = (req, res, next) => {
+    const header = req.get('If-Match');
+    if (!header) {
+        return next();
+    }
+
+    const etag = bookEtag(req.resource);
+    if (!etagMatches(header, etag)) {
+        res.set('ETag', etag);
+        throwError(req, 412, VERSION_CONFLICT_MESSAGE);
+    }
+
+    if (header.trim() !== '*') {
+        req.expectedVersion = req.resource.version || 0;
+    }
+    next();
+};
+
+module.exports = {
+    VERSION_CONFLICT_MESSAGE,
+    checkIfMatch
+};
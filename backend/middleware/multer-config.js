@@ -3,8 +3,8 @@
  *
  * Ce fichier configure la gestion de l'upload des fichiers images.
  * Il définit :
- * - où stocker les fichiers
- * - comment les renommer
+ * - où stocker les fichiers : en mémoire (req.file.buffer), car seules les versions
+ *   optimisées par Sharp sont enregistrées, via le service de stockage
  * - quels types de fichiers sont acceptés
  */
 
@@ -19,22 +19,9 @@ const MIME_TYPES = {
 
 /**
  * Configuration du stockage des fichiers
+ * Le fichier brut reste en mémoire : aucun fichier temporaire à nettoyer
  */
-const storage = multer.diskStorage({
-    // Dossier de destination des fichiers uploadés
-    destination: (req, file, callback) => {
-        callback(null, 'images');
-    },
-    // Génération du nom de fichier
-    filename: (req, file, callback) => {
-        // On remplace les espaces par des underscores
-        const name = file.originalname.split(' ').join('_');
-        // On récupère l'extension à partir du type MIME
-        const extension = MIME_TYPES[file.mimetype];
-        // Nom final : nom + timestamp + extension
-        callback(null, name + Date.now() + '.' + extension);
-    }
-});
+const storage = multer.memoryStorage();
 
 // Export du middleware configuré pour un seul fichier "image"
 module.exports = multer({
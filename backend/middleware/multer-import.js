@@ -0,0 +1,33 @@
+/**
+ * Middleware Multer pour l'import en masse du catalogue
+ *
+ * Deux fichiers, gardés en mémoire :
+ * - file : le catalogue, en CSV ou en JSON (obligatoire)
+ * - covers : une archive zip de couvertures, associées aux livres par nom de fichier (optionnel)
+ */
+
+const multer = require('multer');
+
+// Extensions acceptées pour chaque champ (les types MIME des CSV varient selon les systèmes)
+const EXTENSIONS = {
+    file: /\.(csv|json)$/i,
+    covers: /\.zip$/i
+};
+
+module.exports = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 50 * 1024 * 1024 // 50 Mo max (archive de couvertures)
+    },
+    fileFilter: (req, file, cb) => {
+        const extension = EXTENSIONS[file.fieldname];
+        if (extension && extension.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Type de fichier non supporté'), false);
+        }
+    }
+}).fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'covers', maxCount: 1 }
+]);
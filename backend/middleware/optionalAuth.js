@@ -0,0 +1,16 @@
+const auth = require('./auth');
+
+/**
+ * Middleware d'authentification facultative
+ *
+ * Sans header Authorization, la requête continue en visiteur anonyme (req.auth absent).
+ * Avec un header, le token est vérifié comme par le middleware auth :
+ * un token invalide ou une session révoquée renvoie toujours une erreur 401.
+ */
+module.exports = (req, res, next) => {
+    if (!req.headers.authorization) {
+        return next();
+    }
+
+    return auth(req, res, next);
+};
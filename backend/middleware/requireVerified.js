@@ -0,0 +1,23 @@
+const User = require('../models/User');
+const { throwError } = require('../utils/errorHandler');
+
+/**
+ * Middleware de vérification de l'email
+ *
+ * À placer après le middleware auth : il refuse (403) les actions d'écriture
+ * (publier, modifier, supprimer ou noter un livre) tant que l'utilisateur
+ * n'a pas confirmé son adresse email.
+ */
+module.exports = async (req, res, next) => {
+    const user = await User.findOne({ _id: req.auth.userId }, { verified: 1 });
+
+    if (!user) {
+        throwError(req, 401, 'Requête non authentifiée');
+    }
+
+    if (!user.verified) {
+        throwError(req, 403, 'Adresse email non vérifiée : confirmez votre email avant de publier ou de noter');
+    }
+
+    next();
+};
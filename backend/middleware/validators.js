@@ -11,9 +11,43 @@ const passwordRegex = /^.{8,}$/;
 // Texte non vide, longueur maximale de 200 caractères
 const textRegex = /^.{1,200}$/;
 
+// Texte long (avis) : non vide, 5000 caractères maximum, retours à la ligne autorisés
+const longTextRegex = /^[\s\S]{1,5000}$/;
+
+// Code langue ISO 639-1 ou 639-2 (ex: "fr", "en", "fre")
+const languageRegex = /^[a-z]{2,3}$/;
+
 // Module pour gérer les erreurs de validation
 const { throwError } = require('../utils/errorHandler');
 
+// Validation des ISBN-10/13 (chiffre de contrôle) et conversion en ISBN-13
+const { parseIsbn } = require('../utils/isbn');
+
+// Slug des auteurs et des genres
+const slug = require('../utils/slug');
+
+// Statuts de lecture (étagères par défaut)
+const { READING_STATUSES } = require('../models/ReadingEntry');
+
+// Visibilités des listes de livres (publique, privée) et nombre maximum de livres par liste
+const { LIST_VISIBILITIES, MAX_LIST_BOOKS } = require('../models/List');
+
+// Événements du journal d'audit
+const { AUDIT_EVENTS } = require('../models/AuditLog');
+
+// Identifiant MongoDB (ObjectId) : 24 caractères hexadécimaux
+const objectIdRegex = /^[a-f0-9]{24}$/i;
+
+// Nombre maximum de tags sur un livre
+const MAX_TAGS = 10;
+
+// Champ optionnel absent de la requête (undefined) ou vidé par l'utilisateur ('' ou null)
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Nombre passé dans l'URL : NaN pour un paramètre vide (?yearMin=) ou répété (?page=1&page=2),
+// que Number() convertirait en 0 ou accepterait
+const queryNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+
 /*
 * Validation des données d'inscription
 * Erreurs en code 400 : problème de forme, de validation
@@ -80,37 +114,114 @@ exports.validateLogin = (req, res, next) => {
 
 
 /*
-* Validation des données d'un livre
-* (utilisée pour POST et PUT)
+* Validation de la demande de réinitialisation du mot de passe
 */
-exports.validateBook = (req, res, next) => {
-    let bookData;
+exports.validateForgotPassword = (req, res, next) => {
+    const { email } = req.body;
 
-    // Avec Multer, les données peuvent arriver sous forme de string JSON dans req.body.book
-    if (req.body.book) {
+    if (typeof email !== 'string') {
+        throwError(req, 400, 'Données invalides');
+    }
+
+    const cleanEmail = email.trim().toLowerCase();
+
+    if (!emailRegex.test(cleanEmail)) {
+        throwError(req, 400, 'Email invalide');
+    }
+
+    req.body.email = cleanEmail;
+
+    next();
+};
+
+
+/*
+* Validation de la réinitialisation du mot de passe
+* - token : token reçu par email
+* - password : nouveau mot de passe (mêmes règles qu'à l'inscription)
+*/
+exports.validateResetPassword = (req, res, next) => {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || typeof password !== 'string') {
+        throwError(req, 400, 'Données invalides');
+    }
+
+    if (!/^[a-f0-9]{64}$/.test(token)) {
+        throwError(req, 400, 'Lien de réinitialisation invalide ou expiré');
+    }
+
+    if (!passwordRegex.test(password)) {
+        throwError(req, 400, 'Mot de passe invalide. Min 8 caractères.');
+    }
+
+    next();
+};
+
+/*
+* Validation des données du profil (PUT /api/users/me)
+* - displayName : 2 à 50 caractères (optionnel)
+* - bio : 500 caractères maximum (optionnel, peut être vide)
+* Avec Multer (avatar envoyé), les données arrivent en JSON dans req.body.profile
+*/
+exports.validateProfile = (req, res, next) => {
+    let profileData;
+
+    if (req.body.profile) {
         try {
-            bookData = JSON.parse(req.body.book);
-            // On remplace la string par l'objet parsé pour la suite de la chaîne
-            req.body.book = bookData;
+            profileData = JSON.parse(req.body.profile);
         } catch (e) {
-            throwError(req, 400, 'Données du livre invalides');
+            throwError(req, 400, 'Données du profil invalides');
         }
     } else {
-        // Sinon, on utilise directement req.body (cas sans fichier)
-        bookData = req.body;
+        profileData = req.body;
     }
 
+    const { displayName, bio } = profileData;
+    const cleanProfile = {};
+
+    if (displayName !== undefined) {
+        if (typeof displayName !== 'string') {
+            throwError(req, 400, 'Nom d\'affichage invalide');
+        }
+        const cleanDisplayName = displayName.trim();
+        if (cleanDisplayName.length < 2 || cleanDisplayName.length > 50) {
+            throwError(req, 400, 'Nom d\'affichage invalide (2 à 50 caractères)');
+        }
+        cleanProfile.displayName = cleanDisplayName;
+    }
+
+    if (bio !== undefined) {
+        if (typeof bio !== 'string' || bio.trim().length > 500) {
+            throwError(req, 400, 'Présentation invalide (500 caractères maximum)');
+        }
+        cleanProfile.bio = bio.trim();
+    }
+
+    // Seuls les champs modifiables du profil sont transmis au controller
+    req.body.profile = cleanProfile;
+
+    next();
+};
+
+/*
+* Règles de validation d'un livre, partagées par validateBook et l'import en masse
+* - renvoie le message d'erreur du premier champ invalide, ou null si le livre est valide
+* - nettoie bookData sur place (textes sans espaces superflus, nombres convertis, ISBN-13)
+* Fonction pure (sans requête) : l'appelant décide comment rapporter l'erreur.
+*/
+const cleanBookData = (bookData) => {
     let { title, author, year, genre } = bookData;
 
     // Nettoyage des champs texte et vérification de leur type
     if (typeof title !== 'string') {
-        throwError(req, 400, 'Titre invalide');
+        return 'Titre invalide';
     }
     if (typeof author !== 'string') {
-        throwError(req, 400, 'Auteur invalide');
+        return 'Auteur invalide';
     }
     if (typeof genre !== 'string') {
-        throwError(req, 400, 'Genre invalide');
+        return 'Genre invalide';
     }
 
     const cleanTitle = title.trim();
@@ -119,29 +230,29 @@ exports.validateBook = (req, res, next) => {
 
     // Validation du titre (non vide, max 200 caractères) 
     if (!textRegex.test(cleanTitle)) {
-        throwError(req, 400, 'Titre invalide');
+        return 'Titre invalide';
     }
 
-    // Validation de l'auteur (non vide, max 200 caractères)
-    if (!textRegex.test(cleanAuthor)) {
-        throwError(req, 400, 'Auteur invalide');
+    // Validation de l'auteur (non vide, max 200 caractères, au moins une lettre ou un chiffre pour son slug)
+    if (!textRegex.test(cleanAuthor) || !slug(cleanAuthor)) {
+        return 'Auteur invalide';
     }
 
     // Rejette les chaines vides et valeurs vides
     if (year === undefined || year === null || year === '') {
-        throwError(req, 400, 'Année invalide');
+        return 'Année invalide';
     }
 
     // Conversion et validation de l'année 
     const parsedYear = Number(year);
 
     if (!Number.isInteger(parsedYear) || parsedYear < 0 || parsedYear > new Date().getFullYear()) {
-        throwError(req, 400, 'Année invalide');
+        return 'Année invalide';
     }
 
-    // Validation du genre (non vide, max 200 caractères)
-    if (!textRegex.test(cleanGenre)) {
-        throwError(req, 400, 'Genre invalide');
+    // Validation du genre (non vide, max 200 caractères, au moins une lettre ou un chiffre pour son slug)
+    if (!textRegex.test(cleanGenre) || !slug(cleanGenre)) {
+        return 'Genre invalide';
     }
 
     // Remet les valeurs propres dans l'objet bookData pour les controllers
@@ -150,8 +261,697 @@ exports.validateBook = (req, res, next) => {
     bookData.genre = cleanGenre;
     bookData.year = parsedYear;
 
+    // ===== Champs optionnels de l'édition =====
+    // Un champ absent n'est pas modifié, un champ vide est effacé (null)
+    const { isbn, publishingHouse, language, pageCount, edition } = bookData;
+
+    // ISBN-10 ou ISBN-13, chiffre de contrôle vérifié, stocké en ISBN-13
+    if (isbn !== undefined) {
+        if (isEmpty(isbn)) {
+            bookData.isbn = null;
+        } else {
+            const parsedIsbn = parseIsbn(isbn);
+            if (!parsedIsbn) {
+                return 'ISBN invalide';
+            }
+            bookData.isbn = parsedIsbn;
+        }
+    }
+
+    // Éditeur (maison d'édition) et mention d'édition : texte de 200 caractères maximum
+    for (const [field, value, message] of [
+        ['publishingHouse', publishingHouse, 'Éditeur invalide'],
+        ['edition', edition, 'Édition invalide']
+    ]) {
+        if (value !== undefined) {
+            if (isEmpty(value)) {
+                bookData[field] = null;
+            } else {
+                if (typeof value !== 'string' || !textRegex.test(value.trim())) {
+                    return message;
+                }
+                bookData[field] = value.trim();
+            }
+        }
+    }
+
+    // Langue : code ISO ("fr", "en"...)
+    if (language !== undefined) {
+        if (isEmpty(language)) {
+            bookData.language = null;
+        } else {
+            const cleanLanguage = typeof language === 'string' ? language.trim().toLowerCase() : '';
+            if (!languageRegex.test(cleanLanguage)) {
+                return 'Langue invalide';
+            }
+            bookData.language = cleanLanguage;
+        }
+    }
+
+    // Nombre de pages : entier positif
+    if (pageCount !== undefined) {
+        if (isEmpty(pageCount)) {
+            bookData.pageCount = null;
+        } else {
+            const parsedPageCount = Number(pageCount);
+            if (!Number.isInteger(parsedPageCount) || parsedPageCount < 1 || parsedPageCount > 100000) {
+                return 'Nombre de pages invalide';
+            }
+            bookData.pageCount = parsedPageCount;
+        }
+    }
+
+    // Tags : tableau ou liste séparée par des virgules (CSV, formulaire), en minuscules et sans doublons
+    const { tags } = bookData;
+    if (tags !== undefined) {
+        const list = isEmpty(tags) ? [] : tags;
+        const values = typeof list === 'string' ? list.split(',') : list;
+        if (!Array.isArray(values) || !values.every((tag) => typeof tag === 'string')) {
+            return 'Tags invalides';
+        }
+
+        const cleanTags = [...new Set(values
+            .map((tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase())
+            .filter((tag) => tag !== ''))];
+        if (cleanTags.length > MAX_TAGS || !cleanTags.every((tag) => tag.length <= 30)) {
+            return `Tags invalides (${MAX_TAGS} maximum, 30 caractères chacun)`;
+        }
+        bookData.tags = cleanTags;
+    }
+
+    return null;
+};
+exports.cleanBookData = cleanBookData;
+
+/*
+* Validation des données d'un livre
+* (utilisée pour POST et PUT)
+*/
+exports.validateBook = (req, res, next) => {
+    let bookData;
+
+    // Avec Multer, les données peuvent arriver sous forme de string JSON dans req.body.book
+    if (req.body.book) {
+        try {
+            bookData = JSON.parse(req.body.book);
+            // On remplace la string par l'objet parsé pour la suite de la chaîne
+            req.body.book = bookData;
+        } catch (e) {
+            throwError(req, 400, 'Données du livre invalides');
+        }
+    } else {
+        // Sinon, on utilise directement req.body (cas sans fichier)
+        bookData = req.body;
+    }
+
+    const error = cleanBookData(bookData);
+    if (error) {
+        throwError(req, 400, error);
+    }
+
     // Si tout est valide, on passe au controller
     next();
 };
 
 
+
+
+/*
+* Nombre de résultats demandé (?limit=), entier entre 1 et maxLimit
+*/
+const parseLimit = (req, limit, { defaultLimit = 10, maxLimit = 50 } = {}) => {
+    const parsedLimit = limit === undefined ? defaultLimit : queryNumber(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > maxLimit) {
+        throwError(req, 400, `Limite invalide (entre 1 et ${maxLimit})`);
+    }
+    return parsedLimit;
+};
+
+/*
+* Pagination (?page=&limit=) : page à partir de 1 (1 par défaut), limit entre 1 et maxLimit
+* Renvoie { page, limit }
+*/
+const parsePagination = (req, { defaultLimit = 10, maxLimit = 50 } = {}) => {
+    const { page, limit } = req.query;
+
+    const parsedPage = page === undefined ? 1 : queryNumber(page);
+    if (!Number.isInteger(parsedPage) || parsedPage < 1) {
+        throwError(req, 400, 'Page invalide');
+    }
+
+    return { page: parsedPage, limit: parseLimit(req, limit, { defaultLimit, maxLimit }) };
+};
+
+
+/*
+* Validation des paramètres de liste des livres (GET /api/books)
+* - pagination : page (>= 1), limit (1 à 50)
+* - tri : title, year, averageRating ou recent (+ ordre asc/desc)
+* - filtres : genre, author, tag, yearMin, yearMax, minRating
+* Les valeurs nettoyées sont placées dans req.listOptions
+*/
+exports.validateBookQuery = (req, res, next) => {
+    const { sort, order, genre, author, tag, yearMin, yearMax, minRating } = req.query;
+
+    // Pagination (valeurs par défaut : page 1, 12 livres par page)
+    const pagination = parsePagination(req, { defaultLimit: 12 });
+
+    // Tri (par défaut : les plus récents d'abord)
+    const sortField = sort === undefined ? 'recent' : sort;
+    if (!['title', 'year', 'averageRating', 'recent'].includes(sortField)) {
+        throwError(req, 400, 'Tri invalide');
+    }
+    if (order !== undefined && !['asc', 'desc'].includes(order)) {
+        throwError(req, 400, 'Ordre de tri invalide');
+    }
+
+    // Filtres texte (optionnels)
+    const filters = {};
+    if (genre !== undefined) {
+        if (typeof genre !== 'string' || !textRegex.test(genre.trim())) {
+            throwError(req, 400, 'Genre invalide');
+        }
+        filters.genre = genre.trim();
+    }
+    if (author !== undefined) {
+        if (typeof author !== 'string' || !textRegex.test(author.trim())) {
+            throwError(req, 400, 'Auteur invalide');
+        }
+        filters.author = author.trim();
+    }
+    if (tag !== undefined) {
+        if (typeof tag !== 'string' || !/^.{1,30}$/.test(tag.trim())) {
+            throwError(req, 400, 'Tag invalide');
+        }
+        filters.tag = tag.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Filtres numériques (optionnels)
+    if (yearMin !== undefined) {
+        filters.yearMin = queryNumber(yearMin);
+        if (!Number.isInteger(filters.yearMin)) {
+            throwError(req, 400, 'Année minimale invalide');
+        }
+    }
+    if (yearMax !== undefined) {
+        filters.yearMax = queryNumber(yearMax);
+        if (!Number.isInteger(filters.yearMax)) {
+            throwError(req, 400, 'Année maximale invalide');
+        }
+    }
+    if (minRating !== undefined) {
+        filters.minRating = queryNumber(minRating);
+        if (Number.isNaN(filters.minRating) || filters.minRating < 0 || filters.minRating > 5) {
+            throwError(req, 400, 'Note minimale invalide');
+        }
+    }
+
+    // req.query n'est pas modifiable avec Express 5 : on passe par req.listOptions
+    req.listOptions = {
+        ...pagination,
+        sort: sortField,
+        // Titre en ordre alphabétique par défaut, les autres en décroissant
+        order: order || (sortField === 'title' ? 'asc' : 'desc'),
+        filters
+    };
+
+    next();
+};
+
+
+/*
+* Validation des paramètres du classement des mieux notés (GET /api/books/bestrating)
+* - limit : nombre de livres (3 par défaut, 20 au maximum)
+* - genre : genre exact, insensible à la casse
+* - period : week, month ou year (7, 30 ou 365 derniers jours), toutes les notes par défaut
+* Les valeurs nettoyées sont placées dans req.bestRatingOptions (since : début de la période)
+*/
+const RATING_PERIOD_DAYS = { week: 7, month: 30, year: 365 };
+
+exports.validateBestRatingQuery = (req, res, next) => {
+    const { limit, genre, period } = req.query;
+
+    const parsedLimit = parseLimit(req, limit, { defaultLimit: 3, maxLimit: 20 });
+
+    if (genre !== undefined && (typeof genre !== 'string' || !textRegex.test(genre.trim()))) {
+        throwError(req, 400, 'Genre invalide');
+    }
+
+    if (period !== undefined && !Object.hasOwn(RATING_PERIOD_DAYS, period)) {
+        throwError(req, 400, 'Période invalide (week, month ou year)');
+    }
+
+    req.bestRatingOptions = {
+        limit: parsedLimit,
+        genre: genre ? genre.trim() : null,
+        since: period ? new Date(Date.now() - RATING_PERIOD_DAYS[period] * 24 * 60 * 60 * 1000) : null
+    };
+
+    next();
+};
+
+
+/*
+* Validation des paramètres de recherche (GET /api/books/search)
+* - q : texte recherché (non vide, max 200 caractères)
+* - page / limit : pagination (limit entre 1 et 50)
+* Les valeurs nettoyées sont placées dans req.searchOptions
+*/
+exports.validateSearchQuery = (req, res, next) => {
+    const { q } = req.query;
+
+    if (typeof q !== 'string' || !textRegex.test(q.trim())) {
+        throwError(req, 400, 'Recherche invalide');
+    }
+
+    const pagination = parsePagination(req, { defaultLimit: 12 });
+
+    req.searchOptions = {
+        q: q.trim(),
+        ...pagination
+    };
+
+    next();
+};
+
+/*
+* Validation de l'ISBN d'une recherche de métadonnées
+* GET /api/books/lookup?isbn=
+* L'ISBN (10 ou 13 chiffres) est converti en ISBN-13 dans req.lookupOptions
+*/
+exports.validateIsbnQuery = (req, res, next) => {
+    const isbn = parseIsbn(req.query.isbn);
+
+    if (!isbn) {
+        throwError(req, 400, 'ISBN invalide');
+    }
+
+    req.lookupOptions = { isbn };
+
+    next();
+};
+
+/*
+* Validation du format d'export du catalogue
+* GET /api/books/export?format=csv|json (JSON par défaut)
+*/
+exports.validateExportQuery = (req, res, next) => {
+    const { format } = req.query;
+
+    if (format !== undefined && format !== 'csv' && format !== 'json') {
+        throwError(req, 400, 'Format invalide (csv ou json)');
+    }
+
+    req.exportOptions = { format: format || 'json' };
+
+    next();
+};
+
+/*
+* Validation des options d'import du catalogue
+* POST /api/books/import?dryRun=true
+* - un fichier CSV ou JSON est obligatoire (champ "file")
+* - dryRun : valide le fichier sans rien enregistrer
+*/
+exports.validateImportQuery = (req, res, next) => {
+    const { dryRun } = req.query;
+
+    if (!req.files || !req.files.file) {
+        throwError(req, 400, 'Fichier CSV ou JSON requis');
+    }
+    if (dryRun !== undefined && dryRun !== 'true' && dryRun !== 'false') {
+        throwError(req, 400, 'Option dryRun invalide (true ou false)');
+    }
+
+    req.importOptions = { dryRun: dryRun === 'true' };
+
+    next();
+};
+
+
+/*
+* Validation des paramètres de pagination génériques (?page=&limit=)
+* Les valeurs nettoyées sont placées dans req.pagination
+*/
+exports.validatePagination = (req, res, next) => {
+    req.pagination = parsePagination(req);
+
+    next();
+};
+
+
+/*
+* Validation de l'avis écrit accompagnant une note (optionnel)
+* (utilisée pour POST et PUT /api/books/:id/rating)
+* - review.title : max 200 caractères (optionnel)
+* - review.body : non vide, max 5000 caractères
+* - absent : l'avis existant est conservé (PUT) / pas d'avis (POST)
+* - null : pas d'avis, ou suppression de l'avis existant (PUT)
+*/
+exports.validateReview = (req, res, next) => {
+    const { review } = req.body;
+
+    if (review === undefined || review === null) {
+        return next();
+    }
+
+    if (typeof review !== 'object' || typeof review.body !== 'string') {
+        throwError(req, 400, 'Avis invalide');
+    }
+
+    const cleanBody = review.body.trim();
+    const cleanTitle = typeof review.title === 'string' ? review.title.trim() : '';
+
+    // Un avis vide équivaut à une note sans avis
+    if (cleanBody.length === 0 && cleanTitle.length === 0) {
+        req.body.review = null;
+        return next();
+    }
+
+    if (!longTextRegex.test(cleanBody)) {
+        throwError(req, 400, 'Texte de l\'avis invalide (max 5000 caractères)');
+    }
+    if (cleanTitle.length > 200) {
+        throwError(req, 400, 'Titre de l\'avis invalide (max 200 caractères)');
+    }
+
+    req.body.review = { title: cleanTitle, body: cleanBody };
+
+    next();
+};
+
+/*
+* Validation d'une étagère personnalisée
+* POST /api/users/me/shelves et PUT /api/users/me/shelves/:id
+* Nom non vide, 50 caractères maximum
+*/
+exports.validateShelf = (req, res, next) => {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || !/^.{1,50}$/.test(name.trim())) {
+        throwError(req, 400, 'Nom d\'étagère invalide (1 à 50 caractères)');
+    }
+
+    req.body.name = name.trim();
+
+    next();
+};
+
+/*
+* Validation d'une date facultative (début ou fin de lecture)
+* Renvoie undefined si absente, null si vidée, sinon une Date qui n'est pas dans le futur
+*/
+const parseReadingDate = (req, value, message) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null || value === '') {
+        return null;
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime()) || date > new Date()) {
+        throwError(req, 400, message);
+    }
+    return date;
+};
+
+/*
+* Validation du suivi de lecture d'un livre
+* PUT /api/users/me/shelves/entries/:bookId
+* - status : "to-read", "reading" ou "read" (obligatoire)
+* - progress : entier de 0 à 100 (facultatif)
+* - startedAt / finishedAt : dates ISO (facultatives, pas dans le futur, fin après début)
+* - shelves : identifiants d'étagères personnalisées (facultatif)
+* Les valeurs nettoyées sont placées dans req.readingEntry
+*/
+exports.validateReadingEntry = (req, res, next) => {
+    const { status, progress, shelves } = req.body;
+
+    if (!READING_STATUSES.includes(status)) {
+        throwError(req, 400, 'Statut de lecture invalide');
+    }
+
+    const entry = { status };
+
+    if (progress !== undefined) {
+        const parsedProgress = Number(progress);
+        if (!Number.isInteger(parsedProgress) || parsedProgress < 0 || parsedProgress > 100) {
+            throwError(req, 400, 'Progression invalide (entre 0 et 100)');
+        }
+        entry.progress = parsedProgress;
+    }
+
+    entry.startedAt = parseReadingDate(req, req.body.startedAt, 'Date de début invalide');
+    entry.finishedAt = parseReadingDate(req, req.body.finishedAt, 'Date de fin invalide');
+
+    if (entry.startedAt && entry.finishedAt && entry.finishedAt < entry.startedAt) {
+        throwError(req, 400, 'La date de fin doit suivre la date de début');
+    }
+
+    if (shelves !== undefined) {
+        if (!Array.isArray(shelves) || !shelves.every((id) => typeof id === 'string' && objectIdRegex.test(id))) {
+            throwError(req, 400, 'Étagères invalides');
+        }
+        entry.shelves = [...new Set(shelves)];
+    }
+
+    req.readingEntry = entry;
+
+    next();
+};
+
+/*
+* Validation de la liste des livres d'une étagère
+* GET /api/users/me/shelves/entries?shelf=&page=&limit=
+* shelf : statut ("to-read", "reading", "read") ou identifiant d'étagère personnalisée
+* (absent : tous les livres suivis)
+*/
+exports.validateShelfEntriesQuery = (req, res, next) => {
+    const { shelf } = req.query;
+
+    if (shelf !== undefined && !READING_STATUSES.includes(shelf) && !objectIdRegex.test(shelf)) {
+        throwError(req, 400, 'Étagère invalide');
+    }
+
+    const pagination = parsePagination(req, { defaultLimit: 12 });
+
+    req.shelfOptions = {
+        shelf: shelf || null,
+        ...pagination
+    };
+
+    next();
+};
+
+/*
+* Validation des paramètres des recommandations
+* GET /api/books/recommendations?bookId=&limit=
+* - bookId : livre de départ (suggestions "Vous aimerez aussi"), facultatif pour un utilisateur connecté
+* - limit : nombre de suggestions (3 par défaut, 20 au maximum)
+*/
+exports.validateRecommendationQuery = (req, res, next) => {
+    const { bookId, limit } = req.query;
+
+    if (bookId !== undefined && !objectIdRegex.test(bookId)) {
+        throwError(req, 400, 'Identifiant de livre invalide');
+    }
+    if (bookId === undefined && !req.auth) {
+        throwError(req, 401, 'Requête non authentifiée');
+    }
+
+    const parsedLimit = parseLimit(req, limit, { defaultLimit: 3, maxLimit: 20 });
+
+    req.recommendationOptions = {
+        bookId: bookId || null,
+        limit: parsedLimit
+    };
+
+    next();
+};
+
+/*
+* Validation de la recherche d'auteurs ou de genres (autocomplétion)
+* GET /api/authors?q=&limit= et GET /api/genres?q=&limit=
+* - q : début du nom ou d'un de ses mots (facultatif : liste alphabétique)
+* - limit : nombre de résultats (10 par défaut, 50 au maximum)
+*/
+exports.validateEntitySearchQuery = (req, res, next) => {
+    const { q, limit } = req.query;
+
+    if (q !== undefined && (typeof q !== 'string' || q.length > 200)) {
+        throwError(req, 400, 'Recherche invalide (max 200 caractères)');
+    }
+
+    const parsedLimit = parseLimit(req, limit);
+
+    req.entitySearch = {
+        q: q ? slug(q) : '',
+        limit: parsedLimit
+    };
+
+    next();
+};
+
+/*
+* Validation d'une fusion d'auteurs ou de genres
+* POST /api/admin/authors/:slug/merge et POST /api/admin/genres/:slug/merge
+* Body : { "target": "slug-conserve" }
+*/
+exports.validateMerge = (req, res, next) => {
+    const { target } = req.body;
+
+    if (typeof target !== 'string' || !slug(target)) {
+        throwError(req, 400, 'Cible de la fusion invalide');
+    }
+
+    req.body.target = slug(target);
+
+    next();
+};
+
+/*
+* Validation d'une liste de livres
+* POST /api/lists (name obligatoire) et PUT /api/lists/:id (champs facultatifs)
+* - name : non vide, 100 caractères maximum
+* - description : 1000 caractères maximum (vide : effacée)
+* - visibility : "public" ou "private"
+* - bookIds : livres de la liste dans le nouvel ordre (PUT uniquement)
+* Les valeurs nettoyées sont placées dans req.listData
+*/
+exports.validateList = (req, res, next) => {
+    const { name, description, visibility, bookIds } = req.body;
+    const list = {};
+
+    if (name !== undefined || req.method === 'POST') {
+        if (typeof name !== 'string' || !/^.{1,100}$/.test(name.trim())) {
+            throwError(req, 400, 'Nom de liste invalide (1 à 100 caractères)');
+        }
+        list.name = name.trim();
+    }
+
+    if (description !== undefined) {
+        if (isEmpty(description)) {
+            list.description = '';
+        } else {
+            if (typeof description !== 'string' || description.trim().length > 1000) {
+                throwError(req, 400, 'Description invalide (max 1000 caractères)');
+            }
+            list.description = description.trim();
+        }
+    }
+
+    if (visibility !== undefined) {
+        if (!LIST_VISIBILITIES.includes(visibility)) {
+            throwError(req, 400, 'Visibilité invalide');
+        }
+        list.visibility = visibility;
+    }
+
+    if (bookIds !== undefined) {
+        if (req.method === 'POST'
+            || !Array.isArray(bookIds)
+            || bookIds.length > MAX_LIST_BOOKS
+            || !bookIds.every((id) => typeof id === 'string' && objectIdRegex.test(id))) {
+            throwError(req, 400, 'Livres invalides');
+        }
+        if (new Set(bookIds).size !== bookIds.length) {
+            throwError(req, 400, 'Un livre ne peut figurer qu\'une fois dans la liste');
+        }
+        list.bookIds = bookIds;
+    }
+
+    req.listData = list;
+
+    next();
+};
+
+/*
+* Validation de la recherche de listes
+* GET /api/lists?userId=&bookId=&page=&limit=
+* - userId : listes d'un utilisateur
+* - bookId : listes contenant un livre
+* Les valeurs nettoyées sont placées dans req.listQuery (pagination : 10 par défaut, 50 au maximum)
+*/
+exports.validateListQuery = (req, res, next) => {
+    const { userId, bookId } = req.query;
+
+    if (userId !== undefined && !objectIdRegex.test(userId)) {
+        throwError(req, 400, 'Identifiant d\'utilisateur invalide');
+    }
+    if (bookId !== undefined && !objectIdRegex.test(bookId)) {
+        throwError(req, 400, 'Identifiant de livre invalide');
+    }
+
+    const pagination = parsePagination(req);
+
+    req.listQuery = {
+        userId: userId || null,
+        bookId: bookId || null,
+        ...pagination
+    };
+
+    next();
+};
+
+/*
+* Validation de l'ajout d'un livre à une liste
+* POST /api/lists/:id/books
+* Body : { "bookId": "..." }
+*/
+exports.validateListBook = (req, res, next) => {
+    const { bookId } = req.body;
+
+    if (typeof bookId !== 'string' || !objectIdRegex.test(bookId)) {
+        throwError(req, 400, 'Identifiant de livre invalide');
+    }
+
+    next();
+};
+
+/*
+* Validation des filtres du journal d'audit
+* GET /api/admin/audit?event=&userId=&targetId=&from=&to=&page=&limit=
+* - event : type d'événement (login.failed, book.deleted...)
+* - userId : utilisateur à l'origine de l'action
+* - targetId : objet concerné (livre, utilisateur)
+* - from / to : période (dates ISO, to après from)
+* Les valeurs nettoyées sont placées dans req.auditQuery (pagination : 20 par défaut, 100 au maximum)
+*/
+exports.validateAuditQuery = (req, res, next) => {
+    const { event, userId, targetId, from, to } = req.query;
+
+    if (event !== undefined && !AUDIT_EVENTS.includes(event)) {
+        throwError(req, 400, `Événement invalide (${AUDIT_EVENTS.join(', ')})`);
+    }
+    if (userId !== undefined && !objectIdRegex.test(userId)) {
+        throwError(req, 400, 'Identifiant d\'utilisateur invalide');
+    }
+    if (targetId !== undefined && !objectIdRegex.test(targetId)) {
+        throwError(req, 400, 'Identifiant de l\'objet concerné invalide');
+    }
+
+    const fromDate = from === undefined ? null : new Date(from);
+    const toDate = to === undefined ? null : new Date(to);
+    if (fromDate && Number.isNaN(fromDate.getTime())) {
+        throwError(req, 400, 'Date de début invalide');
+    }
+    if (toDate && Number.isNaN(toDate.getTime())) {
+        throwError(req, 400, 'Date de fin invalide');
+    }
+    if (fromDate && toDate && toDate < fromDate) {
+        throwError(req, 400, 'La date de fin doit être après la date de début');
+    }
+
+    const pagination = parsePagination(req, { defaultLimit: 20, maxLimit: 100 });
+
+    req.auditQuery = {
+        event: event || null,
+        userId: userId || null,
+        targetId: targetId || null,
+        from: fromDate,
+        to: toDate,
+        ...pagination
+    };
+
+    next();
+};
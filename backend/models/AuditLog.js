@@ -0,0 +1,72 @@
+/**
+ * Modèle Mongoose : AuditLog
+ *
+ * Journal d'audit des événements sensibles pour la sécurité : échecs de connexion,
+ * suppressions de livres et de notes, actions de modération sur les comptes...
+ * Les entrées ne sont jamais modifiées ; elles sont consultables par les administrateurs
+ * (GET /api/admin/audit).
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Événements journalisés
+ */
+const AUDIT_EVENTS = [
+    'login.failed', // Connexion refusée (email inconnu, mot de passe incorrect, compte suspendu)
+    'password.reset', // Mot de passe réinitialisé par le lien reçu par email
+    'book.imported', // Livres importés depuis un fichier CSV ou JSON
+    'book.deleted', // Livre mis à la corbeille
+    'book.restored', // Livre restauré depuis la corbeille
+    'book.reverted', // Livre ramené à une révision précédente
+    'rating.deleted', // Note retirée (par son auteur ou par la modération)
+    'user.banned', // Compte suspendu
+    'user.unbanned', // Compte réactivé
+    'user.role_changed' // Rôle modifié
+];
+
+/**
+ * Schéma entrée du journal
+ * - event : type d'événement (AUDIT_EVENTS)
+ * - userId : utilisateur à l'origine de l'action (null si anonyme, ex: connexion refusée)
+ * - targetType / targetId : objet concerné ("book", "user"...)
+ * - ip : adresse IP de la requête
+ * - details : informations propres à l'événement (email saisi, motif, ancien rôle...)
+ */
+const auditLogSchema = mongoose.Schema({
+    event: {
+        type: String,
+        enum: AUDIT_EVENTS,
+        required: true
+    },
+    userId: {
+        type: String,
+        default: null
+    },
+    targetType: {
+        type: String,
+        default: null
+    },
+    targetId: {
+        type: String,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, { timestamps: { createdAt: true, updatedAt: false }, minimize: false });
+
+/**
+ * Recherches du journal : par date, par événement, par utilisateur ou par objet concerné
+ */
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ event: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_EVENTS = AUDIT_EVENTS;
@@ -0,0 +1,33 @@
+/**
+ * Modèle Mongoose : Author
+ *
+ * Auteur d'un ou plusieurs livres.
+ * Les livres gardent le nom dans leur champ author (affichage, recherche, filtres)
+ * et référencent le document par authorId.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Schéma author
+ * - name : nom affiché ("Victor Hugo")
+ * - slug : identifiant lisible dans les URLs, dérivé du nom (unique)
+ * - aliases : slugs des autres écritures du même nom ("V. Hugo"...), ajoutés lors d'une fusion
+ */
+const authorSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    aliases: {
+        type: [String],
+        default: [],
+        index: true
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Author', authorSchema);
@@ -6,12 +6,33 @@
  */
 
 const mongoose = require('mongoose');
+const { coverUrls } = require('../utils/coverImages'); // URLs publiques dérivées des clés d'images
+const { PRIOR_MEAN } = require('../utils/ratingScore'); // Score d'un livre sans notes
+
+/**
+ * Schéma pour un avis écrit (review)
+ * Optionnel, il accompagne une note :
+ * - title : titre court de l'avis
+ * - body : texte de l'avis
+ */
+const reviewSchema = mongoose.Schema({
+    title: {
+        type: String,
+        default: ''
+    },
+    body: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
 
 /**
  * Schéma pour une note (rating)
  * Chaque note contient :
  * - userId : l'identifiant de l'utilisateur qui a noté
  * - grade : la note donnée (nombre)
+ * - review : l'avis écrit associé (optionnel)
+ * - createdAt / updatedAt : dates de création et de dernière modification
  */
 const ratingSchema = mongoose.Schema({
     userId: {
@@ -21,9 +42,42 @@ const ratingSchema = mongoose.Schema({
     grade: {
         type: Number,
         required: true
+    },
+    review: {
+        type: reviewSchema,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
     }
 }, { _id: false }); // On désactive l'_id automatique pour les sous-documents
 
+/**
+ * Schéma des variantes d'une taille de couverture (clés de stockage par format)
+ */
+const imageFormatsSchema = mongoose.Schema({
+    avif: String,
+    webp: String,
+    jpeg: String
+}, { _id: false });
+
+/**
+ * Schéma des variantes de couverture générées par Sharp
+ * - thumbnail : 200x300 (liste des livres)
+ * - medium : 400x600 (page d'un livre)
+ * - large : 800x1200 (écrans haute densité)
+ */
+const imagesSchema = mongoose.Schema({
+    thumbnail: imageFormatsSchema,
+    medium: imageFormatsSchema,
+    large: imageFormatsSchema
+}, { _id: false });
+
 /**
  * Schéma principal Book
  * Il décrit la structure complète d'un livre en base de données.
@@ -40,11 +94,22 @@ const bookSchema = mongoose.Schema({
     },
     author: {
         type: String,
-        required: true // Auteur du livre
+        required: true // Auteur du livre (nom du document Author)
+    },
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Author',
+        index: true // Document Author (page auteur, fusions)
+    },
+    imageKey: {
+        type: String // Clé de stockage de l'image principale (variante medium en JPEG)
     },
     imageUrl: {
-        type: String,
-        required: true // URL de l'image stockée sur le serveur
+        type: String // Ancienne URL complète (livres créés avant le service de stockage)
+    },
+    images: {
+        type: imagesSchema,
+        default: null // Variantes de la couverture (absentes pour les livres plus anciens)
     },
     year: {
         type: Number,
@@ -52,7 +117,41 @@ const bookSchema = mongoose.Schema({
     },
     genre: {
         type: String,
-        required: true // Genre du livre
+        required: true // Genre du livre (nom du document Genre)
+    },
+    genreId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Genre',
+        index: true // Document Genre (page genre, fusions)
+    },
+    isbn: {
+        type: String,
+        default: null // ISBN-13 sans séparateurs (les ISBN-10 sont convertis)
+    },
+    publishingHouse: {
+        type: String,
+        default: null // Éditeur (maison d'édition), à ne pas confondre avec l'utilisateur qui a publié le livre
+    },
+    language: {
+        type: String,
+        default: null // Code langue ISO ("fr", "en"...)
+    },
+    pageCount: {
+        type: Number,
+        default: null // Nombre de pages
+    },
+    edition: {
+        type: String,
+        default: null // Mention d'édition ("Folio", "2e édition"...)
+    },
+    tags: {
+        type: [String],
+        default: [],
+        index: true // Tags libres, en minuscules ("polar", "club de lecture"...)
+    },
+    workKey: {
+        type: String,
+        index: true // Titre + auteur normalisés, communs à toutes les éditions d'une œuvre
     },
     ratings: {
         type: [ratingSchema],
@@ -61,6 +160,133 @@ const bookSchema = mongoose.Schema({
     averageRating: {
         type: Number,
         default: 0 // Moyenne des notes (0 par défaut)
+    },
+    ratingsCount: {
+        type: Number,
+        default: 0 // Nombre de notes
+    },
+    weightedRating: {
+        type: Number,
+        default: PRIOR_MEAN // Moyenne bayésienne, pour le classement (voir utils/ratingScore.js)
+    },
+    deletedAt: {
+        type: Date,
+        default: null,
+        index: true // Date de mise à la corbeille (null : livre visible)
+    },
+    deletedBy: {
+        type: String,
+        default: null // Utilisateur qui a supprimé le livre (propriétaire ou modérateur)
+    },
+    version: {
+        type: Number,
+        default: 0 // Incrémenté à chaque modification du livre (ETag, requêtes conditionnelles)
+    }
+}, {
+    /**
+     * À l'envoi au client, les clés d'images sont remplacées par leurs URLs publiques :
+     * imageUrl et images contiennent toujours des URLs, quel que soit le stockage.
+     */
+    toJSON: {
+        transform: (doc, ret) => {
+            const { imageUrl, images } = coverUrls(ret);
+            ret.imageUrl = imageUrl;
+            ret.images = images;
+            delete ret.imageKey;
+            return ret;
+        }
+    }
+});
+
+/**
+ * Index texte pour la recherche plein texte (GET /api/books/search)
+ * - porte sur le titre, l'auteur et le genre (le titre pèse le plus)
+ * - les index texte MongoDB (v3) ignorent les accents : "Gérard" trouve "Gerard"
+ * - language_override pointe vers un champ inexistant pour que le champ
+ *   "language" du livre ("fr", "en"...) ne soit pas interprété par l'index
+ */
+bookSchema.index(
+    { title: 'text', author: 'text', genre: 'text' },
+    {
+        name: 'book_text_search',
+        weights: { title: 10, author: 5, genre: 2 },
+        default_language: 'french',
+        language_override: 'textSearchLanguage'
+    }
+);
+
+/**
+ * Index du classement des livres les mieux notés (GET /api/books/bestrating)
+ */
+bookSchema.index({ weightedRating: -1, _id: 1 });
+
+/**
+ * Un même ISBN ne peut être enregistré qu'une fois (les livres sans ISBN ne sont pas concernés)
+ */
+bookSchema.index(
+    { isbn: 1 },
+    {
+        name: 'book_isbn_unique',
+        unique: true,
+        partialFilterExpression: { isbn: { $type: 'string' } }
+    }
+);
+
+/**
+ * Corbeille : les livres supprimés (deletedAt renseigné) sont exclus de toutes les requêtes
+ *
+ * - un filtre deletedAt: null est ajouté aux requêtes et, en première étape, aux agrégations
+ * - une requête qui filtre elle-même sur deletedAt (corbeille, restauration, purge) n'est pas modifiée
+ * - l'option withDeleted inclut les livres de la corbeille (scripts de maintenance, fusions) :
+ *   Book.find({}).setOptions({ withDeleted: true }), Book.aggregate([...]).option({ withDeleted: true })
+ */
+const SOFT_DELETE_QUERIES = [
+    'countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate',
+    'findOneAndDelete', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'
+];
+
+bookSchema.pre(SOFT_DELETE_QUERIES, function () {
+    const { withDeleted } = this.getOptions();
+    delete this.options.withDeleted; // option propre à ce modèle, non transmise à MongoDB
+
+    if (!withDeleted && !Object.hasOwn(this.getFilter(), 'deletedAt')) {
+        this.where({ deletedAt: null });
+    }
+});
+
+bookSchema.pre('aggregate', function () {
+    const { withDeleted } = this.options;
+    delete this.options.withDeleted;
+
+    const [firstStage] = this.pipeline();
+    if (!withDeleted && !(firstStage && firstStage.$match && Object.hasOwn(firstStage.$match, 'deletedAt'))) {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+});
+
+/**
+ * Version du livre : incrémentée par toute requête de mise à jour (updateOne, updateMany,
+ * findOneAndUpdate : modification, notes, corbeille...), sans que chaque controller ait à y penser
+ *
+ * Book.bulkWrite ne passe pas par ces hooks : chaque opération de mise à jour d'un bulkWrite
+ * doit incrémenter elle-même la version ($inc: { version: 1 }, voir les fusions et migrations).
+ *
+ * Elle donne l'ETag de GET /api/books/:id et permet de refuser l'enregistrement
+ * d'un livre modifié entre-temps (If-Match, voir middleware/conditional.js).
+ */
+const VERSIONED_UPDATES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+bookSchema.pre(VERSIONED_UPDATES, function () {
+    const update = this.getUpdate();
+    if (!update) {
+        return;
+    }
+
+    if (Array.isArray(update)) {
+        // Mise à jour par pipeline (notes) : étape supplémentaire
+        update.push({ $set: { version: { $add: [{ $ifNull: ['$version', 0] }, 1] } } });
+    } else {
+        update.$inc = { ...update.$inc, version: 1 };
     }
 });
 
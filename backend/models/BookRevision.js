@@ -0,0 +1,91 @@
+/**
+ * Modèle Mongoose : BookRevision
+ *
+ * Historique des modifications d'un livre : chaque création, modification
+ * ou retour à une version précédente enregistre une révision, avec les champs
+ * modifiés (ancienne et nouvelle valeur), l'auteur de la modification et la date.
+ * Les couvertures remplacées restent dans le stockage : un retour en arrière les réutilise.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Types de révision
+ * - create : création du livre (valeurs initiales)
+ * - update : modification par le formulaire
+ * - revert : retour à une révision précédente
+ */
+const REVISION_ACTIONS = ['create', 'update', 'revert'];
+
+/**
+ * Champs suivis dans l'historique (les notes et la corbeille ont leur propre suivi)
+ */
+const REVISION_FIELDS = [
+    'title',
+    'author',
+    'year',
+    'genre',
+    'isbn',
+    'publishingHouse',
+    'language',
+    'pageCount',
+    'edition',
+    'tags'
+];
+
+/**
+ * Schéma révision
+ * - bookId : livre modifié
+ * - userId : utilisateur à l'origine de la modification (propriétaire ou modérateur)
+ * - action : "create", "update" ou "revert"
+ * - changes : champs modifiés, avec leur ancienne (from) et leur nouvelle (to) valeur
+ * - previousCover / cover : couverture avant et après la révision (si elle a changé),
+ *   sous forme de clés de stockage { imageKey, imageUrl, images }
+ * - revertedTo : révision rétablie (action "revert")
+ */
+const bookRevisionSchema = mongoose.Schema({
+    bookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Book',
+        required: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: REVISION_ACTIONS,
+        required: true
+    },
+    changes: {
+        type: [{
+            _id: false,
+            field: { type: String, enum: REVISION_FIELDS, required: true },
+            from: { type: mongoose.Schema.Types.Mixed, default: null },
+            to: { type: mongoose.Schema.Types.Mixed, default: null }
+        }],
+        default: []
+    },
+    previousCover: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    cover: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    revertedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookRevision',
+        default: null
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+/**
+ * Historique d'un livre, de la révision la plus récente à la plus ancienne
+ */
+bookRevisionSchema.index({ bookId: 1, _id: -1 });
+
+module.exports = mongoose.model('BookRevision', bookRevisionSchema);
+module.exports.REVISION_ACTIONS = REVISION_ACTIONS;
+module.exports.REVISION_FIELDS = REVISION_FIELDS;
@@ -0,0 +1,33 @@
+/**
+ * Modèle Mongoose : Genre
+ *
+ * Genre d'un ou plusieurs livres.
+ * Les livres gardent le nom dans leur champ genre (affichage, recherche, filtres)
+ * et référencent le document par genreId.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Schéma genre
+ * - name : nom affiché ("Science-fiction")
+ * - slug : identifiant lisible dans les URLs, dérivé du nom (unique)
+ * - aliases : slugs des autres écritures du même nom ("SF"...), ajoutés lors d'une fusion
+ */
+const genreSchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    aliases: {
+        type: [String],
+        default: [],
+        index: true
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Genre', genreSchema);
@@ -0,0 +1,70 @@
+/**
+ * Modèle Mongoose : List
+ *
+ * Liste de livres composée par un utilisateur ("Meilleurs polars nordiques",
+ * "À offrir"...). Contrairement aux étagères, une liste est ordonnée
+ * et peut être publique : elle est alors visible et partageable par tous.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Visibilités d'une liste
+ * - public : visible par tous, lien partageable
+ * - private : visible uniquement par son propriétaire
+ */
+const LIST_VISIBILITIES = ['public', 'private'];
+
+/**
+ * Nombre maximum de livres dans une liste
+ */
+const MAX_LIST_BOOKS = 500;
+
+/**
+ * Schéma liste
+ * - userId : propriétaire de la liste
+ * - name : nom choisi par l'utilisateur (unique pour un même utilisateur)
+ * - description : présentation facultative
+ * - visibility : "public" ou "private"
+ * - books : livres de la liste, dans l'ordre choisi par le propriétaire
+ */
+const listSchema = mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    visibility: {
+        type: String,
+        enum: LIST_VISIBILITIES,
+        default: 'private'
+    },
+    books: {
+        type: [{
+            _id: false,
+            bookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+            addedAt: { type: Date, default: Date.now }
+        }],
+        default: []
+    }
+}, { timestamps: true });
+
+/**
+ * Un utilisateur ne peut pas avoir deux listes du même nom
+ */
+listSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+/**
+ * Listes contenant un livre (page du livre)
+ */
+listSchema.index({ 'books.bookId': 1 });
+
+module.exports = mongoose.model('List', listSchema);
+module.exports.LIST_VISIBILITIES = LIST_VISIBILITIES;
+module.exports.MAX_LIST_BOOKS = MAX_LIST_BOOKS;
@@ -0,0 +1,67 @@
+/**
+ * Modèle Mongoose : ReadingEntry
+ *
+ * Suivi de lecture d'un livre par un utilisateur (un seul suivi par livre et par utilisateur) :
+ * statut, dates de début et de fin, progression et étagères personnalisées.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Statuts de lecture, chacun correspondant à une étagère par défaut
+ */
+const READING_STATUSES = ['to-read', 'reading', 'read'];
+
+/**
+ * Schéma suivi de lecture
+ * - userId / bookId : lecteur et livre suivis
+ * - status : "to-read" (à lire), "reading" (en cours) ou "read" (lu)
+ * - shelves : étagères personnalisées (Shelf) dans lesquelles le livre est rangé
+ * - startedAt / finishedAt : dates de début et de fin de lecture
+ * - progress : progression en pourcentage (0 à 100)
+ */
+const readingEntrySchema = mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    bookId: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: READING_STATUSES,
+        required: true
+    },
+    shelves: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Shelf' }],
+        default: []
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    progress: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    }
+}, { timestamps: true });
+
+/**
+ * Un seul suivi par livre et par utilisateur
+ */
+readingEntrySchema.index({ userId: 1, bookId: 1 }, { unique: true });
+
+/**
+ * Liste d'une étagère : suivis d'un utilisateur par statut, du plus récent au plus ancien
+ */
+readingEntrySchema.index({ userId: 1, status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('ReadingEntry', readingEntrySchema);
+module.exports.READING_STATUSES = READING_STATUSES;
@@ -0,0 +1,43 @@
+/**
+ * Modèle Mongoose : Session
+ *
+ * Une session est créée à chaque connexion. Elle porte le refresh token
+ * (uniquement son hash) qui permet d'obtenir de nouveaux tokens d'accès.
+ * Révoquer la session (déconnexion, réutilisation suspecte d'un refresh token)
+ * invalide immédiatement tous les tokens d'accès qui y sont rattachés.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Schéma session
+ * - userId : utilisateur propriétaire de la session
+ * - refreshTokenHash : hash SHA-256 du refresh token courant (jamais le token en clair)
+ * - expiresAt : date d'expiration du refresh token
+ * - revokedAt : date de révocation (null tant que la session est active)
+ */
+const sessionSchema = mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+/**
+ * Index TTL : MongoDB supprime automatiquement les sessions expirées
+ */
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,31 @@
+/**
+ * Modèle Mongoose : Shelf
+ *
+ * Étagère personnalisée d'un utilisateur ("Vacances", "Club de lecture"...).
+ * Les trois étagères de statut (à lire, en cours, lu) n'ont pas de document :
+ * elles correspondent au champ status des ReadingEntry.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Schéma étagère
+ * - userId : propriétaire de l'étagère
+ * - name : nom choisi par l'utilisateur (unique pour un même utilisateur)
+ */
+const shelfSchema = mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    }
+}, { timestamps: true });
+
+/**
+ * Un utilisateur ne peut pas avoir deux étagères du même nom
+ */
+shelfSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Shelf', shelfSchema);
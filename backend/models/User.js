@@ -5,6 +5,7 @@
  * Il permet de valider les données et de créer la collection correspondante.
  */
 const mongoose = require('mongoose');
+const avatarUrl = require('../utils/avatarUrl'); // URL publique dérivée de la clé d'avatar
 
 
 /**
@@ -12,6 +13,13 @@ const mongoose = require('mongoose');
  * - _id créé automatiquement par MongoDB à la création du modèle
  * - email : adresse email unique et obligatoire
  * - password : mot de passe hashé avec bcrypt (jamais en clair)
+ * - verified : true une fois l'adresse email confirmée via le lien reçu par email
+ * - displayName : nom public affiché (livres publiés, avis...)
+ * - avatarKey : clé de stockage de l'avatar optimisé avec Sharp
+ * - avatarUrl : ancienne URL complète (comptes antérieurs au service de stockage)
+ * - bio : courte présentation
+ * - role : "user", "moderator" ou "admin" (modération des contenus)
+ * - banned / bannedAt : compte suspendu par un modérateur ou un administrateur
  */
 const userSchema = mongoose.Schema({
     email: {
@@ -22,6 +30,48 @@ const userSchema = mongoose.Schema({
     password: {
         type: String,
         required: true // Le mot de passe est obligatoire
+    },
+    verified: {
+        type: Boolean,
+        default: false // Email non vérifié tant que le lien n'a pas été ouvert
+    },
+    displayName: {
+        type: String,
+        default: '' // Nom public (à défaut, on affiche le début de l'email)
+    },
+    avatarKey: {
+        type: String,
+        default: '' // Pas d'avatar par défaut
+    },
+    avatarUrl: {
+        type: String,
+        default: '' // Ancienne URL complète de l'avatar
+    },
+    bio: {
+        type: String,
+        default: '' // Courte présentation
+    },
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user' // Rôle utilisé pour les contrôles d'accès
+    },
+    banned: {
+        type: Boolean,
+        default: false // Un compte suspendu ne peut plus se connecter
+    },
+    bannedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    // À l'envoi au client, avatarUrl est toujours l'URL publique dérivée de la clé
+    toJSON: {
+        transform: (doc, ret) => {
+            ret.avatarUrl = avatarUrl(ret);
+            delete ret.avatarKey;
+            return ret;
+        }
     }
 });
 
@@ -0,0 +1,49 @@
+/**
+ * Modèle Mongoose : UserToken
+ *
+ * Token à usage unique envoyé par email à un utilisateur
+ * (réinitialisation du mot de passe, vérification de l'adresse email).
+ * Seul le hash du token est stocké : le token en clair n'existe que dans l'email.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Schéma token utilisateur
+ * - userId : utilisateur concerné
+ * - type : usage du token ("password-reset" ou "email-verification")
+ * - tokenHash : hash SHA-256 du token envoyé
+ * - expiresAt : date d'expiration
+ * - usedAt : date d'utilisation (null tant que le token n'a pas servi)
+ */
+const userTokenSchema = mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['password-reset', 'email-verification']
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+/**
+ * Index TTL : MongoDB supprime automatiquement les tokens expirés
+ */
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
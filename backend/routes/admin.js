@@ -0,0 +1,94 @@
+/**
+ * Routes d'administration
+ *
+ * Ce fichier définit les endpoints réservés aux modérateurs et administrateurs.
+ * Il ne contient aucune logique métier : chaque route délègue
+ * le traitement au controller correspondant.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Middleware d'authentification JWT
+const auth = require('../middleware/auth');
+
+// Middlewares d'autorisation par rôle
+const { requireRole, requireOwnerOrRole, STAFF_ROLES } = require('../middleware/authorize');
+
+// Middlewares de validation (pagination, fusion, filtres du journal d'audit)
+const { validatePagination, validateMerge, validateAuditQuery } = require('../middleware/validators');
+
+// Middleware de contrôle de concurrence optimiste (If-Match / ETag)
+const { checkIfMatch } = require('../middleware/conditional');
+
+// Modèle Book, pour charger le livre à supprimer
+const Book = require('../models/Book');
+
+// Controllers
+const adminCtrl = require('../controllers/admin');
+const bookCtrl = require('../controllers/book');
+const authorCtrl = require('../controllers/author');
+const genreCtrl = require('../controllers/genre');
+
+/**
+ * Toutes les routes d'administration exigent un modérateur ou un administrateur
+ */
+router.use(auth, requireRole(...STAFF_ROLES));
+
+/**
+ * Lister les utilisateurs
+ * GET /api/admin/users?page=&limit=&role=&banned=
+ */
+router.get('/users', validatePagination, adminCtrl.listUsers);
+
+/**
+ * Suspendre un utilisateur
+ * POST /api/admin/users/:id/ban
+ */
+router.post('/users/:id/ban', adminCtrl.banUser);
+
+/**
+ * Réactiver un utilisateur
+ * DELETE /api/admin/users/:id/ban
+ */
+router.delete('/users/:id/ban', adminCtrl.unbanUser);
+
+/**
+ * Changer le rôle d'un utilisateur (ADMIN uniquement)
+ * PUT /api/admin/users/:id/role
+ */
+router.put('/users/:id/role', requireRole('admin'), adminCtrl.setRole);
+
+/**
+ * Supprimer n'importe quel livre
+ * DELETE /api/admin/books/:id
+ * If-Match facultatif : 412 si le livre a été modifié depuis sa lecture
+ */
+router.delete('/books/:id', requireOwnerOrRole(Book, 'Livre non trouvé'), checkIfMatch, bookCtrl.deleteBook);
+
+/**
+ * Supprimer la note d'un utilisateur sur un livre
+ * DELETE /api/admin/books/:id/ratings/:userId
+ */
+router.delete('/books/:id/ratings/:userId', bookCtrl.deleteRating);
+
+/**
+ * Fusionner un auteur dans un autre (ex: "V. Hugo" dans "Victor Hugo")
+ * POST /api/admin/authors/:slug/merge
+ */
+router.post('/authors/:slug/merge', validateMerge, authorCtrl.merge);
+
+/**
+ * Fusionner un genre dans un autre
+ * POST /api/admin/genres/:slug/merge
+ */
+router.post('/genres/:slug/merge', validateMerge, genreCtrl.merge);
+
+/**
+ * Consulter le journal d'audit (ADMIN uniquement)
+ * GET /api/admin/audit?event=&userId=&targetId=&from=&to=&page=&limit=
+ */
+router.get('/audit', requireRole('admin'), validateAuditQuery, adminCtrl.listAuditLog);
+
+// Export du routeur
+module.exports = router;
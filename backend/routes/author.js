@@ -0,0 +1,31 @@
+/**
+ * Routes des auteurs
+ *
+ * Ce fichier définit les endpoints publics des auteurs (la fusion est dans les routes d'administration).
+ * Il ne contient aucune logique métier : chaque route délègue
+ * le traitement au controller correspondant.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Middlewares de validation
+const { validateEntitySearchQuery, validatePagination } = require('../middleware/validators');
+
+// Controller des auteurs
+const authorCtrl = require('../controllers/author');
+
+/**
+ * Rechercher des auteurs par nom, pour l'autocomplétion (PUBLIC)
+ * GET /api/authors?q=&limit=
+ */
+router.get('/', validateEntitySearchQuery, authorCtrl.search);
+
+/**
+ * Récupérer un auteur et ses livres (PUBLIC)
+ * GET /api/authors/:slug?page=&limit=
+ */
+router.get('/:slug', validatePagination, authorCtrl.getOne);
+
+// Export du routeur
+module.exports = router;
@@ -12,58 +12,188 @@ const router = express.Router();
 // Middleware d'authentification JWT 
 const auth = require('../middleware/auth');
 
+// Middleware d'authentification facultative (visiteur anonyme ou utilisateur connecté)
+const optionalAuth = require('../middleware/optionalAuth');
+
+// Middleware refusant les écritures aux comptes dont l'email n'est pas vérifié
+const requireVerified = require('../middleware/requireVerified');
+
+// Middleware d'autorisation : propriétaire du livre ou modérateur/administrateur
+const { requireOwnerOrRole } = require('../middleware/authorize');
+
+// Middleware de contrôle de concurrence optimiste (If-Match / ETag)
+const { checkIfMatch } = require('../middleware/conditional');
+
+// Modèle Book, pour charger le livre dont on vérifie le propriétaire
+const Book = require('../models/Book');
+
 // Import du middleware de validation pour les livres 
-const { validateBook } = require('../middleware/validators');
+const {
+    validateBook,
+    validateBookQuery,
+    validateBestRatingQuery,
+    validateSearchQuery,
+    validateIsbnQuery,
+    validateExportQuery,
+    validateImportQuery,
+    validateRecommendationQuery,
+    validatePagination,
+    validateReview
+} = require('../middleware/validators');
 
 // Middleware de gestion des fichiers (images de couverture)
 const multer = require('../middleware/multer-config');
 
+// Middleware de gestion des fichiers de l'import en masse (CSV/JSON et zip de couvertures)
+const multerImport = require('../middleware/multer-import');
+
 // Controller des livres 
 const bookCtrl = require('../controllers/book');
 
+// Controller de recherche de métadonnées par ISBN
+const lookupCtrl = require('../controllers/lookup');
+
+// Controller de l'import et de l'export du catalogue
+const catalogueCtrl = require('../controllers/catalogue');
+
+// Controller des recommandations
+const recommendationCtrl = require('../controllers/recommendation');
+
+/**
+ * Récupérer les livres paginés, filtrés et triés (PUBLIC)
+ * GET /api/books?page=&limit=&sort=&order=&genre=&author=&tag=&yearMin=&yearMax=&minRating=
+ */
+router.get('/', validateBookQuery, bookCtrl.getAllBooks);
+
 /**
- * Récupérer tous les livres (PUBLIC)
- * GET /api/books
+ * Récupérer les livres les mieux notés (PUBLIC)
+ * GET /api/books/bestrating?limit=&genre=&period=week|month|year
  */
-router.get('/', bookCtrl.getAllBooks);
+router.get('/bestrating', validateBestRatingQuery, bookCtrl.getBestRatingBooks);
 
 /**
- * Récupérer les 3 livres les mieux notés (PUBLIC)
- * GET /api/books/bestrating
+ * Récupérer des recommandations personnalisées ou liées à un livre (PUBLIC avec bookId, sinon PRIVÉ)
+ * GET /api/books/recommendations?bookId=&limit=
+ * Déclarée avant /:id pour ne pas être interprétée comme un id
  */
-router.get('/bestrating', bookCtrl.getBestRatingBooks);
+router.get('/recommendations', optionalAuth, validateRecommendationQuery, recommendationCtrl.getRecommendations);
+
+/**
+ * Rechercher des livres par titre, auteur ou genre (PUBLIC)
+ * GET /api/books/search?q=&page=&limit=
+ * Déclarée avant /:id pour ne pas être interprétée comme un id
+ */
+router.get('/search', validateSearchQuery, bookCtrl.searchBooks);
+
+/**
+ * Exporter le catalogue en CSV ou en JSON (PUBLIC)
+ * GET /api/books/export?format=csv|json
+ */
+router.get('/export', validateExportQuery, catalogueCtrl.exportBooks);
+
+/**
+ * Rechercher les métadonnées d'un livre par ISBN, pour pré-remplir le formulaire (PRIVÉ)
+ * GET /api/books/lookup?isbn=
+ * GET /api/books/lookup/cover?isbn= (image de couverture)
+ * Déclarées avant /:id pour ne pas être interprétées comme un id
+ */
+router.get('/lookup', auth, validateIsbnQuery, lookupCtrl.lookupIsbn);
+router.get('/lookup/cover', auth, validateIsbnQuery, lookupCtrl.lookupCover);
+
+/**
+ * Lister la corbeille : ses livres supprimés (tous pour les modérateurs et administrateurs)
+ * GET /api/books/trash?page=&limit=
+ */
+router.get('/trash', auth, validatePagination, bookCtrl.getTrash);
 
 /**
  * Récupérer un livre par son id (PUBLIC)
  * GET /api/books/:id
+ * Réponse avec ETag ; If-None-Match → 304 si le livre n'a pas changé
  */
 router.get('/:id', bookCtrl.getOneBook);
 
 
+/**
+ * Lister les autres éditions d'un livre (même titre et même auteur) (PUBLIC)
+ * GET /api/books/:id/editions
+ */
+router.get('/:id/editions', bookCtrl.getEditions);
+
+/**
+ * Statistiques de notation d'un livre : répartition des notes et évolution de la moyenne (PUBLIC)
+ * GET /api/books/:id/stats
+ */
+router.get('/:id/stats', bookCtrl.getStats);
+
+/**
+ * Lister les avis écrits d'un livre, du plus récent au plus ancien (PUBLIC)
+ * GET /api/books/:id/reviews?page=&limit=
+ */
+router.get('/:id/reviews', validatePagination, bookCtrl.getReviews);
 
 /**
  * Créer un nouveau livre (PRIVÉ)
  * POST /api/books
  */
-router.post('/', auth, multer, validateBook, bookCtrl.createBook);
+router.post('/', auth, requireVerified, multer, validateBook, bookCtrl.createBook);
 
 /**
- * Modifier un livre existant (PRIVÉ)
+ * Importer des livres depuis un fichier CSV ou JSON (PRIVÉ)
+ * POST /api/books/import?dryRun=true
+ */
+router.post('/import', auth, requireVerified, multerImport, validateImportQuery, catalogueCtrl.importBooks);
+
+/**
+ * Modifier un livre existant (PRIVÉ : propriétaire, modérateur ou administrateur)
  * PUT /api/books/:id
+ * If-Match facultatif : 412 si le livre a été modifié depuis sa lecture
  */
-router.put('/:id', auth, multer, validateBook, bookCtrl.modifyBook);
+router.put('/:id', auth, requireVerified, requireOwnerOrRole(Book, 'Livre non trouvé'), checkIfMatch, multer, validateBook, bookCtrl.modifyBook);
 
 /**
- * Supprimer un livre (PRIVÉ)
+ * Supprimer un livre : mise à la corbeille (PRIVÉ : propriétaire, modérateur ou administrateur)
  * DELETE /api/books/:id
+ * If-Match facultatif : 412 si le livre a été modifié depuis sa lecture
+ */
+router.delete('/:id', auth, requireVerified, requireOwnerOrRole(Book, 'Livre non trouvé'), checkIfMatch, bookCtrl.deleteBook);
+
+/**
+ * Restaurer un livre de la corbeille (propriétaire qui l'a supprimé, modérateur ou administrateur)
+ * POST /api/books/:id/restore
  */
-router.delete('/:id', auth, bookCtrl.deleteBook);
+router.post('/:id/restore', auth, requireVerified, bookCtrl.restoreBook);
+
+/**
+ * Consulter l'historique des modifications d'un livre (PRIVÉ : propriétaire, modérateur ou administrateur)
+ * GET /api/books/:id/history?page=&limit=
+ */
+router.get('/:id/history', auth, requireOwnerOrRole(Book, 'Livre non trouvé'), validatePagination, bookCtrl.getHistory);
+
+/**
+ * Revenir à une révision de l'historique (PRIVÉ : propriétaire, modérateur ou administrateur)
+ * POST /api/books/:id/history/:revisionId/revert
+ * If-Match facultatif : 412 si le livre a été modifié depuis sa lecture
+ */
+router.post('/:id/history/:revisionId/revert', auth, requireVerified, requireOwnerOrRole(Book, 'Livre non trouvé'), checkIfMatch, bookCtrl.revertBook);
 
 /**
  * Noter un livre (PRIVÉ)
  * POST /api/books/:id/rating
  */
-router.post('/:id/rating', auth, bookCtrl.rateBook);
+router.post('/:id/rating', auth, requireVerified, validateReview, bookCtrl.rateBook);
+
+/**
+ * Modifier sa note (PRIVÉ)
+ * PUT /api/books/:id/rating
+ */
+router.put('/:id/rating', auth, requireVerified, validateReview, bookCtrl.updateRating);
+
+/**
+ * Retirer sa note (PRIVÉ)
+ * DELETE /api/books/:id/rating
+ */
+router.delete('/:id/rating', auth, requireVerified, bookCtrl.deleteRating);
 
 // Export du routeur
 module.exports = router;
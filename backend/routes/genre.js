@@ -0,0 +1,31 @@
+/**
+ * Routes des genres
+ *
+ * Ce fichier définit les endpoints publics des genres (la fusion est dans les routes d'administration).
+ * Il ne contient aucune logique métier : chaque route délègue
+ * le traitement au controller correspondant.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Middlewares de validation
+const { validateEntitySearchQuery, validatePagination } = require('../middleware/validators');
+
+// Controller des genres
+const genreCtrl = require('../controllers/genre');
+
+/**
+ * Rechercher des genres par nom, pour l'autocomplétion (PUBLIC)
+ * GET /api/genres?q=&limit=
+ */
+router.get('/', validateEntitySearchQuery, genreCtrl.search);
+
+/**
+ * Récupérer un genre et ses livres (PUBLIC)
+ * GET /api/genres/:slug?page=&limit=
+ */
+router.get('/:slug', validatePagination, genreCtrl.getOne);
+
+// Export du routeur
+module.exports = router;
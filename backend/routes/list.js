@@ -0,0 +1,73 @@
+/**
+ * Routes des listes de livres
+ *
+ * Ce fichier définit les endpoints des listes (préfixe /api/lists).
+ * Il ne contient aucune logique métier : chaque route délègue
+ * le traitement au controller correspondant.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Middleware d'authentification JWT
+const auth = require('../middleware/auth');
+
+// Middleware d'authentification facultative (listes privées visibles par leur propriétaire)
+const optionalAuth = require('../middleware/optionalAuth');
+
+// Middleware refusant les écritures aux comptes dont l'email n'est pas vérifié
+const requireVerified = require('../middleware/requireVerified');
+
+// Middleware d'autorisation : propriétaire de la liste ou modérateur/administrateur
+const { requireOwnerOrRole } = require('../middleware/authorize');
+
+// Modèle List, pour charger la liste dont on vérifie le propriétaire
+const List = require('../models/List');
+
+// Middlewares de validation des listes
+const {
+    validateList,
+    validateListQuery,
+    validateListBook
+} = require('../middleware/validators');
+
+// Controller des listes
+const listCtrl = require('../controllers/list');
+
+const requireListOwner = requireOwnerOrRole(List, 'Liste non trouvée');
+
+/**
+ * Rechercher des listes (publiques, et privées pour leur propriétaire)
+ * GET /api/lists?userId=&bookId=&page=&limit=
+ */
+router.get('/', optionalAuth, validateListQuery, listCtrl.getLists);
+
+/**
+ * Consulter une liste et ses livres (PUBLIC si la liste est publique)
+ * GET /api/lists/:id
+ */
+router.get('/:id', optionalAuth, listCtrl.getList);
+
+/**
+ * Créer une liste (PRIVÉ)
+ * POST /api/lists
+ */
+router.post('/', auth, requireVerified, validateList, listCtrl.createList);
+
+/**
+ * Modifier (nom, description, visibilité, ordre des livres) ou supprimer une liste (PROPRIÉTAIRE)
+ * PUT|DELETE /api/lists/:id
+ */
+router.put('/:id', auth, requireVerified, requireListOwner, validateList, listCtrl.updateList);
+router.delete('/:id', auth, requireVerified, requireListOwner, listCtrl.deleteList);
+
+/**
+ * Ajouter un livre à une liste, ou l'en retirer (PROPRIÉTAIRE)
+ * POST /api/lists/:id/books
+ * DELETE /api/lists/:id/books/:bookId
+ */
+router.post('/:id/books', auth, requireVerified, requireListOwner, validateListBook, listCtrl.addBook);
+router.delete('/:id/books/:bookId', auth, requireVerified, requireListOwner, listCtrl.removeBook);
+
+// Export du routeur
+module.exports = router;
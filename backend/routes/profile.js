@@ -0,0 +1,44 @@
+/**
+ * Routes des profils utilisateurs
+ *
+ * Ce fichier définit les endpoints liés aux profils.
+ * Il ne contient aucune logique métier : chaque route délègue
+ * le traitement au controller correspondant.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Middleware d'authentification JWT
+const auth = require('../middleware/auth');
+
+// Middlewares de validation du profil et de la pagination
+const { validateProfile, validatePagination } = require('../middleware/validators');
+
+// Middleware de gestion des fichiers (avatar)
+const multer = require('../middleware/multer-config');
+
+// Controller des profils
+const profileCtrl = require('../controllers/profile');
+
+/**
+ * Récupérer son propre profil (PRIVÉ)
+ * GET /api/users/me
+ * Déclarée avant /:id pour ne pas être interprétée comme un id
+ */
+router.get('/me', auth, profileCtrl.getMe);
+
+/**
+ * Modifier son propre profil, avatar compris (PRIVÉ)
+ * PUT /api/users/me
+ */
+router.put('/me', auth, multer, validateProfile, profileCtrl.updateMe);
+
+/**
+ * Récupérer le profil public d'un utilisateur (PUBLIC)
+ * GET /api/users/:id?page=&limit=
+ */
+router.get('/:id', validatePagination, profileCtrl.getUser);
+
+// Export du routeur
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Routes des étagères de lecture
+ *
+ * Ce fichier définit les endpoints des étagères de l'utilisateur connecté
+ * (préfixe /api/users/me/shelves). Il ne contient aucune logique métier :
+ * chaque route délègue le traitement au controller correspondant.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Middleware d'authentification JWT (toutes les routes sont privées)
+const auth = require('../middleware/auth');
+
+// Middlewares de validation des étagères et des suivis de lecture
+const {
+    validateShelf,
+    validateReadingEntry,
+    validateShelfEntriesQuery
+} = require('../middleware/validators');
+
+// Controller des étagères
+const shelfCtrl = require('../controllers/shelf');
+
+router.use(auth);
+
+/**
+ * Lister ses étagères (par défaut et personnalisées) avec leur nombre de livres
+ * GET /api/users/me/shelves
+ */
+router.get('/', shelfCtrl.getShelves);
+
+/**
+ * Créer une étagère personnalisée
+ * POST /api/users/me/shelves
+ */
+router.post('/', validateShelf, shelfCtrl.createShelf);
+
+/**
+ * Lister les livres d'une étagère (paginés)
+ * GET /api/users/me/shelves/entries?shelf=&page=&limit=
+ */
+router.get('/entries', validateShelfEntriesQuery, shelfCtrl.getEntries);
+
+/**
+ * Suivi de lecture d'un livre : consulter, ranger / mettre à jour, retirer
+ * GET|PUT|DELETE /api/users/me/shelves/entries/:bookId
+ */
+router.get('/entries/:bookId', shelfCtrl.getEntry);
+router.put('/entries/:bookId', validateReadingEntry, shelfCtrl.saveEntry);
+router.delete('/entries/:bookId', shelfCtrl.deleteEntry);
+
+/**
+ * Renommer ou supprimer une étagère personnalisée
+ * PUT|DELETE /api/users/me/shelves/:id
+ */
+router.put('/:id', validateShelf, shelfCtrl.renameShelf);
+router.delete('/:id', shelfCtrl.deleteShelf);
+
+// Export du routeur
+module.exports = router;
@@ -9,11 +9,19 @@
 const express = require('express');
 const router = express.Router();
 
+// Middleware d'authentification JWT
+const auth = require('../middleware/auth');
+
 // Import du controller utilisateur
 const userCtrl = require('../controllers/user');
 
 // Import des middlewares de validation
-const { validateSignup, validateLogin } = require('../middleware/validators');
+const {
+    validateSignup,
+    validateLogin,
+    validateForgotPassword,
+    validateResetPassword
+} = require('../middleware/validators');
 
 /**
  * Route d'inscription (signup)
@@ -31,5 +39,51 @@ router.post('/signup', validateSignup, userCtrl.signup);
  */
 router.post('/login', validateLogin, userCtrl.login);
 
+/**
+ * Route de renouvellement des tokens
+ * Méthode : POST
+ * URL finale : /api/auth/refresh
+ * Body : { refreshToken }
+ */
+router.post('/refresh', userCtrl.refresh);
+
+/**
+ * Route de déconnexion (révocation de la session)
+ * Méthode : POST
+ * URL finale : /api/auth/logout
+ * Body : { refreshToken }
+ */
+router.post('/logout', userCtrl.logout);
+
+/**
+ * Route de demande de réinitialisation du mot de passe
+ * Méthode : POST
+ * URL finale : /api/auth/forgot-password
+ * Body : { email }
+ */
+router.post('/forgot-password', validateForgotPassword, userCtrl.forgotPassword);
+
+/**
+ * Route de réinitialisation du mot de passe
+ * Méthode : POST
+ * URL finale : /api/auth/reset-password
+ * Body : { token, password }
+ */
+router.post('/reset-password', validateResetPassword, userCtrl.resetPassword);
+
+/**
+ * Route de vérification de l'adresse email
+ * Méthode : GET
+ * URL finale : /api/auth/verify/:token
+ */
+router.get('/verify/:token', userCtrl.verifyEmail);
+
+/**
+ * Route de renvoi du lien de vérification (PRIVÉ)
+ * Méthode : POST
+ * URL finale : /api/auth/resend-verification
+ */
+router.post('/resend-verification', auth, userCtrl.resendVerification);
+
 // Export du routeur pour l'utiliser dans app.js
 module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * Migration : auteurs et genres des livres existants
+ *
+ * Les livres enregistrés avant les collections Author et Genre n'ont que des noms saisis librement.
+ * Ce script crée un document pour chaque nom et y relie les livres (authorId, genreId).
+ * Les noms qui ne diffèrent que par la casse, les accents ou la ponctuation ("victor hugo",
+ * "Victor Hugo") sont regroupés : le document prend l'écriture la plus fréquente.
+ * Les écritures différentes d'un même nom ("V. Hugo") se fusionnent ensuite depuis l'administration
+ * (POST /api/admin/authors/:slug/merge).
+ *
+ * Utilisation : npm run migrate:authors-genres
+ * Le script peut être relancé sans risque : les documents existants sont réutilisés.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const database = require('../utils/database');
+const { resolveEntity } = require('../utils/bookEntities');
+const slug = require('../utils/slug');
+const workKey = require('../utils/workKey');
+const Author = require('../models/Author');
+const Genre = require('../models/Genre');
+const Book = require('../models/Book');
+
+/**
+ * Relie les livres aux documents du champ donné ('author' ou 'genre')
+ */
+const migrateField = async (Model, field) => {
+    const idField = `${field}Id`;
+
+    // Noms utilisés, du plus fréquent au moins fréquent
+    // Livres de la corbeille compris : ils peuvent être restaurés
+    const names = await Book.aggregate([
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+    ]).option({ withDeleted: true });
+
+    let linked = 0;
+    for (const { _id: name } of names) {
+        if (typeof name !== 'string' || !slug(name)) {
+            console.warn(`${field} ignoré (nom sans lettre ni chiffre) : ${JSON.stringify(name)}`);
+            continue;
+        }
+
+        const entity = await resolveEntity(Model, name);
+        const { modifiedCount } = await Book.updateMany(
+            { [field]: name, $or: [{ [idField]: { $ne: entity._id } }, { [field]: { $ne: entity.name } }] },
+            { $set: { [field]: entity.name, [idField]: entity._id } },
+            { withDeleted: true }
+        );
+        linked += modifiedCount;
+    }
+
+    console.log(`${field} : ${names.length} nom(s), ${linked} livre(s) mis à jour.`);
+};
+
+const run = async () => {
+    await database.connect();
+
+    await migrateField(Author, 'author');
+    await migrateField(Genre, 'genre');
+
+    // Les noms d'auteurs ont pu changer d'écriture : clé d'œuvre recalculée
+    const books = await Book.find({}, { title: 1, author: 1, workKey: 1 }).setOptions({ withDeleted: true }).lean();
+    const changes = books
+        .filter((book) => book.workKey !== workKey(book.title, book.author))
+        .map((book) => ({
+            updateOne: {
+                filter: { _id: book._id },
+                // bulkWrite ne passe pas par les hooks de requête : version (ETag) incrémentée ici
+                update: { $set: { workKey: workKey(book.title, book.author) }, $inc: { version: 1 } }
+            }
+        }));
+    if (changes.length > 0) {
+        await Book.bulkWrite(changes);
+    }
+
+    console.log(`Migration terminée : ${changes.length} clé(s) d'œuvre recalculée(s).`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Migration échouée :', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,79 @@
+/**
+ * Migration : URLs d'images complètes → clés de stockage
+ *
+ * Avant le service de stockage, les livres et les avatars enregistraient
+ * l'URL complète de leurs images ("http://hote/images/fichier.jpg").
+ * Ce script remplace ces URLs par les clés ("fichier.jpg") pour que les URLs
+ * soient de nouveau dérivées de la configuration (PUBLIC_URL, S3...).
+ *
+ * Utilisation : npm run migrate:image-keys
+ * Le script peut être relancé sans risque : les documents déjà migrés sont ignorés.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const database = require('../utils/database');
+const storage = require('../services/storage');
+const Book = require('../models/Book');
+const User = require('../models/User');
+
+// Clés des variantes d'une couverture (toutes tailles, tous formats)
+const imagesToKeys = (images) => {
+    const result = {};
+    for (const [size, formats] of Object.entries(images)) {
+        result[size] = {};
+        for (const [format, value] of Object.entries(formats || {})) {
+            result[size][format] = storage.toKey(value);
+        }
+    }
+    return result;
+};
+
+const migrateBooks = async () => {
+    // lean() : on lit les valeurs brutes, sans la transformation toJSON du modèle
+    // Livres de la corbeille compris : leurs images sont conservées jusqu'à la purge
+    const books = await Book.find({ imageUrl: /^https?:\/\// }).setOptions({ withDeleted: true }).lean();
+
+    for (const book of books) {
+        const changes = {
+            imageKey: storage.toKey(book.imageUrl),
+            imageUrl: null
+        };
+        if (book.images) {
+            changes.images = imagesToKeys(book.images);
+        }
+        await Book.updateOne({ _id: book._id }, { $set: changes }, { withDeleted: true });
+    }
+
+    return books.length;
+};
+
+const migrateUsers = async () => {
+    const users = await User.find({ avatarUrl: /^https?:\/\// }).lean();
+
+    for (const user of users) {
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { avatarKey: storage.toKey(user.avatarUrl), avatarUrl: '' } }
+        );
+    }
+
+    return users.length;
+};
+
+const run = async () => {
+    await database.connect();
+
+    const books = await migrateBooks();
+    const users = await migrateUsers();
+
+    console.log(`Migration terminée : ${books} livre(s) et ${users} avatar(s) mis à jour.`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Migration échouée :', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,33 @@
+/**
+ * Migration : statistiques de notation des livres existants
+ *
+ * Le nombre de notes (ratingsCount) et le score bayésien (weightedRating) sont tenus à jour
+ * à chaque note ajoutée, modifiée ou retirée ; ce script les calcule pour les livres
+ * enregistrés avant leur ajout. La moyenne (averageRating) est recalculée au passage.
+ *
+ * Utilisation : npm run migrate:rating-scores
+ * Le script peut être relancé sans risque : il recalcule simplement les statistiques.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const database = require('../utils/database');
+const { ratingStatsStage } = require('../utils/ratingScore');
+const Book = require('../models/Book');
+
+const run = async () => {
+    await database.connect();
+
+    // Calcul effectué par MongoDB, livre par livre, en une seule requête
+    const result = await Book.updateMany({}, [ratingStatsStage], { updatePipeline: true, withDeleted: true });
+
+    console.log(`Migration terminée : ${result.modifiedCount} livre(s) mis à jour.`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Migration échouée :', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
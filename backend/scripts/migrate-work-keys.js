@@ -0,0 +1,42 @@
+/**
+ * Migration : clé d'œuvre des livres existants
+ *
+ * La clé d'œuvre (titre + auteur normalisés) relie les éditions d'un même livre
+ * et sert à détecter les doublons. Elle est calculée à chaque création ou modification ;
+ * ce script la calcule pour les livres enregistrés avant son ajout.
+ *
+ * Utilisation : npm run migrate:work-keys
+ * Le script peut être relancé sans risque : il recalcule simplement les clés.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const database = require('../utils/database');
+const workKey = require('../utils/workKey');
+const Book = require('../models/Book');
+
+const run = async () => {
+    await database.connect();
+
+    // Livres de la corbeille compris : ils peuvent être restaurés
+    const books = await Book.find({}, { title: 1, author: 1, workKey: 1 }).setOptions({ withDeleted: true }).lean();
+
+    let updated = 0;
+    for (const book of books) {
+        const key = workKey(book.title, book.author);
+        if (book.workKey !== key) {
+            await Book.updateOne({ _id: book._id }, { $set: { workKey: key } }, { withDeleted: true });
+            updated += 1;
+        }
+    }
+
+    console.log(`Migration terminée : ${updated} livre(s) mis à jour.`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Migration échouée :', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,68 @@
+/**
+ * Purge de la corbeille des livres
+ *
+ * Supprime définitivement les livres mis à la corbeille depuis plus de TRASH_RETENTION_DAYS jours
+ * (30 par défaut), avec leurs images, leurs suivis de lecture et leur place dans les listes.
+ *
+ * À planifier une fois par jour (cron, planificateur de l'hébergeur...).
+ *
+ * Utilisation :
+ *   npm run purge:trash                  → supprime les livres expirés
+ *   npm run purge:trash -- --dry-run     → liste seulement, sans rien supprimer
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const database = require('../utils/database');
+const { retentionDays, purgeBook } = require('../utils/trash');
+const Book = require('../models/Book');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Lecture des options de la ligne de commande
+const parseOptions = (args) => {
+    const options = { dryRun: false };
+    for (const arg of args) {
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else {
+            throw new Error(`Option inconnue : ${arg}`);
+        }
+    }
+    return options;
+};
+
+const run = async () => {
+    const options = parseOptions(process.argv.slice(2));
+
+    await database.connect();
+
+    // lean() : clés d'images brutes, pour leur suppression
+    const limit = new Date(Date.now() - retentionDays() * DAY);
+    const books = await Book.find(
+        { deletedAt: { $ne: null, $lte: limit } },
+        { title: 1, imageKey: 1, imageUrl: 1, images: 1 }
+    ).lean();
+
+    let purged = 0;
+    for (const book of books) {
+        if (options.dryRun) {
+            console.log(`À purger : "${book.title}" (${book._id})`);
+        } else if (await purgeBook(book)) {
+            purged += 1;
+            console.log(`Supprimé : "${book.title}" (${book._id})`);
+        }
+    }
+
+    console.log(options.dryRun
+        ? `${books.length} livre(s) à purger (aucune suppression : --dry-run).`
+        : `${purged} livre(s) supprimé(s) définitivement.`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Purge échouée :', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,113 @@
+/**
+ * Nettoyage des images orphelines
+ *
+ * Compare les fichiers du stockage (dossier images ou bucket S3) avec la base :
+ * - supprime les fichiers qui ne sont référencés par aucun livre (corbeille comprise),
+ *   aucune révision de l'historique des livres ni aucun avatar
+ * - signale les livres dont une image référencée est absente du stockage
+ *
+ * Les fichiers récents (moins d'une heure par défaut) sont conservés :
+ * ils peuvent appartenir à un upload en cours, pas encore enregistré en base.
+ *
+ * Utilisation :
+ *   npm run sweep:images                  → supprime les orphelins
+ *   npm run sweep:images -- --dry-run     → liste seulement, sans rien supprimer
+ *   npm run sweep:images -- --min-age=24  → ne touche qu'aux fichiers de plus de 24 h
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const database = require('../utils/database');
+const storage = require('../services/storage');
+const { coverKeys } = require('../utils/coverImages');
+const { revisionCoverKeys } = require('../utils/bookRevisions');
+const Book = require('../models/Book');
+const BookRevision = require('../models/BookRevision');
+const User = require('../models/User');
+
+const HOUR = 60 * 60 * 1000;
+
+// Lecture des options de la ligne de commande
+const parseOptions = (args) => {
+    const options = { dryRun: false, minAgeHours: 1 };
+    for (const arg of args) {
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg.startsWith('--min-age=')) {
+            const hours = Number(arg.split('=')[1]);
+            if (!Number.isFinite(hours) || hours < 0) {
+                throw new Error(`Option invalide : ${arg}`);
+            }
+            options.minAgeHours = hours;
+        } else {
+            throw new Error(`Option inconnue : ${arg}`);
+        }
+    }
+    return options;
+};
+
+const run = async () => {
+    const options = parseOptions(process.argv.slice(2));
+
+    await database.connect();
+
+    // lean() : valeurs brutes (clés ou anciennes URLs), sans la transformation toJSON
+    // Les images des livres de la corbeille sont conservées jusqu'à leur purge (npm run purge:trash),
+    // comme les couvertures remplacées, gardées par l'historique pour un retour en arrière
+    const [books, revisions, users, files] = await Promise.all([
+        Book.find({}, { title: 1, imageKey: 1, imageUrl: 1, images: 1 }).setOptions({ withDeleted: true }).lean(),
+        BookRevision.find({ $or: [{ previousCover: { $ne: null } }, { cover: { $ne: null } }] }, { previousCover: 1, cover: 1 }).lean(),
+        User.find({}, { avatarKey: 1, avatarUrl: 1 }).lean(),
+        storage.list()
+    ]);
+
+    // Toutes les clés référencées en base
+    const referenced = new Set();
+    for (const book of books) {
+        coverKeys(book).forEach((key) => referenced.add(key));
+    }
+    for (const revision of revisions) {
+        revisionCoverKeys(revision).forEach((key) => referenced.add(key));
+    }
+    for (const user of users) {
+        const key = storage.toKey(user.avatarKey || user.avatarUrl);
+        if (key) {
+            referenced.add(key);
+        }
+    }
+
+    // Fichiers orphelins (assez anciens pour ne pas être un upload en cours)
+    const limit = Date.now() - options.minAgeHours * HOUR;
+    const orphans = files.filter((file) => !referenced.has(file.key)
+        && new Date(file.lastModified).getTime() < limit);
+
+    for (const file of orphans) {
+        if (options.dryRun) {
+            console.log(`Orphelin : ${file.key}`);
+        } else {
+            await storage.delete(file.key);
+            console.log(`Supprimé : ${file.key}`);
+        }
+    }
+
+    // Livres qui pointent sur des fichiers absents du stockage
+    const stored = new Set(files.map((file) => file.key));
+    for (const book of books) {
+        const missing = coverKeys(book).filter((key) => !stored.has(key));
+        if (missing.length > 0) {
+            console.warn(`Images manquantes pour "${book.title}" (${book._id}) : ${missing.join(', ')}`);
+        }
+    }
+
+    console.log(options.dryRun
+        ? `${orphans.length} fichier(s) orphelin(s) trouvé(s) (aucune suppression : --dry-run).`
+        : `${orphans.length} fichier(s) orphelin(s) supprimé(s).`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Nettoyage échoué :', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,51 @@
+/**
+ * Fournisseur local (fixtures), pour travailler et tester sans accès réseau
+ *
+ * Les livres sont lus dans BOOK_LOOKUP_FIXTURES (par défaut : fixtures.json à côté de ce fichier),
+ * un objet dont les clés sont des ISBN-13 :
+ * { "9782070360024": { "title": "L'Étranger", "author": "Albert Camus", "year": 1942, ... } }
+ *
+ * La couverture est une image unie générée avec Sharp, dans la couleur "coverColor" du livre.
+ * Un livre avec "coverColor": null n'a pas de couverture.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+module.exports = () => {
+    const fixturesPath = process.env.BOOK_LOOKUP_FIXTURES || path.join(__dirname, 'fixtures.json');
+    const books = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+
+    return {
+        lookup: async (isbn) => {
+            const book = books[isbn];
+            if (!book) {
+                return null;
+            }
+            return {
+                title: book.title,
+                author: book.author,
+                year: book.year ?? null,
+                genre: book.genre ?? '',
+                publishingHouse: book.publishingHouse ?? null,
+                pageCount: book.pageCount ?? null,
+                language: book.language ?? null,
+                hasCover: book.coverColor !== null
+            };
+        },
+
+        cover: async (isbn) => {
+            const book = books[isbn];
+            if (!book || book.coverColor === null) {
+                return null;
+            }
+            const buffer = await sharp({
+                create: { width: 400, height: 600, channels: 3, background: book.coverColor || '#8B5E3C' }
+            })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+            return { buffer, contentType: 'image/jpeg' };
+        }
+    };
+};
@@ -0,0 +1,48 @@
+/**
+ * Service de recherche de livres par ISBN (métadonnées et couverture)
+ *
+ * Utilisé pour pré-remplir le formulaire d'ajout d'un livre.
+ * Le fournisseur est choisi avec la variable d'environnement BOOK_LOOKUP_PROVIDER :
+ * - openlibrary : API publique Open Library (par défaut)
+ * - fixture : fichier JSON local, pour travailler et tester hors ligne
+ *
+ * Chaque fournisseur expose la même interface :
+ * - lookup(isbn) : { title, author, year, genre, publishingHouse, pageCount, language, hasCover } ou null
+ * - cover(isbn) : { buffer, contentType } ou null si le livre n'a pas de couverture
+ *
+ * L'ISBN reçu est toujours un ISBN-13 valide (voir utils/isbn.js).
+ */
+
+const openLibraryProvider = require('./openLibraryProvider');
+const fixtureProvider = require('./fixtureProvider');
+
+const PROVIDERS = {
+    openlibrary: openLibraryProvider,
+    fixture: fixtureProvider
+};
+
+// Fournisseur instancié à la première recherche (les variables d'environnement sont alors chargées)
+let provider = null;
+
+const getProvider = () => {
+    if (!provider) {
+        const name = process.env.BOOK_LOOKUP_PROVIDER || 'openlibrary';
+        const createProvider = PROVIDERS[name];
+        if (!createProvider) {
+            throw new Error(`Fournisseur de recherche ISBN inconnu : ${name}`);
+        }
+        provider = createProvider();
+    }
+    return provider;
+};
+
+exports.lookup = async (isbn) => getProvider().lookup(isbn);
+
+exports.cover = async (isbn) => getProvider().cover(isbn);
+
+/**
+ * Remplace le fournisseur courant (ex: fournisseur factice dans des tests)
+ */
+exports.setProvider = (customProvider) => {
+    provider = customProvider;
+};
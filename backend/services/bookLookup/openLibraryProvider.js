@@ -0,0 +1,118 @@
+/**
+ * Fournisseur Open Library (https://openlibrary.org/dev/docs/api/books)
+ *
+ * - métadonnées : /api/books?bibkeys=ISBN:<isbn>&jscmd=data
+ * - couverture : covers.openlibrary.org/b/isbn/<isbn>-L.jpg (404 si absente grâce à default=false)
+ *
+ * OPEN_LIBRARY_URL et OPEN_LIBRARY_COVERS_URL permettent de pointer vers un miroir.
+ */
+
+// Délai maximal d'une requête vers Open Library
+const TIMEOUT_MS = 5000;
+
+// Taille maximale d'une couverture téléchargée (même limite qu'un upload)
+const MAX_COVER_SIZE = 10 * 1024 * 1024;
+
+// Erreur réseau ou réponse inattendue : le service est considéré comme indisponible
+const unavailable = (cause) => {
+    const error = new Error('Service de recherche ISBN indisponible');
+    error.unavailable = true;
+    error.cause = cause;
+    return error;
+};
+
+const request = async (url) => {
+    try {
+        return await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+    } catch (error) {
+        throw unavailable(error);
+    }
+};
+
+// Corps JSON de la réponse : une page HTML ou un contenu tronqué rend le service indisponible
+const readJson = async (response) => {
+    try {
+        return await response.json();
+    } catch (error) {
+        throw unavailable(error);
+    }
+};
+
+/**
+ * Contenu d'une image, lu morceau par morceau : la lecture s'arrête dès que MAX_COVER_SIZE
+ * est dépassée (l'URL des couvertures est configurable, sa réponse n'est pas garantie)
+ */
+const readCover = async (response) => {
+    if (Number(response.headers.get('content-length')) > MAX_COVER_SIZE) {
+        throw unavailable(new Error('Open Library : couverture trop volumineuse'));
+    }
+
+    const chunks = [];
+    let size = 0;
+    try {
+        for await (const chunk of response.body) {
+            size += chunk.length;
+            if (size > MAX_COVER_SIZE) {
+                throw new Error('Open Library : couverture trop volumineuse');
+            }
+            chunks.push(chunk);
+        }
+    } catch (error) {
+        throw unavailable(error);
+    }
+    return Buffer.concat(chunks);
+};
+
+// Type de l'image renvoyée au client : image/* uniquement (hors SVG, qui peut contenir du script)
+const coverType = (response) => {
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    return /^image\/[a-z0-9.+-]+$/.test(type) && type !== 'image/svg+xml' ? type : 'image/jpeg';
+};
+
+module.exports = () => {
+    const apiUrl = process.env.OPEN_LIBRARY_URL || 'https://openlibrary.org';
+    const coversUrl = process.env.OPEN_LIBRARY_COVERS_URL || 'https://covers.openlibrary.org';
+
+    return {
+        lookup: async (isbn) => {
+            const response = await request(`${apiUrl}/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`);
+            if (!response.ok) {
+                throw unavailable(new Error(`Open Library : statut ${response.status}`));
+            }
+
+            const data = (await readJson(response))[`ISBN:${isbn}`];
+            if (!data) {
+                return null;
+            }
+
+            // "publish_date" est libre ("1942", "March 1942"...) : on garde l'année
+            const year = /\d{4}/.exec(data.publish_date || '');
+
+            return {
+                title: data.title || '',
+                author: (data.authors || []).map((author) => author.name).join(', '),
+                year: year ? Number(year[0]) : null,
+                genre: data.subjects && data.subjects.length > 0 ? data.subjects[0].name : '',
+                publishingHouse: data.publishers && data.publishers.length > 0 ? data.publishers[0].name : null,
+                pageCount: data.number_of_pages || null,
+                language: null, // Non fourni par jscmd=data
+                hasCover: Boolean(data.cover)
+            };
+        },
+
+        cover: async (isbn) => {
+            const response = await request(`${coversUrl}/b/isbn/${isbn}-L.jpg?default=false`);
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw unavailable(new Error(`Open Library : statut ${response.status}`));
+            }
+
+            return {
+                buffer: await readCover(response),
+                contentType: coverType(response)
+            };
+        }
+    };
+};
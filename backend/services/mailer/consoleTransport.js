@@ -0,0 +1,15 @@
+/**
+ * Transport console (par défaut en développement)
+ *
+ * Affiche l'email dans le terminal au lieu de l'envoyer.
+ */
+
+module.exports = () => ({
+    send: async (message) => {
+        console.log('Email (console) :', {
+            to: message.to,
+            subject: message.subject,
+            text: message.text
+        });
+    }
+});
@@ -0,0 +1,25 @@
+/**
+ * Transport fichier (tests en local)
+ *
+ * Chaque email est écrit dans un fichier JSON du dossier MAIL_OUTPUT_DIR
+ * (par défaut : "mails"), ce qui permet de récupérer les liens envoyés
+ * (réinitialisation de mot de passe, vérification d'email...) sans serveur SMTP.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+module.exports = () => {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || 'mails';
+
+    return {
+        send: async (message) => {
+            await fs.mkdir(outputDir, { recursive: true });
+            const filename = `${Date.now()}_${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+            await fs.writeFile(
+                path.join(outputDir, filename),
+                JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+            );
+        }
+    };
+};
@@ -0,0 +1,60 @@
+/**
+ * Service d'envoi d'emails (mailer)
+ *
+ * Point d'entrée unique pour envoyer un email depuis les controllers.
+ * Le transport est choisi avec la variable d'environnement MAIL_TRANSPORT :
+ * - smtp : envoi réel via un serveur SMTP (production)
+ * - file : écriture de chaque email dans un fichier (tests en local)
+ * - console : affichage de l'email dans le terminal (par défaut)
+ *
+ * Chaque transport expose la même interface : send({ from, to, subject, text, html })
+ */
+
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+const consoleTransport = require('./consoleTransport');
+
+const TRANSPORTS = {
+    smtp: smtpTransport,
+    file: fileTransport,
+    console: consoleTransport
+};
+
+// Transport instancié au premier envoi (les variables d'environnement sont alors chargées)
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        const createTransport = TRANSPORTS[name];
+        if (!createTransport) {
+            throw new Error(`Transport email inconnu : ${name}`);
+        }
+        transport = createTransport();
+    }
+    return transport;
+};
+
+/**
+ * Envoie un email
+ * - to : destinataire
+ * - subject : objet
+ * - text : contenu texte brut
+ * - html : contenu HTML (optionnel)
+ */
+exports.sendMail = async ({ to, subject, text, html }) => {
+    await getTransport().send({
+        from: process.env.MAIL_FROM || 'Mon Vieux Grimoire <no-reply@monvieuxgrimoire.fr>',
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+/**
+ * Remplace le transport courant (ex: transport factice dans des tests)
+ */
+exports.setTransport = (customTransport) => {
+    transport = customTransport;
+};
@@ -0,0 +1,23 @@
+/**
+ * Transport SMTP (production)
+ *
+ * Configuration par variables d'environnement :
+ * SMTP_HOST, SMTP_PORT, SMTP_SECURE ("true" pour TLS direct), SMTP_USER, SMTP_PASSWORD
+ */
+
+const nodemailer = require('nodemailer');
+
+module.exports = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+
+    return {
+        send: (message) => transporter.sendMail(message)
+    };
+};
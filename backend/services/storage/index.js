@@ -0,0 +1,98 @@
+/**
+ * Service de stockage des fichiers (couvertures, avatars)
+ *
+ * Les controllers ne manipulent jamais de chemins ni d'URLs : ils enregistrent
+ * une clé (ex: "cover_1700000000000_9f86d081884c7d65_medium.jpg") et l'URL publique en est dérivée.
+ * Changer de serveur ou de stockage ne casse donc plus les URLs des images.
+ *
+ * Le backend est choisi avec la variable d'environnement STORAGE_DRIVER :
+ * - local : dossier du serveur servi par Express (par défaut)
+ * - s3 : stockage compatible S3 (AWS S3, MinIO...)
+ *
+ * Chaque backend expose la même interface :
+ * - put(key, buffer, contentType) : enregistre un fichier
+ * - get(key) : renvoie le contenu du fichier (Buffer)
+ * - delete(key) : supprime le fichier (sans erreur s'il n'existe pas)
+ * - url(key) : URL publique du fichier
+ * - list() : tous les fichiers stockés ([{ key, lastModified }]), pour le nettoyage des orphelins
+ */
+
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+const DRIVERS = {
+    local: createLocalStorage,
+    s3: createS3Storage
+};
+
+// Backend instancié à la première utilisation (les variables d'environnement sont alors chargées)
+let storage = null;
+
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || 'local';
+        const createStorage = DRIVERS[name];
+        if (!createStorage) {
+            throw new Error(`Stockage inconnu : ${name}`);
+        }
+        storage = createStorage();
+    }
+    return storage;
+};
+
+// Une clé ne contient que des caractères sûrs, sans remontée de dossier
+const KEY_REGEX = /^[a-zA-Z0-9_-][a-zA-Z0-9._/-]*$/;
+
+const checkKey = (key) => {
+    if (typeof key !== 'string' || !KEY_REGEX.test(key) || key.includes('..')) {
+        throw new Error(`Clé de stockage invalide : ${key}`);
+    }
+};
+
+exports.put = async (key, buffer, contentType) => {
+    checkKey(key);
+    await getStorage().put(key, buffer, contentType);
+};
+
+exports.get = async (key) => {
+    checkKey(key);
+    return getStorage().get(key);
+};
+
+exports.delete = async (key) => {
+    checkKey(key);
+    await getStorage().delete(key);
+};
+
+exports.url = (key) => {
+    checkKey(key);
+    return getStorage().url(key);
+};
+
+exports.list = async () => getStorage().list();
+
+/**
+ * Convertit une ancienne URL enregistrée en base ("http://hote/images/fichier.jpg")
+ * en clé de stockage ("fichier.jpg"). Une clé est renvoyée telle quelle.
+ */
+exports.toKey = (value) => {
+    if (!value) {
+        return null;
+    }
+    if (/^https?:\/\//.test(value)) {
+        return value.split('/images/')[1] || null;
+    }
+    return value;
+};
+
+/**
+ * Dossier local servi sur /images (null si le stockage n'est pas local)
+ */
+exports.localDirectory = () => getStorage().directory || null;
+
+/**
+ * Remplace le backend courant (ex: stockage en mémoire dans des tests)
+ */
+exports.setStorage = (customStorage) => {
+    storage = customStorage;
+};
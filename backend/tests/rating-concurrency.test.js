@@ -0,0 +1,153 @@
+/**
+ * Test de concurrence des notes (POST, PUT et DELETE /api/books/:id/rating)
+ *
+ * Les controllers sont appelés en parallèle contre une base MongoDB en mémoire
+ * (mongodb-memory-server) pour vérifier qu'aucune note n'est perdue
+ * et qu'un même utilisateur ne peut pas noter deux fois un livre.
+ *
+ * Utilisation : npm test
+ * Au premier lancement, mongodb-memory-server télécharge un binaire mongod
+ * (version fixée dans package.json ; voir MONGOMS_SYSTEM_BINARY pour en utiliser un déjà installé).
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Book = require('../models/Book');
+const bookCtrl = require('../controllers/book');
+const { ratingStats } = require('../utils/ratingScore');
+
+// Nombre d'appels simultanés par scénario
+const CONCURRENCY = 50;
+
+let mongod;
+let book;
+
+/**
+ * Appelle un controller comme le ferait Express, en tant qu'utilisateur userId
+ * Résout avec { status, body } (réponse envoyée) ou { status, error } (erreur transmise à next)
+ */
+const call = (handler, { userId, body = {} }) => new Promise((resolve) => {
+    const req = { params: { id: book._id.toString() }, auth: { userId }, body };
+    let status = 200;
+    const res = {
+        status: (code) => {
+            status = code;
+            return res;
+        },
+        json: (data) => resolve({ status, body: data })
+    };
+    handler(req, res, (error) => resolve({ status: error.statusCode || 500, error }));
+});
+
+const userIds = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+});
+
+after(async () => {
+    await mongoose.disconnect();
+    if (mongod) {
+        await mongod.stop();
+    }
+});
+
+beforeEach(async () => {
+    await Book.deleteMany({});
+    book = await Book.create({
+        userId: 'owner',
+        title: 'Le Petit Prince',
+        author: 'Antoine de Saint-Exupéry',
+        year: 1943,
+        genre: 'Conte',
+        imageKey: 'covers/test.jpg'
+    });
+});
+
+test('des notes simultanées de lecteurs différents sont toutes enregistrées', async () => {
+    const users = userIds(CONCURRENCY, 'reader-');
+
+    const results = await Promise.all(users.map((userId, i) => call(bookCtrl.rateBook, {
+        userId,
+        body: { rating: (i % 5) + 1 }
+    })));
+
+    assert.ok(results.every((result) => result.status === 200));
+
+    const saved = await Book.findById(book._id).lean();
+    assert.equal(saved.ratings.length, CONCURRENCY);
+    assert.deepEqual(saved.ratings.map((r) => r.userId).sort(), [...users].sort());
+
+    // Statistiques cohérentes avec les notes réellement enregistrées
+    const expected = ratingStats(saved.ratings);
+    assert.equal(saved.ratingsCount, expected.ratingsCount);
+    assert.equal(saved.averageRating, expected.averageRating);
+    assert.equal(saved.weightedRating, expected.weightedRating);
+});
+
+test('un lecteur qui note plusieurs fois en même temps n\'est compté qu\'une fois', async () => {
+    const results = await Promise.all(Array.from({ length: CONCURRENCY }, () => call(bookCtrl.rateBook, {
+        userId: 'impatient',
+        body: { rating: 5 }
+    })));
+
+    assert.equal(results.filter((result) => result.status === 200).length, 1);
+    assert.ok(results
+        .filter((result) => result.status !== 200)
+        .every((result) => result.status === 400));
+
+    const saved = await Book.findById(book._id).lean();
+    assert.equal(saved.ratings.length, 1);
+    assert.equal(saved.ratingsCount, 1);
+    assert.equal(saved.averageRating, 5);
+});
+
+test('ajouts, modifications et retraits simultanés ne perdent aucune note', async () => {
+    // Notes existantes : la moitié sera modifiée, l'autre moitié retirée
+    const existing = userIds(CONCURRENCY, 'existing-');
+    await Book.updateOne(
+        { _id: book._id },
+        { $set: { ratings: existing.map((userId) => ({ userId, grade: 1 })) } }
+    );
+    const updated = existing.slice(0, CONCURRENCY / 2);
+    const removed = existing.slice(CONCURRENCY / 2);
+    const added = userIds(CONCURRENCY, 'new-');
+
+    const results = await Promise.all([
+        ...added.map((userId) => call(bookCtrl.rateBook, { userId, body: { rating: 4 } })),
+        ...updated.map((userId) => call(bookCtrl.updateRating, { userId, body: { rating: 5 } })),
+        ...removed.map((userId) => call(bookCtrl.deleteRating, { userId }))
+    ]);
+
+    assert.ok(results.every((result) => result.status === 200));
+
+    const saved = await Book.findById(book._id).lean();
+    const grades = new Map(saved.ratings.map((r) => [r.userId, r.grade]));
+
+    assert.equal(saved.ratings.length, added.length + updated.length);
+    assert.ok(added.every((userId) => grades.get(userId) === 4));
+    assert.ok(updated.every((userId) => grades.get(userId) === 5));
+    assert.ok(removed.every((userId) => !grades.has(userId)));
+    assert.equal(saved.ratingsCount, saved.ratings.length);
+    assert.equal(saved.averageRating, ratingStats(saved.ratings).averageRating);
+    assert.equal(saved.weightedRating, ratingStats(saved.ratings).weightedRating);
+});
+
+test('la moyenne enregistrée est arrondie comme ratingStats', async () => {
+    // 4,25 : arrondi à 4,3 (et non 4,2 comme le ferait $round, qui arrondit les demis au pair)
+    const results = await Promise.all([4, 4, 4, 5].map((rating, i) => call(bookCtrl.rateBook, {
+        userId: `reader-${i}`,
+        body: { rating }
+    })));
+
+    assert.ok(results.every((result) => result.status === 200));
+
+    const saved = await Book.findById(book._id).lean();
+    assert.equal(saved.averageRating, 4.3);
+    assert.equal(saved.averageRating, ratingStats(saved.ratings).averageRating);
+    assert.equal(saved.weightedRating, ratingStats(saved.ratings).weightedRating);
+});
@@ -0,0 +1,33 @@
+const escapeRegex = require('./escapeRegex');
+
+/**
+ * Variantes accentuées de chaque lettre de base
+ * Utilisé pour construire des regex insensibles aux accents
+ */
+const ACCENT_VARIANTS = {
+    a: 'aàáâãäå',
+    c: 'cç',
+    e: 'eèéêë',
+    i: 'iìíîï',
+    n: 'nñ',
+    o: 'oòóôõö',
+    u: 'uùúûü',
+    y: 'yýÿ'
+};
+
+/**
+ * Construit une regex (insensible à la casse et aux accents) à partir d'une saisie.
+ * Ex: "gerard" -> /g[eèéêë]r[aàáâãäå]rd/i, qui trouve "Gérard" comme "Gerard".
+ * Utilisé quand l'index texte ne peut pas répondre (mots incomplets en cours de saisie).
+ */
+module.exports = (value) => {
+    // On retire les accents de la saisie pour repartir de la lettre de base
+    const base = value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+    const pattern = escapeRegex(base)
+        .split('')
+        .map((char) => (ACCENT_VARIANTS[char] ? `[${ACCENT_VARIANTS[char]}]` : char))
+        .join('');
+
+    return new RegExp(pattern, 'i');
+};
@@ -0,0 +1,31 @@
+/**
+ * Journal d'audit
+ *
+ * Enregistre un événement sensible (models/AuditLog) à partir de la requête en cours :
+ * utilisateur connecté (req.auth) et adresse IP.
+ * L'écriture est tolérante aux pannes : une erreur est affichée dans la console,
+ * mais ne fait jamais échouer l'action journalisée.
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Journalise un événement
+ * options : { targetType, targetId, details }
+ */
+const audit = async (req, event, { targetType = null, targetId = null, details = {} } = {}) => {
+    try {
+        await AuditLog.create({
+            event,
+            userId: req.auth ? req.auth.userId : null,
+            targetType,
+            targetId: targetId ? targetId.toString() : null,
+            ip: req.ip || null,
+            details
+        });
+    } catch (error) {
+        console.error('Journal d\'audit, écriture échouée :', error);
+    }
+};
+
+module.exports = audit;
@@ -0,0 +1,14 @@
+const storage = require('../services/storage'); // Stockage des fichiers (local ou S3)
+
+/**
+ * URL publique de l'avatar d'un utilisateur, dérivée de sa clé de stockage
+ * - les anciens comptes qui ont encore une URL complète en base sont pris en charge
+ * - chaîne vide si l'utilisateur n'a pas d'avatar (ou si le compte n'existe plus)
+ */
+module.exports = (user) => {
+    if (!user) {
+        return '';
+    }
+    const key = storage.toKey(user.avatarKey || user.avatarUrl);
+    return key ? storage.url(key) : '';
+};
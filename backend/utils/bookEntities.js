@@ -0,0 +1,57 @@
+/**
+ * Auteurs et genres des livres
+ *
+ * Un livre garde le nom de son auteur et de son genre (champs author et genre)
+ * et référence les documents Author et Genre correspondants (authorId et genreId).
+ * Le nom saisi est remplacé par le nom du document : "victor hugo" devient "Victor Hugo".
+ */
+
+const Author = require('../models/Author');
+const Genre = require('../models/Genre');
+const slug = require('./slug');
+
+/**
+ * Retrouve le document correspondant à un nom saisi, ou le crée
+ * - même slug, ou slug présent dans les alias (écritures fusionnées)
+ * - sinon création, avec le nom tel que saisi
+ * Le nom doit contenir au moins une lettre ou un chiffre (vérifié par cleanBookData).
+ */
+const resolveEntity = async (Model, name) => {
+    const key = slug(name);
+
+    const existing = await Model.findOne({ $or: [{ slug: key }, { aliases: key }] });
+    if (existing) {
+        return existing;
+    }
+
+    try {
+        return await Model.create({ name: name.trim(), slug: key });
+    } catch (error) {
+        // Même nom créé au même moment par une autre requête (index unique du slug)
+        if (error.code === 11000) {
+            return Model.findOne({ slug: key });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Relie un livre à son auteur et à son genre (créés si besoin)
+ * Modifie bookObject : author, authorId, genre, genreId
+ */
+const linkAuthorAndGenre = async (bookObject) => {
+    const [author, genre] = await Promise.all([
+        resolveEntity(Author, bookObject.author),
+        resolveEntity(Genre, bookObject.genre)
+    ]);
+
+    bookObject.author = author.name;
+    bookObject.authorId = author._id;
+    bookObject.genre = genre.name;
+    bookObject.genreId = genre._id;
+};
+
+module.exports = {
+    resolveEntity,
+    linkAuthorAndGenre
+};
@@ -0,0 +1,81 @@
+/**
+ * Historique des livres
+ *
+ * Calcule les différences entre deux états d'un livre et enregistre les révisions
+ * (models/BookRevision). Les couvertures remplacées ne sont pas supprimées :
+ * elles restent référencées par l'historique jusqu'à la purge du livre.
+ */
+
+const BookRevision = require('../models/BookRevision');
+const { REVISION_FIELDS } = BookRevision;
+const { coverKeys } = require('./coverImages');
+
+/**
+ * Valeur brute d'un document Mongoose ou d'un objet simple (sans la transformation toJSON)
+ */
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Vrai si deux valeurs d'un champ sont identiques (tableaux compris : tags)
+ */
+const sameValue = (a, b) => JSON.stringify(plain(a) ?? null) === JSON.stringify(plain(b) ?? null);
+
+/**
+ * Couverture d'un livre, sous forme de clés de stockage
+ */
+const coverOf = (book) => ({
+    imageKey: book.imageKey || null,
+    imageUrl: book.imageUrl || null,
+    images: plain(book.images) || null
+});
+
+/**
+ * Champs suivis qui diffèrent entre l'état actuel (before) et les nouvelles valeurs (after)
+ * Seuls les champs présents dans after sont comparés.
+ * Renvoie [{ field, from, to }]
+ */
+const diffBook = (before, after) => REVISION_FIELDS
+    .filter((field) => after[field] !== undefined && !sameValue(before[field], after[field]))
+    .map((field) => ({
+        field,
+        from: plain(before[field]) ?? null,
+        to: plain(after[field]) ?? null
+    }));
+
+/**
+ * Enregistre une révision
+ * L'historique ne doit pas faire échouer la modification, déjà enregistrée :
+ * une erreur est seulement affichée dans la console.
+ */
+const recordRevision = async (bookId, userId, action, { changes = [], previousCover = null, cover = null, revertedTo = null } = {}) => {
+    try {
+        return await BookRevision.create({ bookId, userId, action, changes, previousCover, cover, revertedTo });
+    } catch (error) {
+        console.error('Historique, révision non enregistrée :', error);
+        return null;
+    }
+};
+
+/**
+ * Clés des couvertures référencées par l'historique (avant et après chaque révision)
+ */
+const revisionCoverKeys = (revision) => [
+    ...(revision.previousCover ? coverKeys(revision.previousCover) : []),
+    ...(revision.cover ? coverKeys(revision.cover) : [])
+];
+
+/**
+ * Clés de toutes les couvertures référencées par l'historique d'un livre
+ */
+const historyCoverKeys = async (bookId) => {
+    const revisions = await BookRevision.find({ bookId }, { previousCover: 1, cover: 1 }).lean();
+    return [...new Set(revisions.flatMap(revisionCoverKeys))];
+};
+
+module.exports = {
+    coverOf,
+    diffBook,
+    recordRevision,
+    revisionCoverKeys,
+    historyCoverKeys
+};
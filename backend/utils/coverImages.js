@@ -0,0 +1,160 @@
+/**
+ * Traitement des images de couverture avec Sharp
+ *
+ * Chaque image envoyée est déclinée en plusieurs tailles et formats :
+ * - tailles : thumbnail (liste des livres), medium (page d'un livre), large (écrans haute densité)
+ * - formats : AVIF et WebP (plus légers), JPEG en repli pour les anciens navigateurs
+ *
+ * Les fichiers sont enregistrés via le service de stockage sous les clés
+ * cover_<timestamp>_<aléa>_<taille>.<extension> : seules les clés sont stockées en base.
+ * La partie aléatoire évite que deux envois dans la même milliseconde partagent leurs clés
+ * (et s'écrasent, ou se suppriment mutuellement en cas d'annulation).
+ */
+
+const crypto = require('crypto'); // Partie aléatoire des clés
+const sharp = require('sharp'); // Module pour traiter les images (redimensionnement)
+const storage = require('../services/storage'); // Stockage des fichiers (local ou S3)
+
+// Dimensions de chaque taille (format portrait 2:3 des couvertures)
+const SIZES = {
+    thumbnail: { width: 200, height: 300 },
+    medium: { width: 400, height: 600 },
+    large: { width: 800, height: 1200 }
+};
+
+// Encodage de chaque format (qualité adaptée à chaque compression)
+const FORMATS = {
+    avif: (image) => image.avif({ quality: 50 }),
+    webp: (image) => image.webp({ quality: 75 }),
+    jpeg: (image) => image.jpeg({ quality: 80 })
+};
+
+// Extension de fichier et type MIME de chaque format
+const EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg' };
+const CONTENT_TYPES = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg' };
+
+/**
+ * Supprime une liste de clés du stockage
+ * (les erreurs sont seulement journalisées : un fichier manquant ne bloque rien)
+ */
+const deleteKeys = (keys) => Promise.all(keys.map((key) => storage.delete(key).catch((err) => {
+    console.error('Erreur suppression image :', err);
+})));
+exports.deleteKeys = deleteKeys;
+
+/**
+ * Génère et enregistre toutes les variantes d'une couverture
+ *
+ * - input : contenu du fichier envoyé (Buffer fourni par Multer)
+ *
+ * Renvoie :
+ * - images : { thumbnail: { avif, webp, jpeg }, medium: {...}, large: {...} } (clés)
+ * - imageKey : clé de la variante medium en JPEG (image principale)
+ *
+ * Tout ou rien : si une variante échoue, celles déjà enregistrées sont supprimées.
+ */
+exports.createCoverVariants = async (input) => {
+    const prefix = `cover_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+    const images = {};
+    const tasks = [];
+    const keys = [];
+
+    for (const [size, { width, height }] of Object.entries(SIZES)) {
+        images[size] = {};
+
+        // Redimensionnement une seule fois par taille, puis encodage dans chaque format
+        const resized = sharp(input).resize(width, height, {
+            fit: 'cover',
+            position: 'centre'
+        });
+
+        for (const [format, encode] of Object.entries(FORMATS)) {
+            const key = `${prefix}_${size}.${EXTENSIONS[format]}`;
+            images[size][format] = key;
+            keys.push(key);
+            tasks.push(
+                encode(resized.clone())
+                    .toBuffer()
+                    .then((buffer) => storage.put(key, buffer, CONTENT_TYPES[format]))
+            );
+        }
+    }
+
+    // On attend toutes les écritures (même en cas d'échec) pour pouvoir tout nettoyer
+    const results = await Promise.allSettled(tasks);
+    const failure = results.find((result) => result.status === 'rejected');
+
+    if (failure) {
+        await deleteKeys(keys);
+        throw failure.reason;
+    }
+
+    return { images, imageKey: images.medium.jpeg };
+};
+
+/**
+ * Couverture par défaut (aplat beige), pour les livres importés sans image
+ */
+exports.placeholderCover = () => sharp({
+    create: { width: 800, height: 1200, channels: 3, background: '#F2E3CE' }
+})
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+/**
+ * Liste les clés des images d'un livre (toutes variantes + image principale)
+ * Les anciennes URLs complètes enregistrées en base sont converties en clés.
+ */
+const coverKeys = (book) => {
+    const keys = new Set();
+    const mainKey = storage.toKey(book.imageKey || book.imageUrl);
+    if (mainKey) {
+        keys.add(mainKey);
+    }
+    if (book.images) {
+        for (const size of Object.keys(SIZES)) {
+            for (const format of Object.keys(FORMATS)) {
+                const key = storage.toKey(book.images[size]?.[format]);
+                if (key) {
+                    keys.add(key);
+                }
+            }
+        }
+    }
+    return [...keys];
+};
+exports.coverKeys = coverKeys;
+
+/**
+ * Supprime du stockage toutes les images d'un livre
+ * (ou les variantes renvoyées par createCoverVariants, en cas d'annulation)
+ */
+exports.deleteCoverFiles = (book) => deleteKeys(coverKeys(book));
+
+/**
+ * URLs publiques des images d'un livre, dérivées des clés stockées
+ * - imageUrl : image principale
+ * - images : variantes (null pour les livres antérieurs aux variantes)
+ */
+exports.coverUrls = (book) => {
+    const mainKey = storage.toKey(book.imageKey || book.imageUrl);
+    let images = null;
+
+    if (book.images) {
+        images = {};
+        for (const size of Object.keys(SIZES)) {
+            if (book.images[size]) {
+                images[size] = {};
+                for (const format of Object.keys(FORMATS)) {
+                    const key = storage.toKey(book.images[size][format]);
+                    images[size][format] = key ? storage.url(key) : undefined;
+                }
+            }
+        }
+    }
+
+    return {
+        imageUrl: mainKey ? storage.url(mainKey) : '',
+        images
+    };
+};
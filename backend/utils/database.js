@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+/**
+ * Connexion à MongoDB Atlas à partir des variables d'environnement
+ * Utilisée par le serveur et par les scripts de maintenance (dossier scripts/)
+ */
+exports.connect = () => mongoose.connect(
+    `mongodb+srv://${process.env.MONGO_USER}:${encodeURIComponent(process.env.MONGO_PASSWORD)}@${process.env.MONGO_CLUSTER}/${process.env.MONGO_DB}`
+);
@@ -0,0 +1,18 @@
+/**
+ * Nom public d'un utilisateur (livres publiés, avis...).
+ * - le nom choisi dans le profil s'il existe
+ * - sinon "Lecteur" suivi d'une empreinte courte de l'identifiant : rien de l'email n'est exposé
+ * - "Lecteur anonyme" si le compte n'existe plus
+ */
+const crypto = require('crypto');
+
+module.exports = (user) => {
+    if (!user) {
+        return 'Lecteur anonyme';
+    }
+    if (user.displayName) {
+        return user.displayName;
+    }
+    const hash = crypto.createHash('sha256').update(user._id.toString()).digest('hex');
+    return `Lecteur ${hash.slice(0, 6)}`;
+};
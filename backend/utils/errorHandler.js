@@ -2,13 +2,13 @@ const fs = require('fs');
 
 /**
  * Helper pour créer une erreur HTTP proprement
- * - Supprime le fichier uploadé s'il existe
+ * - Supprime le fichier uploadé s'il a été écrit sur le disque
  * - Attache un statusCode à l'erreur
  * - Lance l'erreur pour qu'elle soit captée par Express
  */
 exports.throwError = (req, statusCode, message) => {
     // Nettoyage du fichier uploadé si présent
-    if (req.file) {
+    if (req.file && req.file.path) {
         fs.unlink(req.file.path, (err) => {
             if (err) {
                 console.error('Erreur suppression fichier uploadé :', err);
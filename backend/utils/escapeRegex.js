@@ -0,0 +1,6 @@
+/**
+ * Échappe les caractères spéciaux d'une chaîne pour l'utiliser
+ * dans une expression régulière (ex: filtres de recherche MongoDB).
+ * Évite qu'une saisie utilisateur comme "C++" ou "(" casse la requête.
+ */
+module.exports = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,35 @@
+/**
+ * ETag des livres et comparaison avec les en-têtes conditionnels
+ *
+ * L'ETag d'un livre est dérivé de sa version (champ version, incrémenté à chaque modification) :
+ * "3" pour la version 3. Il change dès que le document est modifié en base.
+ */
+
+/**
+ * ETag d'un livre (fort : utilisable avec If-Match)
+ */
+const bookEtag = (book) => `"${book.version || 0}"`;
+
+/**
+ * Vrai si l'en-tête (If-Match ou If-None-Match) désigne l'ETag donné
+ * - liste d'ETags séparés par des virgules, ou "*" (n'importe quelle version)
+ * - weak : comparaison faible (If-None-Match), le préfixe W/ est ignoré ;
+ *   sinon comparaison forte (If-Match), un ETag faible ne correspond jamais
+ */
+const etagMatches = (header, etag, { weak = false } = {}) => header
+    .split(',')
+    .map((tag) => tag.trim())
+    .some((tag) => {
+        if (tag === '*') {
+            return true;
+        }
+        if (tag.startsWith('W/')) {
+            return weak && tag.slice(2) === etag;
+        }
+        return tag === etag;
+    });
+
+module.exports = {
+    bookEtag,
+    etagMatches
+};
@@ -0,0 +1,55 @@
+/**
+ * Outils ISBN
+ *
+ * Un ISBN peut être saisi sur 10 ou 13 chiffres, avec ou sans tirets ni espaces
+ * ("2-07-036822-X", "978 2070368228"...). En base, il est toujours stocké
+ * sous sa forme ISBN-13 sans séparateurs : deux saisies différentes
+ * du même livre donnent donc la même valeur (détection des doublons).
+ */
+
+// Chiffre de contrôle ISBN-10 : somme pondérée de 10 à 2, modulo 11 ("X" vaut 10)
+const isbn10CheckDigit = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < 9; i += 1) {
+        sum += Number(digits[i]) * (10 - i);
+    }
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+};
+
+// Chiffre de contrôle ISBN-13 : poids alternés 1 et 3, modulo 10
+const isbn13CheckDigit = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < 12; i += 1) {
+        sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+    return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Valide un ISBN-10 ou ISBN-13 (chiffre de contrôle compris)
+ * et le renvoie sous forme d'ISBN-13 sans séparateurs.
+ * Renvoie null si la saisie n'est pas un ISBN valide.
+ */
+exports.parseIsbn = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const compact = value.replace(/[\s-]/g, '').toUpperCase();
+
+    if (/^\d{9}[\dX]$/.test(compact)) {
+        if (isbn10CheckDigit(compact) !== compact[9]) {
+            return null;
+        }
+        // Conversion en ISBN-13 : préfixe 978 et nouveau chiffre de contrôle
+        const isbn13 = `978${compact.slice(0, 9)}`;
+        return isbn13 + isbn13CheckDigit(isbn13);
+    }
+
+    if (/^97[89]\d{10}$/.test(compact)) {
+        return isbn13CheckDigit(compact) === compact[12] ? compact : null;
+    }
+
+    return null;
+};
@@ -0,0 +1,82 @@
+/**
+ * Statistiques de notation d'un livre
+ *
+ * - averageRating : moyenne brute, arrondie à 1 décimale (affichée)
+ * - ratingsCount : nombre de notes
+ * - weightedRating : moyenne bayésienne, utilisée pour classer les livres
+ *
+ * La moyenne bayésienne ajoute PRIOR_WEIGHT notes fictives de PRIOR_MEAN à chaque livre :
+ * un livre noté une seule fois 5/5 obtient (3 × 5 + 5) / 6 ≈ 3,33, alors qu'un livre
+ * noté cinquante fois 4,8 obtient (3 × 5 + 240) / 55 ≈ 4,64. Plus un livre a de notes,
+ * plus son score se rapproche de sa moyenne réelle.
+ */
+
+// Note moyenne supposée d'un livre sans notes (milieu de l'échelle de 1 à 5)
+const PRIOR_MEAN = 3;
+
+// Poids de cette supposition, en nombre de notes
+const PRIOR_WEIGHT = 5;
+
+/**
+ * Arrondi au plus proche, les demis vers le haut (4,25 -> 4,3)
+ * $round de MongoDB arrondit les demis au pair (4,25 -> 4,2) : les deux calculs
+ * utilisent donc les mêmes opérations, ici et dans roundExpression.
+ */
+const round = (value, decimals) => Math.floor(value * 10 ** decimals + 0.5) / 10 ** decimals;
+
+const roundExpression = (value, decimals) => ({
+    $divide: [{ $floor: { $add: [{ $multiply: [value, 10 ** decimals] }, 0.5] } }, 10 ** decimals]
+});
+
+/**
+ * Calcul des statistiques à partir d'un tableau de notes ({ grade })
+ */
+const ratingStats = (ratings) => {
+    const ratingsCount = ratings.length;
+    const sum = ratings.reduce((acc, curr) => acc + curr.grade, 0);
+
+    return {
+        averageRating: ratingsCount > 0 ? round(sum / ratingsCount, 1) : 0,
+        ratingsCount,
+        weightedRating: round((PRIOR_MEAN * PRIOR_WEIGHT + sum) / (PRIOR_WEIGHT + ratingsCount), 3)
+    };
+};
+
+/**
+ * Expressions MongoDB équivalentes, pour un tableau de notes donné (ex: '$ratings')
+ */
+const ratingStatsExpressions = (ratings) => ({
+    // Somme divisée par le nombre de notes, comme ratingStats
+    averageRating: {
+        $cond: [
+            { $gt: [{ $size: ratings }, 0] },
+            roundExpression({ $divide: [{ $sum: `${ratings}.grade` }, { $size: ratings }] }, 1),
+            0
+        ]
+    },
+    ratingsCount: { $size: ratings },
+    weightedRating: roundExpression(
+        {
+            $divide: [
+                { $add: [PRIOR_MEAN * PRIOR_WEIGHT, { $sum: `${ratings}.grade` }] },
+                { $add: [PRIOR_WEIGHT, { $size: ratings }] }
+            ]
+        },
+        3
+    )
+});
+
+/**
+ * Étape de pipeline recalculant les statistiques à partir du tableau ratings
+ * Exécutée par MongoDB dans la même opération que la modification des notes :
+ * aucune autre requête ne peut s'intercaler entre les deux.
+ */
+const ratingStatsStage = { $set: ratingStatsExpressions('$ratings') };
+
+module.exports = {
+    PRIOR_MEAN,
+    PRIOR_WEIGHT,
+    ratingStats,
+    ratingStatsExpressions,
+    ratingStatsStage
+};
@@ -0,0 +1,14 @@
+/**
+ * Slug d'un nom : minuscules, sans accents ni ponctuation, mots séparés par des tirets
+ *
+ * Sert d'identifiant lisible dans les URLs des auteurs et des genres, et de clé de comparaison :
+ * deux noms qui ne diffèrent que par la casse, les accents ou la ponctuation ont le même slug.
+ * Ex: "Victor  Hugo" → "victor-hugo", "Science-fiction" → "science-fiction"
+ * Un nom sans lettre ni chiffre donne un slug vide.
+ */
+module.exports = (value) => value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // accents
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-') // ponctuation et espaces (les lettres non latines sont conservées)
+    .replace(/^-+|-+$/g, '');
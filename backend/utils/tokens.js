@@ -0,0 +1,185 @@
+/**
+ * Utilitaires de gestion des tokens d'authentification
+ *
+ * - token d'accès : JWT de courte durée, envoyé dans le header Authorization
+ * - refresh token : chaîne aléatoire de longue durée, au format "<sessionId>.<secret>",
+ *   stockée hashée dans la session et renouvelée (rotation) à chaque utilisation
+ * - token à usage unique : chaîne aléatoire envoyée par email (ex: réinitialisation
+ *   du mot de passe), stockée hashée dans la collection usertokens
+ */
+
+const crypto = require('crypto'); // Génération de secrets aléatoires et hachage
+const jwt = require('jsonwebtoken'); // Signature des tokens d'accès
+const Session = require('../models/Session'); // Modèle Mongoose Session
+const UserToken = require('../models/UserToken'); // Modèle Mongoose UserToken
+const User = require('../models/User'); // Modèle Mongoose User (rôle, suspension)
+
+// Durée de vie du token d'accès (format jsonwebtoken, ex: "15m")
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Durée de vie du refresh token en jours
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash SHA-256 d'un token : seul le hash est stocké en base
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+exports.hashToken = hashToken;
+
+/**
+ * Signe un token d'accès rattaché à une session
+ * Le rôle y figure pour les contrôles d'accès (requireRole, requireOwnerOrRole)
+ */
+const signAccessToken = (userId, sessionId, role) => jwt.sign(
+    { userId, sessionId, role },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Date d'expiration d'un nouveau refresh token
+ */
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sépare un refresh token en identifiant de session et secret
+ * Renvoie null si le format est invalide
+ */
+exports.parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') {
+        return null;
+    }
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+        return null;
+    }
+    return { sessionId, secret };
+};
+
+/**
+ * Ouvre une nouvelle session pour un utilisateur (connexion)
+ * Renvoie le token d'accès et le refresh token
+ */
+exports.createSession = async (userId, role = 'user') => {
+    const secret = crypto.randomBytes(48).toString('hex');
+
+    const session = new Session({
+        userId: userId.toString(),
+        refreshTokenHash: hashToken(secret),
+        expiresAt: refreshExpiry()
+    });
+    await session.save();
+
+    return {
+        token: signAccessToken(userId.toString(), session._id.toString(), role),
+        refreshToken: `${session._id}.${secret}`
+    };
+};
+
+/**
+ * Renouvelle les tokens d'une session (rotation du refresh token)
+ *
+ * - la mise à jour n'aboutit que si le hash correspond au refresh token courant :
+ *   deux rafraîchissements simultanés avec le même token ne peuvent pas réussir tous les deux
+ * - un refresh token déjà utilisé (hash différent) signale un vol probable :
+ *   la session entière est révoquée
+ * - le rôle est relu en base : un changement de rôle s'applique au prochain renouvellement
+ * - un compte suspendu ne peut plus renouveler ses tokens
+ *
+ * Renvoie null si le refresh token est invalide, expiré ou révoqué
+ */
+exports.rotateSession = async (sessionId, secret) => {
+    const newSecret = crypto.randomBytes(48).toString('hex');
+
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: sessionId,
+            refreshTokenHash: hashToken(secret),
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            refreshTokenHash: hashToken(newSecret),
+            expiresAt: refreshExpiry()
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // Réutilisation d'un ancien refresh token : on révoque la session
+        await Session.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { revokedAt: new Date() }
+        );
+        return null;
+    }
+
+    const user = await User.findOne({ _id: session.userId }, { role: 1, banned: 1 });
+    if (!user || user.banned) {
+        await Session.updateOne({ _id: sessionId }, { revokedAt: new Date() });
+        return null;
+    }
+
+    return {
+        userId: session.userId,
+        role: user.role,
+        token: signAccessToken(session.userId, session._id.toString(), user.role),
+        refreshToken: `${session._id}.${newSecret}`
+    };
+};
+
+
+/**
+ * Révoque toutes les sessions actives d'un utilisateur
+ * (ex: après un changement de mot de passe)
+ */
+exports.revokeAllSessions = async (userId) => {
+    await Session.updateMany(
+        { userId: userId.toString(), revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+/**
+ * Crée un token à usage unique pour un utilisateur
+ * - les tokens précédents du même type encore inutilisés sont invalidés
+ * - ttlMs : durée de validité en millisecondes
+ * Renvoie le token en clair (à envoyer par email, jamais stocké)
+ */
+exports.createUserToken = async (userId, type, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await UserToken.deleteMany({ userId: userId.toString(), type, usedAt: null });
+
+    const userToken = new UserToken({
+        userId: userId.toString(),
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    await userToken.save();
+
+    return token;
+};
+
+/**
+ * Consomme un token à usage unique
+ * Le token est marqué comme utilisé dans la même opération que sa vérification :
+ * deux requêtes simultanées avec le même token ne peuvent pas réussir toutes les deux.
+ * Renvoie le document du token (userId...) ou null s'il est invalide, expiré ou déjà utilisé
+ */
+exports.consumeUserToken = async (token, type) => {
+    if (typeof token !== 'string' || token.length === 0) {
+        return null;
+    }
+    return UserToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            type,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
@@ -0,0 +1,57 @@
+/**
+ * Corbeille des livres
+ *
+ * Un livre supprimé reste en base (deletedAt renseigné) pendant la durée de conservation :
+ * son propriétaire peut le restaurer. Passé ce délai, la purge (npm run purge:trash)
+ * le supprime définitivement avec ses images, ses suivis de lecture, sa place dans les listes
+ * et son historique (couvertures remplacées comprises).
+ *
+ * Durée de conservation : variable d'environnement TRASH_RETENTION_DAYS (30 jours par défaut).
+ */
+
+const Book = require('../models/Book');
+const ReadingEntry = require('../models/ReadingEntry');
+const List = require('../models/List');
+const BookRevision = require('../models/BookRevision');
+const { coverKeys, deleteKeys } = require('./coverImages');
+const { historyCoverKeys } = require('./bookRevisions');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Durée de conservation en jours
+ */
+const retentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Date à partir de laquelle un livre mis à la corbeille peut être purgé
+ */
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * DAY);
+
+/**
+ * Supprime définitivement un livre de la corbeille
+ * Renvoie false si le livre n'est plus dans la corbeille (restauré entre-temps).
+ * Les images sont supprimées en dernier : si la suppression en base échoue, le livre les garde.
+ */
+const purgeBook = async (book) => {
+    const { deletedCount } = await Book.deleteOne({ _id: book._id, deletedAt: { $ne: null } });
+    if (deletedCount === 0) {
+        return false;
+    }
+
+    // Couverture actuelle et couvertures de l'historique, chaque fichier une seule fois
+    const keys = new Set([...coverKeys(book), ...await historyCoverKeys(book._id)]);
+
+    await ReadingEntry.deleteMany({ bookId: book._id.toString() });
+    await List.updateMany({ 'books.bookId': book._id }, { $pull: { books: { bookId: book._id } } });
+    await BookRevision.deleteMany({ bookId: book._id });
+    await deleteKeys([...keys]);
+
+    return true;
+};
+
+module.exports = {
+    retentionDays,
+    purgeDate,
+    purgeBook
+};
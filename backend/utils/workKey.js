@@ -0,0 +1,15 @@
+/**
+ * Clé d'une œuvre : titre et auteur normalisés
+ *
+ * Les éditions d'un même livre (poche, réédition, traduction...) partagent cette clé.
+ * Elle sert à repérer les doublons probables et à lister les autres éditions.
+ * Ex: "L'Étranger" de "Albert  Camus" → "l etranger|albert camus"
+ */
+const normalize = (value) => value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ') // ponctuation et espaces multiples
+    .trim();
+
+module.exports = (title, author) => `${normalize(title)}|${normalize(author)}`;
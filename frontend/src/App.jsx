@@ -10,6 +10,18 @@ import Header from './components/Header/Header';
 import Footer from './components/Footer/Footer';
 import AddBook from './pages/AddBook/AddBook';
 import UpdateBook from './pages/updateBook/UpdateBook';
+import Search from './pages/Search/Search';
+import ForgotPassword from './pages/ForgotPassword/ForgotPassword';
+import ResetPassword from './pages/ResetPassword/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail/VerifyEmail';
+import Profile from './pages/Profile/Profile';
+import EditProfile from './pages/EditProfile/EditProfile';
+import Library from './pages/Library/Library';
+import EntityBooks from './pages/EntityBooks/EntityBooks';
+import MyLists from './pages/MyLists/MyLists';
+import List from './pages/List/List';
+import Trash from './pages/Trash/Trash';
+import BookHistory from './pages/BookHistory/BookHistory';
 import { useUser } from './lib/customHooks';
 import ScrollToTop from './components/ScrollToTop/ScrollToTop';
 
@@ -28,9 +40,22 @@ function App() {
         <Routes>
           <Route index element={<Home />} />
           <Route path={APP_ROUTES.SIGN_IN} element={<SignIn setUser={setUser} />} />
+          <Route path={APP_ROUTES.FORGOT_PASSWORD} element={<ForgotPassword />} />
+          <Route path={APP_ROUTES.RESET_PASSWORD} element={<ResetPassword />} />
+          <Route path={APP_ROUTES.VERIFY_EMAIL} element={<VerifyEmail />} />
           <Route path={APP_ROUTES.BOOK} element={<Book />} />
+          <Route path={APP_ROUTES.BOOK_HISTORY} element={<BookHistory />} />
           <Route path={APP_ROUTES.UPDATE_BOOK} element={<UpdateBook />} />
           <Route path={APP_ROUTES.ADD_BOOK} element={<AddBook />} />
+          <Route path={APP_ROUTES.SEARCH} element={<Search />} />
+          <Route path={APP_ROUTES.PROFILE} element={<Profile />} />
+          <Route path={APP_ROUTES.EDIT_PROFILE} element={<EditProfile />} />
+          <Route path={APP_ROUTES.LIBRARY} element={<Library />} />
+          <Route path={APP_ROUTES.AUTHOR} element={<EntityBooks kind="author" />} />
+          <Route path={APP_ROUTES.GENRE} element={<EntityBooks kind="genre" />} />
+          <Route path={APP_ROUTES.MY_LISTS} element={<MyLists />} />
+          <Route path={APP_ROUTES.LIST} element={<List />} />
+          <Route path={APP_ROUTES.TRASH} element={<Trash />} />
         </Routes>
         <Footer />
       </div>
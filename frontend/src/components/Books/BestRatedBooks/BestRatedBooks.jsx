@@ -1,23 +1,28 @@
 import React from 'react';
-import { useBestRatedBooks } from '../../../lib/customHooks';
+import * as PropTypes from 'prop-types';
+import { useRecommendations } from '../../../lib/customHooks';
 import BookItem from '../BookItem/BookItem';
 import styles from './BestRatedBooks.module.css';
 
-function BestRatedBooks() {
-  const { bestRatedBooks } = useBestRatedBooks();
+function BestRatedBooks({ bookId }) {
+  const { recommendations } = useRecommendations(bookId);
 
-  const bestRatedBooksContent = bestRatedBooks.length > 0 ? (
-    bestRatedBooks.map((elt) => <BookItem key={`book-${elt.id}`} book={elt} size={3} />)
+  const recommendationsContent = recommendations.length > 0 ? (
+    recommendations.map((elt) => <BookItem key={`book-${elt.id}`} book={elt} size={3} />)
   ) : <h3>Aucune recommendation</h3>;
 
   return (
     <section className={`content-container ${styles.BestRatedBooks}`}>
-      <h2>Les mieux notés</h2>
+      <h2>Vous aimerez aussi</h2>
       <div className={styles.List}>
-        {bestRatedBooksContent}
+        {recommendationsContent}
       </div>
     </section>
   );
 }
 
+BestRatedBooks.propTypes = {
+  bookId: PropTypes.string.isRequired,
+};
+
 export default BestRatedBooks;
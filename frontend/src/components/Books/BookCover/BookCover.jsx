@@ -0,0 +1,66 @@
+import React from 'react';
+import * as PropTypes from 'prop-types';
+
+// Variant used at 1x and 2x pixel density for each display size
+const DENSITIES = {
+  thumbnail: ['thumbnail', 'medium'],
+  medium: ['medium', 'large'],
+};
+
+function BookCover({
+  images, imageUrl, size, alt, className,
+}) {
+  // Books published before cover variants only have a single imageUrl
+  if (!images?.[size]) {
+    return <img className={className} src={imageUrl} alt={alt} />;
+  }
+
+  const [base, retina] = DENSITIES[size];
+  const srcSet = (format) => [
+    images[base]?.[format] ? `${images[base][format]} 1x` : null,
+    images[retina]?.[format] ? `${images[retina][format]} 2x` : null,
+  ].filter(Boolean).join(', ');
+
+  return (
+    <picture>
+      <source type="image/avif" srcSet={srcSet('avif')} />
+      <source type="image/webp" srcSet={srcSet('webp')} />
+      <img
+        className={className}
+        src={images[base].jpeg}
+        srcSet={srcSet('jpeg')}
+        alt={alt}
+        loading={size === 'thumbnail' ? 'lazy' : undefined}
+      />
+    </picture>
+  );
+}
+
+const formatsShape = PropTypes.shape({
+  avif: PropTypes.string,
+  webp: PropTypes.string,
+  jpeg: PropTypes.string,
+});
+
+export const imagesShape = PropTypes.shape({
+  thumbnail: formatsShape,
+  medium: formatsShape,
+  large: formatsShape,
+});
+
+BookCover.propTypes = {
+  images: imagesShape,
+  imageUrl: PropTypes.string,
+  size: PropTypes.oneOf(['thumbnail', 'medium']),
+  alt: PropTypes.string.isRequired,
+  className: PropTypes.string,
+};
+
+BookCover.defaultProps = {
+  images: null,
+  imageUrl: '',
+  size: 'thumbnail',
+  className: undefined,
+};
+
+export default BookCover;
@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import * as PropTypes from 'prop-types';
+import { getEditions } from '../../../lib/common';
+import styles from './BookEditions.module.css';
+
+// Display an ISBN-13 as 978-2070368228 (the grouping of the other digits varies by country)
+function formatIsbn(isbn) {
+  return `${isbn.slice(0, 3)}-${isbn.slice(3)}`;
+}
+
+function BookEditions({ book }) {
+  const [editions, setEditions] = useState([]);
+
+  useEffect(() => {
+    async function getItems() {
+      const data = await getEditions(book.id);
+      setEditions(data);
+    }
+    getItems();
+  }, [book.id]);
+
+  const details = [
+    ['Éditeur', book.publishingHouse],
+    ['Édition', book.edition],
+    ['Langue', book.language],
+    ['Pages', book.pageCount],
+    ['ISBN', book.isbn ? formatIsbn(book.isbn) : null],
+  ].filter(([, value]) => value);
+
+  if (details.length === 0 && editions.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className={styles.BookEditions}>
+      {details.length > 0 ? (
+        <dl>
+          {details.map(([label, value]) => (
+            <div key={label}>
+              <dt>{label}</dt>
+              <dd>{value}</dd>
+            </div>
+          ))}
+        </dl>
+      ) : null}
+      {editions.length > 0 ? (
+        <>
+          <h2>Autres éditions</h2>
+          <ul>
+            {editions.map((edition) => (
+              <li key={`edition-${edition.id}`}>
+                <Link to={`/livre/${edition.id}`}>
+                  {`${edition.title} (${edition.year})`}
+                </Link>
+                {[edition.publishingHouse, edition.edition].filter(Boolean).map((value) => ` - ${value}`)}
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : null}
+    </section>
+  );
+}
+
+BookEditions.propTypes = {
+  book: PropTypes.shape({
+    id: PropTypes.string,
+    isbn: PropTypes.string,
+    publishingHouse: PropTypes.string,
+    language: PropTypes.string,
+    pageCount: PropTypes.number,
+    edition: PropTypes.string,
+  }).isRequired,
+};
+
+export default BookEditions;
@@ -0,0 +1,68 @@
+import React from 'react';
+import * as PropTypes from 'prop-types';
+import styles from './BookFilters.module.css';
+
+function BookFilters({ filters, onChange }) {
+  const handleChange = (e) => {
+    onChange({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  return (
+    <form className={styles.BookFilters} onSubmit={(e) => e.preventDefault()}>
+      <label htmlFor="sort">
+        <p>Trier par</p>
+        <select id="sort" name="sort" value={filters.sort} onChange={handleChange}>
+          <option value="recent">Les plus récents</option>
+          <option value="title">Titre</option>
+          <option value="year">Année</option>
+          <option value="averageRating">Note moyenne</option>
+        </select>
+      </label>
+      <label htmlFor="filterGenre">
+        <p>Genre</p>
+        <input type="text" id="filterGenre" name="genre" value={filters.genre} onChange={handleChange} />
+      </label>
+      <label htmlFor="filterAuthor">
+        <p>Auteur</p>
+        <input type="text" id="filterAuthor" name="author" value={filters.author} onChange={handleChange} />
+      </label>
+      <label htmlFor="filterTag">
+        <p>Tag</p>
+        <input type="text" id="filterTag" name="tag" value={filters.tag} onChange={handleChange} />
+      </label>
+      <label htmlFor="yearMin">
+        <p>Année min.</p>
+        <input type="number" id="yearMin" name="yearMin" value={filters.yearMin} onChange={handleChange} />
+      </label>
+      <label htmlFor="yearMax">
+        <p>Année max.</p>
+        <input type="number" id="yearMax" name="yearMax" value={filters.yearMax} onChange={handleChange} />
+      </label>
+      <label htmlFor="minRating">
+        <p>Note min.</p>
+        <select id="minRating" name="minRating" value={filters.minRating} onChange={handleChange}>
+          <option value="">Toutes</option>
+          <option value="1">1 étoile et +</option>
+          <option value="2">2 étoiles et +</option>
+          <option value="3">3 étoiles et +</option>
+          <option value="4">4 étoiles et +</option>
+        </select>
+      </label>
+    </form>
+  );
+}
+
+BookFilters.propTypes = {
+  filters: PropTypes.shape({
+    sort: PropTypes.string,
+    genre: PropTypes.string,
+    author: PropTypes.string,
+    tag: PropTypes.string,
+    yearMin: PropTypes.string,
+    yearMax: PropTypes.string,
+    minRating: PropTypes.string,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default BookFilters;
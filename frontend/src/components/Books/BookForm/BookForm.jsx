@@ -2,31 +2,46 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import * as PropTypes from 'prop-types';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { generateStarsInputs } from '../../../lib/functions';
 import { useFilePreview } from '../../../lib/customHooks';
 import addFileIMG from '../../../images/add_file.png';
+import EntityPicker from '../EntityPicker/EntityPicker';
 import styles from './BookForm.module.css';
-import { updateBook, addBook } from '../../../lib/common';
+import {
+  updateBook, addBook, lookupIsbn, getLookupCover, getAuthorSuggestions, getGenreSuggestions,
+} from '../../../lib/common';
 
-function BookForm({ book, validate }) {
+// Fields pre-filled from an ISBN lookup
+const LOOKUP_FIELDS = ['title', 'author', 'year', 'genre', 'publishingHouse', 'pageCount', 'language'];
+
+function BookForm({ book, validate, onConflict }) {
   const userRating = book ? book.ratings.find((elt) => elt.userId === localStorage.getItem('userId'))?.grade : 0;
 
   const [rating, setRating] = useState(0);
+  const [lookup, setLookup] = useState(null);
+  const [suggestedCover, setSuggestedCover] = useState(null);
 
   const navigate = useNavigate();
   const {
-    register, watch, formState, handleSubmit, reset,
+    register, watch, formState, handleSubmit, reset, setValue, getValues,
   } = useForm({
     defaultValues: useMemo(() => ({
       title: book?.title,
       author: book?.author,
       year: book?.year,
       genre: book?.genre,
+      isbn: book?.isbn,
+      publishingHouse: book?.publishingHouse,
+      language: book?.language,
+      pageCount: book?.pageCount,
+      edition: book?.edition,
+      tags: book?.tags?.join(', '),
     }), [book]),
   });
   useEffect(() => {
-    reset(book);
+    // Tags are edited as comma-separated text
+    reset(book ? { ...book, tags: book.tags?.join(', ') } : book);
   }, [book]);
   const file = watch(['file']);
   const [filePreview] = useFilePreview(file);
@@ -43,6 +58,43 @@ function BookForm({ book, validate }) {
     }
   }, [formState]);
 
+  const onLookup = async () => {
+    const isbn = getValues('isbn');
+    if (!isbn) {
+      return;
+    }
+    setLookup({ loading: true });
+    setSuggestedCover(null);
+
+    const data = await lookupIsbn(isbn);
+    if (data.error) {
+      setLookup({ message: data.message });
+      return;
+    }
+
+    LOOKUP_FIELDS.forEach((field) => {
+      if (data[field] !== null && data[field] !== '') {
+        setValue(field, data[field], { shouldDirty: true });
+      }
+    });
+    setLookup({ existingBookId: data.existingBookId });
+
+    if (data.hasCover) {
+      const cover = await getLookupCover(data.isbn);
+      if (cover) {
+        setSuggestedCover({ file: cover, url: URL.createObjectURL(cover) });
+      }
+    }
+  };
+
+  // Use the cover found by the lookup as the book image, as if the user had picked the file
+  const acceptCover = () => {
+    const dataTransfer = new DataTransfer();
+    dataTransfer.items.add(suggestedCover.file);
+    setValue('file', dataTransfer.files, { shouldDirty: true });
+    setSuggestedCover(null);
+  };
+
   const onSubmit = async (data) => {
     // When we create a new book
     if (!book) {
@@ -56,14 +108,18 @@ function BookForm({ book, validate }) {
       }
       const newBook = await addBook(data);
       if (!newBook.error) {
-        validate(true);
+        // The response may warn about probable duplicates (same title and author)
+        validate(newBook.data);
       } else {
         alert(newBook.message);
       }
     } else {
-      const updatedBook = await updateBook(data, data.id);
+      const updatedBook = await updateBook(data, data.id, book.etag);
       if (!updatedBook.error) {
         navigate('/');
+      } else if (updatedBook.conflict && onConflict) {
+        // Modified elsewhere since it was loaded: let the page offer to reload or overwrite
+        onConflict(data, updatedBook.etag);
       } else {
         alert(updatedBook.message);
       }
@@ -74,22 +130,73 @@ function BookForm({ book, validate }) {
   return (
     <form onSubmit={handleSubmit(onSubmit)} className={styles.Form}>
       <input type="hidden" id="id" {...register('id')} />
+      <label htmlFor="isbn">
+        <p>ISBN</p>
+        <div className={styles.Lookup}>
+          <input type="text" id="isbn" placeholder="978-2-07-036822-8" {...register('isbn')} />
+          <button type="button" onClick={onLookup} disabled={lookup?.loading}>
+            {lookup?.loading ? 'Recherche...' : 'Pré-remplir'}
+          </button>
+        </div>
+      </label>
+      {lookup?.message ? <p className={styles.LookupMessage}>{lookup.message}</p> : null}
+      {lookup?.existingBookId ? (
+        <p className={styles.LookupMessage}>
+          {'Ce livre existe déjà : '}
+          <Link to={`/livre/${lookup.existingBookId}`}>voir sa fiche</Link>
+        </p>
+      ) : null}
+      {suggestedCover ? (
+        <div className={styles.SuggestedCover}>
+          <img src={suggestedCover.url} alt="Couverture trouvée pour cet ISBN" />
+          <button type="button" onClick={acceptCover}>Utiliser cette couverture</button>
+        </div>
+      ) : null}
       <label htmlFor="title">
         <p>Titre du livre</p>
         <input type="text" id="title" {...register('title')} />
       </label>
-      <label htmlFor="author">
-        <p>Auteur</p>
-        <input type="text" id="author" {...register('author')} />
-      </label>
+      <EntityPicker
+        id="author"
+        label="Auteur"
+        registration={register('author')}
+        onSelect={(name) => setValue('author', name, { shouldDirty: true })}
+        getSuggestions={getAuthorSuggestions}
+      />
       <label htmlFor="year">
         <p>Année de publication</p>
         <input type="text" id="year" {...register('year')} />
       </label>
-      <label htmlFor="genre">
-        <p>Genre</p>
-        <input type="text" id="genre" {...register('genre')} />
+      <EntityPicker
+        id="genre"
+        label="Genre"
+        registration={register('genre')}
+        onSelect={(name) => setValue('genre', name, { shouldDirty: true })}
+        getSuggestions={getGenreSuggestions}
+      />
+      <label htmlFor="tags">
+        <p>Tags (facultatif, séparés par des virgules)</p>
+        <input type="text" id="tags" placeholder="polar, club de lecture..." {...register('tags')} />
       </label>
+      <fieldset className={styles.Edition}>
+        <legend>Édition (facultatif)</legend>
+        <label htmlFor="publishingHouse">
+          <p>Éditeur</p>
+          <input type="text" id="publishingHouse" {...register('publishingHouse')} />
+        </label>
+        <label htmlFor="edition">
+          <p>Mention d&apos;édition</p>
+          <input type="text" id="edition" placeholder="Poche, 2e édition..." {...register('edition')} />
+        </label>
+        <label htmlFor="language">
+          <p>Langue</p>
+          <input type="text" id="language" placeholder="fr" {...register('language')} />
+        </label>
+        <label htmlFor="pageCount">
+          <p>Nombre de pages</p>
+          <input type="number" id="pageCount" min="1" {...register('pageCount')} />
+        </label>
+      </fieldset>
       <label htmlFor="rate">
         <p>Note</p>
         <div className={styles.Stars}>
@@ -129,17 +236,26 @@ BookForm.propTypes = {
     year: PropTypes.number,
     imageUrl: PropTypes.string,
     genre: PropTypes.string,
+    isbn: PropTypes.string,
+    publishingHouse: PropTypes.string,
+    language: PropTypes.string,
+    pageCount: PropTypes.number,
+    edition: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string),
     ratings: PropTypes.arrayOf(PropTypes.shape({
       userId: PropTypes.string,
       grade: PropTypes.number,
     })),
     averageRating: PropTypes.number,
+    etag: PropTypes.string,
   }),
   validate: PropTypes.func,
+  onConflict: PropTypes.func,
 };
 
 BookForm.defaultProps = {
   book: null,
   validate: null,
+  onConflict: null,
 };
 export default BookForm;
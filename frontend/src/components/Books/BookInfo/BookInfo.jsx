@@ -1,5 +1,6 @@
 import * as PropTypes from 'prop-types';
 import React from 'react';
+import { Link } from 'react-router-dom';
 import styles from '../../../pages/Book/Book.module.css';
 import { displayStars } from '../../../lib/functions';
 
@@ -7,13 +8,25 @@ function BookInfo({ book }) {
   return (
     <div className={styles.BookInfo}>
       <h1>{book.title}</h1>
-      <p className={styles.Author}>{`par ${book.author}`}</p>
+      <p className={styles.Author}>
+        {'par '}
+        {book.authorSlug ? <Link to={`/auteur/${book.authorSlug}`}>{book.author}</Link> : book.author}
+      </p>
       <p className={styles.PublishDate}>{book.year}</p>
-      <p className={styles.Genre}>{book.genre}</p>
+      <p className={styles.Genre}>
+        {book.genreSlug ? <Link to={`/genre/${book.genreSlug}`}>{book.genre}</Link> : book.genre}
+      </p>
       <div className={styles.Rating}>
         <div>{displayStars(book.averageRating)}</div>
         <p>{`${book.averageRating}/5`}</p>
       </div>
+      {book.tags?.length ? (
+        <ul className={styles.Tags}>
+          {book.tags.map((tag) => (
+            <li key={tag}><Link to={`/?tag=${encodeURIComponent(tag)}`}>{`#${tag}`}</Link></li>
+          ))}
+        </ul>
+      ) : null}
     </div>
   );
 }
@@ -24,9 +37,12 @@ BookInfo.propTypes = {
     userId: PropTypes.string,
     title: PropTypes.string,
     author: PropTypes.string,
+    authorSlug: PropTypes.string,
     year: PropTypes.number,
     imageUrl: PropTypes.string,
     genre: PropTypes.string,
+    genreSlug: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string),
     ratings: PropTypes.arrayOf(PropTypes.shape({
       userId: PropTypes.string,
       grade: PropTypes.number,
@@ -3,6 +3,7 @@ import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
 import { displayStars } from '../../../lib/functions';
 import styles from './BookItem.module.css';
+import BookCover, { imagesShape } from '../BookCover/BookCover';
 
 function BookItem({ book, size }) {
   let title;
@@ -20,7 +21,13 @@ function BookItem({ book, size }) {
   return (
     <Link to={`/livre/${book.id}`} className={styles.BookItem}>
       <article>
-        <img className={styles.BookImage} src={book.imageUrl} alt={`${book.title}, ${book.author} - ${book.year}`} />
+        <BookCover
+          className={styles.BookImage}
+          images={book.images}
+          imageUrl={book.imageUrl}
+          size="thumbnail"
+          alt={`${book.title}, ${book.author} - ${book.year}`}
+        />
         <div className={styles.BookInfo}>
           <div className={styles.Rating}>
             {displayStars(book.averageRating)}
@@ -44,6 +51,7 @@ BookItem.propTypes = {
     author: PropTypes.string,
     year: PropTypes.number,
     imageUrl: PropTypes.string,
+    images: imagesShape,
     genre: PropTypes.string,
     ratings: PropTypes.arrayOf(PropTypes.shape({
       userId: PropTypes.string,
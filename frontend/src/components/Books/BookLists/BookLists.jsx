@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import * as PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { getLists, addBookToList } from '../../../lib/common';
+import { APP_ROUTES } from '../../../utils/constants';
+import styles from './BookLists.module.css';
+
+function BookLists({ bookId, userId }) {
+  const [lists, setLists] = useState([]);
+  const [ownLists, setOwnLists] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const loadLists = async () => {
+    const [containing, own] = await Promise.all([
+      getLists({ bookId, limit: 50 }),
+      userId ? getLists({ userId, limit: 50 }) : { lists: [] },
+    ]);
+    setLists(containing.lists);
+    setOwnLists(own.lists);
+  };
+
+  useEffect(() => {
+    loadLists();
+  }, [bookId, userId]);
+
+  // eslint-disable-next-line no-underscore-dangle
+  const containingIds = lists.map((list) => list._id);
+  // eslint-disable-next-line no-underscore-dangle
+  const available = ownLists.filter((list) => !containingIds.includes(list._id));
+
+  const onAdd = async (e) => {
+    e.preventDefault();
+    const list = await addBookToList(selected, bookId);
+    if (list.error) {
+      setMessage(list.message);
+      return;
+    }
+    setSelected('');
+    setMessage(`Livre ajouté à « ${list.name} »`);
+    loadLists();
+  };
+
+  if (lists.length === 0 && !userId) {
+    return null;
+  }
+
+  return (
+    <section className={styles.BookLists}>
+      <h2>Dans les listes</h2>
+      {lists.length === 0 ? <p>Ce livre ne figure dans aucune liste</p> : (
+        <ul>
+          {lists.map((list) => (
+            // eslint-disable-next-line no-underscore-dangle
+            <li key={list._id}>
+              {/* eslint-disable-next-line no-underscore-dangle */}
+              <Link to={`/liste/${list._id}`}>{list.name}</Link>
+              {` par ${list.owner.displayName ?? 'un lecteur'} (${list.booksCount} livres)`}
+              {list.visibility === 'private' ? <span className={styles.Private}>privée</span> : null}
+            </li>
+          ))}
+        </ul>
+      )}
+      {userId ? (
+        <form onSubmit={onAdd}>
+          <label htmlFor="bookListSelect">
+            <span>Ajouter à une liste</span>
+            <select id="bookListSelect" value={selected} onChange={(e) => setSelected(e.target.value)}>
+              <option value="">Choisir une liste</option>
+              {available.map((list) => (
+                // eslint-disable-next-line no-underscore-dangle
+                <option key={list._id} value={list._id}>{list.name}</option>
+              ))}
+            </select>
+          </label>
+          <button type="submit" disabled={!selected}>Ajouter</button>
+        </form>
+      ) : null}
+      {message ? <p className={styles.Message}>{message}</p> : null}
+      {userId ? <Link to={APP_ROUTES.MY_LISTS}>Gérer mes listes</Link> : null}
+    </section>
+  );
+}
+
+BookLists.propTypes = {
+  bookId: PropTypes.string.isRequired,
+  userId: PropTypes.string,
+};
+
+BookLists.defaultProps = {
+  userId: null,
+};
+
+export default BookLists;
@@ -1,22 +1,29 @@
+/* eslint-disable react/jsx-props-no-spreading */
 import * as PropTypes from 'prop-types';
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import styles from './BookRatingForm.module.css';
 import { generateStarsInputs, displayStars } from '../../../lib/functions';
 import { APP_ROUTES } from '../../../utils/constants';
 import { useUser } from '../../../lib/customHooks';
-import { rateBook } from '../../../lib/common';
+import { rateBook, updateRating, removeRating } from '../../../lib/common';
 
 function BookRatingForm({
-  rating, setRating, userId, setBook, id, userRated,
+  rating, setRating, userId, setBook, id, userRated, review,
 }) {
   const { connectedUser, auth } = useUser();
   const navigate = useNavigate();
-  const { register, formState, handleSubmit } = useForm({
+  const [editing, setEditing] = useState(false);
+  const [previousRating, setPreviousRating] = useState(0);
+  const {
+    register, formState, handleSubmit, setValue,
+  } = useForm({
     mode: 'onChange',
     defaultValues: {
       rating: 0,
+      reviewTitle: '',
+      reviewBody: '',
     },
   });
   useEffect(() => {
@@ -26,27 +33,96 @@ function BookRatingForm({
       formState.dirtyFields.rating = false;
     }
   }, [formState]);
-  const onSubmit = async () => {
+  const onSubmit = async (data) => {
     if (!connectedUser || !auth) {
       navigate(APP_ROUTES.SIGN_IN);
     }
-    const update = await rateBook(id, userId, rating);
+    // An empty review is sent as null so the rating stays without text
+    const newReview = data.reviewBody.trim()
+      ? { title: data.reviewTitle, body: data.reviewBody }
+      : null;
+    // An existing rating is updated, otherwise a new one is created
+    const update = editing
+      ? await updateRating(id, rating, newReview)
+      : await rateBook(id, userId, rating, newReview);
     console.log(update);
-    if (update) {
+    if (update && !update.error) {
+      setEditing(false);
       // eslint-disable-next-line no-underscore-dangle
       setBook({ ...update, id: update._id });
     } else {
-      alert(update);
+      alert(update.message ?? update);
     }
   };
+
+  const onEdit = () => {
+    setPreviousRating(rating);
+    setValue('reviewTitle', review?.title ?? '');
+    setValue('reviewBody', review?.body ?? '');
+    setEditing(true);
+  };
+
+  const onCancel = () => {
+    setRating(previousRating);
+    setEditing(false);
+  };
+
+  const onRemove = async () => {
+    // eslint-disable-next-line no-restricted-globals
+    const check = confirm('Etes vous sûr de vouloir retirer votre note ?');
+    if (!check) {
+      return;
+    }
+    const update = await removeRating(id);
+    if (!update.error) {
+      setEditing(false);
+      // eslint-disable-next-line no-underscore-dangle
+      setBook({ ...update, id: update._id });
+    } else {
+      alert(update.message);
+    }
+  };
+
+  const readOnly = userRated && !editing;
+  let actions;
+  if (!userRated) {
+    actions = <button type="submit">Valider</button>;
+  } else if (editing) {
+    actions = (
+      <div className={styles.Actions}>
+        <button type="submit">Enregistrer</button>
+        <button type="button" onClick={onCancel}>Annuler</button>
+      </div>
+    );
+  } else {
+    actions = (
+      <div className={styles.Actions}>
+        <button type="button" onClick={onEdit}>Modifier ma note</button>
+        <button type="button" onClick={onRemove}>Retirer ma note</button>
+      </div>
+    );
+  }
+
   return (
     <div className={styles.BookRatingForm}>
       <form onSubmit={handleSubmit(onSubmit)}>
         <p>{rating > 0 ? 'Votre Note' : 'Notez cet ouvrage'}</p>
         <div className={styles.Stars}>
-          {!userRated ? generateStarsInputs(rating, register) : displayStars(rating)}
+          {!readOnly ? generateStarsInputs(rating, register) : displayStars(rating)}
         </div>
-        {!userRated ? <button type="submit">Valider</button> : null}
+        {!readOnly ? (
+          <div className={styles.Review}>
+            <label htmlFor="reviewTitle">
+              <p>Titre de votre avis (facultatif)</p>
+              <input type="text" id="reviewTitle" maxLength={200} {...register('reviewTitle')} />
+            </label>
+            <label htmlFor="reviewBody">
+              <p>Votre avis (facultatif)</p>
+              <textarea id="reviewBody" rows={5} maxLength={5000} {...register('reviewBody')} />
+            </label>
+          </div>
+        ) : null}
+        {actions}
       </form>
     </div>
   );
@@ -59,6 +135,14 @@ BookRatingForm.propTypes = {
   setBook: PropTypes.func.isRequired,
   id: PropTypes.string.isRequired,
   userRated: PropTypes.bool.isRequired,
+  review: PropTypes.shape({
+    title: PropTypes.string,
+    body: PropTypes.string,
+  }),
+};
+
+BookRatingForm.defaultProps = {
+  review: null,
 };
 
 export default BookRatingForm;
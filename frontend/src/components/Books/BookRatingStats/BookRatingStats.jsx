@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+import * as PropTypes from 'prop-types';
+import { getBookStats } from '../../../lib/common';
+import styles from './BookRatingStats.module.css';
+
+const GRADES = [5, 4, 3, 2, 1];
+
+function BookRatingStats({ bookId, ratings }) {
+  const [stats, setStats] = useState(null);
+
+  // Reload whenever the book's ratings change
+  useEffect(() => {
+    async function getStats() {
+      const data = await getBookStats(bookId);
+      setStats(data);
+    }
+    getStats();
+  }, [bookId, ratings]);
+
+  if (!stats || stats.ratingsCount === 0) {
+    return null;
+  }
+
+  return (
+    <section className={styles.BookRatingStats}>
+      <p className={styles.Total}>
+        {`${stats.ratingsCount} note${stats.ratingsCount > 1 ? 's' : ''}`}
+      </p>
+      <ul>
+        {GRADES.map((grade) => {
+          const count = stats.distribution[grade];
+          const percent = Math.round((count / stats.ratingsCount) * 100);
+          return (
+            <li key={`grade-${grade}`}>
+              <span className={styles.Grade}>{`${grade} ★`}</span>
+              <span
+                className={styles.Bar}
+                role="img"
+                aria-label={`${count} note${count > 1 ? 's' : ''} de ${grade} sur 5`}
+              >
+                <span style={{ width: `${percent}%` }} />
+              </span>
+              <span className={styles.Count}>{count}</span>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+BookRatingStats.propTypes = {
+  bookId: PropTypes.string.isRequired,
+  ratings: PropTypes.arrayOf(PropTypes.shape({
+    userId: PropTypes.string,
+    grade: PropTypes.number,
+  })),
+};
+
+BookRatingStats.defaultProps = {
+  ratings: [],
+};
+
+export default BookRatingStats;
@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from 'react';
+import * as PropTypes from 'prop-types';
+import { getReviews } from '../../../lib/common';
+import { displayStars } from '../../../lib/functions';
+import styles from './BookReviews.module.css';
+
+const REVIEWS_PER_PAGE = 5;
+
+function BookReviews({ bookId, ratings }) {
+  const [reviews, setReviews] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+
+  // Reload from the first page whenever the book's ratings change
+  useEffect(() => {
+    async function getFirstPage() {
+      const data = await getReviews(bookId, 1, REVIEWS_PER_PAGE);
+      setReviews(data.reviews);
+      setPage(1);
+      setTotalPages(data.totalPages);
+    }
+    getFirstPage();
+  }, [bookId, ratings]);
+
+  const loadMore = async () => {
+    const data = await getReviews(bookId, page + 1, REVIEWS_PER_PAGE);
+    setReviews((oldValue) => [...oldValue, ...data.reviews]);
+    setPage(page + 1);
+    setTotalPages(data.totalPages);
+  };
+
+  if (reviews.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className={styles.BookReviews}>
+      <h2>Avis des lecteurs</h2>
+      <ul>
+        {reviews.map((review) => (
+          <li key={`review-${review.userId}`}>
+            <article>
+              <header>
+                <div className={styles.Stars}>{displayStars(review.grade)}</div>
+                {review.title ? <h3>{review.title}</h3> : null}
+              </header>
+              <p className={styles.Body}>{review.body}</p>
+              <p className={styles.Meta}>
+                {`${review.displayName}, le ${new Date(review.createdAt).toLocaleDateString('fr-FR')}`}
+                {review.updatedAt !== review.createdAt ? ' (modifié)' : null}
+              </p>
+            </article>
+          </li>
+        ))}
+      </ul>
+      {page < totalPages ? (
+        <button type="button" onClick={loadMore}>Voir plus d&apos;avis</button>
+      ) : null}
+    </section>
+  );
+}
+
+BookReviews.propTypes = {
+  bookId: PropTypes.string.isRequired,
+  ratings: PropTypes.arrayOf(PropTypes.shape({
+    userId: PropTypes.string,
+    grade: PropTypes.number,
+  })),
+};
+
+BookReviews.defaultProps = {
+  ratings: [],
+};
+
+export default BookReviews;
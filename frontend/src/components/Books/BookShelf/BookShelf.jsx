@@ -0,0 +1,132 @@
+/* eslint-disable react/jsx-props-no-spreading */
+import React, { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import * as PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import {
+  getShelves, getReadingEntry, saveReadingEntry, removeReadingEntry,
+} from '../../../lib/common';
+import { APP_ROUTES } from '../../../utils/constants';
+import styles from './BookShelf.module.css';
+
+export const STATUS_LABELS = {
+  'to-read': 'À lire',
+  reading: 'En cours',
+  read: 'Lu',
+};
+
+// Date inputs work with YYYY-MM-DD strings
+const toDateInput = (date) => (date ? date.slice(0, 10) : '');
+
+function entryToForm(entry) {
+  return {
+    status: entry?.status ?? 'to-read',
+    progress: entry?.progress ?? 0,
+    startedAt: toDateInput(entry?.startedAt),
+    finishedAt: toDateInput(entry?.finishedAt),
+    shelves: entry?.shelves ?? [],
+  };
+}
+
+function BookShelf({ bookId }) {
+  const [entry, setEntry] = useState(null);
+  const [customShelves, setCustomShelves] = useState([]);
+  const [message, setMessage] = useState(null);
+  const {
+    register, handleSubmit, reset, watch,
+  } = useForm({ defaultValues: entryToForm(null) });
+
+  useEffect(() => {
+    async function getItems() {
+      const [data, shelves] = await Promise.all([getReadingEntry(bookId), getShelves()]);
+      setEntry(data);
+      reset(entryToForm(data));
+      setCustomShelves(shelves.filter((shelf) => !shelf.builtIn));
+    }
+    getItems();
+  }, [bookId]);
+
+  const status = watch('status');
+
+  const onSubmit = async (data) => {
+    const saved = await saveReadingEntry(bookId, {
+      status: data.status,
+      progress: parseInt(data.progress, 10),
+      startedAt: data.startedAt || null,
+      finishedAt: data.finishedAt || null,
+      shelves: data.shelves || [],
+    });
+    if (saved.error) {
+      setMessage(saved.message);
+      return;
+    }
+    setEntry(saved);
+    reset(entryToForm(saved));
+    setMessage('Étagères mises à jour');
+  };
+
+  const onRemove = async () => {
+    if (await removeReadingEntry(bookId)) {
+      setEntry(null);
+      reset(entryToForm(null));
+      setMessage('Livre retiré de vos étagères');
+    }
+  };
+
+  return (
+    <div className={styles.BookShelf}>
+      <form onSubmit={handleSubmit(onSubmit)}>
+        <p>{entry ? `Dans vos étagères : ${STATUS_LABELS[entry.status]}` : 'Ajouter à mes étagères'}</p>
+        <label htmlFor="shelfStatus">
+          <span>Statut</span>
+          <select id="shelfStatus" {...register('status')}>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {status === 'reading' ? (
+          <label htmlFor="shelfProgress">
+            <span>{`Progression : ${watch('progress')} %`}</span>
+            <input type="range" id="shelfProgress" min="0" max="100" step="5" {...register('progress')} />
+          </label>
+        ) : null}
+        {status !== 'to-read' ? (
+          <label htmlFor="shelfStartedAt">
+            <span>Commencé le</span>
+            <input type="date" id="shelfStartedAt" {...register('startedAt')} />
+          </label>
+        ) : null}
+        {status === 'read' ? (
+          <label htmlFor="shelfFinishedAt">
+            <span>Terminé le</span>
+            <input type="date" id="shelfFinishedAt" {...register('finishedAt')} />
+          </label>
+        ) : null}
+        {customShelves.length > 0 ? (
+          <fieldset>
+            <legend>Mes étagères</legend>
+            {customShelves.map((shelf) => (
+              <label key={shelf.key} htmlFor={`shelf-${shelf.key}`} className={styles.Checkbox}>
+                <input type="checkbox" id={`shelf-${shelf.key}`} value={shelf.key} {...register('shelves')} />
+                {shelf.name}
+              </label>
+            ))}
+          </fieldset>
+        ) : null}
+        <div className={styles.Actions}>
+          <button type="submit">Enregistrer</button>
+          {entry ? <button type="button" onClick={onRemove}>Retirer</button> : null}
+        </div>
+        {message ? <p className={styles.Message}>{message}</p> : null}
+        <Link to={APP_ROUTES.LIBRARY}>Voir ma bibliothèque</Link>
+      </form>
+    </div>
+  );
+}
+
+BookShelf.propTypes = {
+  bookId: PropTypes.string.isRequired,
+};
+
+export default BookShelf;
@@ -0,0 +1,108 @@
+/* eslint-disable react/jsx-props-no-spreading */
+import React, { useEffect, useState } from 'react';
+import * as PropTypes from 'prop-types';
+import { useDebounce } from '../../../lib/customHooks';
+import styles from './EntityPicker.module.css';
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Text input with suggestions from an existing list (authors, genres).
+ * Picking a suggestion fills in its exact name; any other value is still
+ * accepted and becomes a new entry when the book is saved.
+ */
+function EntityPicker({
+  id, label, registration, onSelect, getSuggestions, placeholder,
+}) {
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const debouncedQuery = useDebounce(query.trim());
+
+  useEffect(() => {
+    let ignore = false;
+    async function loadSuggestions() {
+      if (debouncedQuery.length === 0) {
+        setSuggestions([]);
+        return;
+      }
+      const data = await getSuggestions(debouncedQuery, MAX_SUGGESTIONS);
+      // A slower, outdated request must not overwrite the latest suggestions
+      if (!ignore) {
+        setSuggestions(data);
+      }
+    }
+    loadSuggestions();
+    return () => { ignore = true; };
+  }, [debouncedQuery]);
+
+  const onChange = (e) => {
+    registration.onChange(e);
+    setQuery(e.target.value);
+    setOpen(true);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const pick = (name) => {
+    onSelect(name);
+    setOpen(false);
+  };
+
+  const listId = `${id}-suggestions`;
+  const expanded = open && suggestions.length > 0;
+
+  return (
+    <div className={styles.EntityPicker}>
+      <label htmlFor={id}>
+        <p>{label}</p>
+        <input
+          type="text"
+          id={id}
+          placeholder={placeholder}
+          autoComplete="off"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={expanded}
+          aria-controls={listId}
+          {...registration}
+          onChange={onChange}
+          onKeyDown={onKeyDown}
+        />
+      </label>
+      {expanded ? (
+        <ul id={listId} className={styles.Suggestions}>
+          {suggestions.map((suggestion) => (
+            <li key={`${id}-${suggestion.slug}`}>
+              <button type="button" onClick={() => pick(suggestion.name)}>{suggestion.name}</button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
+
+EntityPicker.propTypes = {
+  id: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  registration: PropTypes.shape({
+    name: PropTypes.string,
+    onChange: PropTypes.func,
+    onBlur: PropTypes.func,
+    ref: PropTypes.func,
+  }).isRequired,
+  onSelect: PropTypes.func.isRequired,
+  getSuggestions: PropTypes.func.isRequired,
+  placeholder: PropTypes.string,
+};
+
+EntityPicker.defaultProps = {
+  placeholder: '',
+};
+
+export default EntityPicker;
@@ -4,11 +4,13 @@ import { NavLink, useNavigate } from 'react-router-dom';
 import * as PropTypes from 'prop-types';
 import styles from './Header.module.css';
 import Logo from '../../images/Logo.png';
+import SearchBar from '../SearchBar/SearchBar';
+import { logout } from '../../lib/common';
 
 function Header({ user, setUser }) {
   const navigate = useNavigate();
-  const disconnect = () => {
-    localStorage.clear();
+  const disconnect = async () => {
+    await logout();
     setUser(null);
     navigate('/');
   };
@@ -17,9 +19,14 @@ function Header({ user, setUser }) {
     <header className={styles.Header}>
       <div className="container">
         <img src={Logo} alt="logo mpm vieu grimoire" />
+        <SearchBar />
         <ul>
           <li><NavLink to="/" end className={({ isActive }) => (isActive ? styles.activeLink : undefined)}>Accueil</NavLink></li>
           <li><NavLink to="/Ajouter" className={({ isActive }) => (isActive ? styles.activeLink : undefined)}>Ajouter un livre</NavLink></li>
+          {user ? <li><NavLink to="/ma-bibliotheque" className={({ isActive }) => (isActive ? styles.activeLink : undefined)}>Ma bibliothèque</NavLink></li> : null}
+          {user ? <li><NavLink to="/mes-listes" className={({ isActive }) => (isActive ? styles.activeLink : undefined)}>Mes listes</NavLink></li> : null}
+          {user ? <li><NavLink to="/corbeille" className={({ isActive }) => (isActive ? styles.activeLink : undefined)}>Corbeille</NavLink></li> : null}
+          {user ? <li><NavLink to={`/profil/${user.userId}`} className={({ isActive }) => (isActive ? styles.activeLink : undefined)}>Mon profil</NavLink></li> : null}
           <li>{!user ? <NavLink to="/Connexion" className={({ isActive }) => (isActive ? styles.activeLink : undefined)}>Se connecter</NavLink> : <span tabIndex={0} role="button" onKeyUp={disconnect} onClick={disconnect}>Se déconnecter</span> }</li>
         </ul>
       </div>
@@ -31,6 +38,7 @@ Header.propTypes = {
   user: PropTypes.shape({
     userId: PropTypes.string,
     token: PropTypes.string,
+    role: PropTypes.string,
   }),
   setUser: PropTypes.func.isRequired,
 };
@@ -0,0 +1,39 @@
+import React from 'react';
+import * as PropTypes from 'prop-types';
+import styles from './Pagination.module.css';
+
+function Pagination({ page, totalPages, onChange }) {
+  if (totalPages <= 1) {
+    return null;
+  }
+  const pages = [];
+  for (let i = 1; i <= totalPages; i += 1) {
+    pages.push(
+      <li key={`page-${i}`}>
+        <button
+          type="button"
+          className={i === page ? styles.Active : undefined}
+          aria-current={i === page ? 'page' : undefined}
+          onClick={() => onChange(i)}
+        >
+          {i}
+        </button>
+      </li>,
+    );
+  }
+  return (
+    <nav className={styles.Pagination} aria-label="Pagination">
+      <button type="button" disabled={page <= 1} onClick={() => onChange(page - 1)}>Précédent</button>
+      <ul>{pages}</ul>
+      <button type="button" disabled={page >= totalPages} onClick={() => onChange(page + 1)}>Suivant</button>
+    </nav>
+  );
+}
+
+Pagination.propTypes = {
+  page: PropTypes.number.isRequired,
+  totalPages: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default Pagination;
@@ -0,0 +1,74 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useDebounce } from '../../lib/customHooks';
+import { searchBooks } from '../../lib/common';
+import { APP_ROUTES } from '../../utils/constants';
+import styles from './SearchBar.module.css';
+
+const MAX_SUGGESTIONS = 5;
+
+function SearchBar() {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const debouncedQuery = useDebounce(query.trim());
+
+  useEffect(() => {
+    let ignore = false;
+    async function getSuggestions() {
+      if (debouncedQuery.length < 2) {
+        setSuggestions([]);
+        return;
+      }
+      const data = await searchBooks(debouncedQuery, { limit: MAX_SUGGESTIONS });
+      // A slower, outdated request must not overwrite the latest suggestions
+      if (!ignore) {
+        setSuggestions(data.books);
+      }
+    }
+    getSuggestions();
+    return () => { ignore = true; };
+  }, [debouncedQuery]);
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    if (query.trim().length > 0) {
+      setOpen(false);
+      navigate(`${APP_ROUTES.SEARCH}?q=${encodeURIComponent(query.trim())}`);
+    }
+  };
+
+  const closeSuggestions = () => {
+    setOpen(false);
+    setQuery('');
+  };
+
+  return (
+    <form className={styles.SearchBar} onSubmit={onSubmit} role="search">
+      <input
+        type="search"
+        name="q"
+        aria-label="Rechercher un livre"
+        placeholder="Titre, auteur, genre..."
+        value={query}
+        onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+      />
+      {open && suggestions.length > 0 ? (
+        <ul className={styles.Suggestions}>
+          {suggestions.map((book) => (
+            <li key={`suggestion-${book.id}`}>
+              <Link to={`/livre/${book.id}`} onClick={closeSuggestions}>
+                <strong>{book.title}</strong>
+                <span>{` ${book.author}`}</span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </form>
+  );
+}
+
+export default SearchBar;
@@ -10,45 +10,188 @@ function formatBooks(bookArray) {
   });
 }
 
-export function storeInLocalStorage(token, userId) {
+export function storeInLocalStorage(token, userId, refreshToken, role) {
   localStorage.setItem('token', token);
   localStorage.setItem('userId', userId);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+  if (role) {
+    localStorage.setItem('role', role);
+  }
 }
 
 export function getFromLocalStorage(item) {
   return localStorage.getItem(item);
 }
 
+// Shared between concurrent 401s so the refresh token is only used once
+let refreshRequest = null;
+
+function refreshTokens() {
+  if (!refreshRequest) {
+    refreshRequest = axios.post(API_ROUTES.REFRESH, {
+      refreshToken: localStorage.getItem('refreshToken'),
+    }, { skipAuthRefresh: true })
+      .then((response) => {
+        storeInLocalStorage(
+          response.data.token,
+          response.data.userId,
+          response.data.refreshToken,
+          response.data.role,
+        );
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+}
+
+/**
+ * Access tokens are short-lived: when an authenticated request gets a 401,
+ * the tokens are refreshed once and the request is replayed transparently.
+ * If the refresh fails, the session is over and the stored tokens are cleared.
+ */
+axios.interceptors.response.use(undefined, async (error) => {
+  const { config, response } = error;
+  const authenticated = config?.headers?.Authorization;
+  if (response?.status !== 401 || !authenticated || config.skipAuthRefresh || config.retried
+    || !localStorage.getItem('refreshToken')) {
+    return Promise.reject(error);
+  }
+  try {
+    const token = await refreshTokens();
+    config.retried = true;
+    config.headers.Authorization = `Bearer ${token}`;
+    return axios(config);
+  } catch (refreshError) {
+    localStorage.clear();
+    return Promise.reject(error);
+  }
+});
+
+export async function logout() {
+  try {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      await axios.post(API_ROUTES.LOGOUT, { refreshToken }, { skipAuthRefresh: true });
+    }
+  } catch (err) {
+    console.error(err);
+  } finally {
+    localStorage.clear();
+  }
+}
+
 export async function getAuthenticatedUser() {
   const defaultReturnObject = { authenticated: false, user: null };
   try {
     const token = getFromLocalStorage('token');
     const userId = getFromLocalStorage('userId');
+    const role = getFromLocalStorage('role') ?? 'user';
     if (!token) {
       return defaultReturnObject;
     }
-    return { authenticated: true, user: { userId, token } };
+    return { authenticated: true, user: { userId, token, role } };
   } catch (err) {
     console.error('getAuthenticatedUser, Something Went Wrong', err);
     return defaultReturnObject;
   }
 }
 
-export async function getBooks() {
+export async function getBooks(params = {}) {
+  const emptyPage = {
+    books: [], page: 1, total: 0, totalPages: 0,
+  };
   try {
+    // Empty filters are not sent to the API
+    const query = Object.fromEntries(
+      Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined),
+    );
     const response = await axios({
       method: 'GET',
       url: `${API_ROUTES.BOOKS}`,
+      params: query,
+    });
+    return { ...response.data, books: formatBooks(response.data.books) };
+  } catch (err) {
+    console.error(err);
+    return emptyPage;
+  }
+}
+
+export async function searchBooks(q, params = {}) {
+  const emptyPage = {
+    books: [], page: 1, total: 0, totalPages: 0,
+  };
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.SEARCH}`,
+      params: { ...params, q },
+    });
+    return { ...response.data, books: formatBooks(response.data.books) };
+  } catch (err) {
+    console.error(err);
+    return emptyPage;
+  }
+}
+
+export async function getAuthorSuggestions(q, limit = 8) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: API_ROUTES.AUTHORS,
+      params: { q, limit },
+    });
+    return response.data.authors;
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+}
+
+export async function getGenreSuggestions(q, limit = 8) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: API_ROUTES.GENRES,
+      params: { q, limit },
     });
-    // eslint-disable-next-line array-callback-return
-    const books = formatBooks(response.data);
-    return books;
+    return response.data.genres;
   } catch (err) {
     console.error(err);
     return [];
   }
 }
 
+/**
+ * Author or genre page: `kind` is 'author' or 'genre'.
+ * Returns { entity, books, page, totalPages }, with a null entity when it does not exist.
+ */
+export async function getEntityPage(kind, slug, page = 1, limit = 12) {
+  const emptyPage = {
+    entity: null, books: [], page: 1, total: 0, totalPages: 0,
+  };
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${kind === 'author' ? API_ROUTES.AUTHORS : API_ROUTES.GENRES}/${encodeURIComponent(slug)}`,
+      params: { page, limit },
+    });
+    return {
+      ...response.data,
+      entity: response.data[kind],
+      books: formatBooks(response.data.books),
+    };
+  } catch (err) {
+    console.error(err);
+    return emptyPage;
+  }
+}
+
 export async function getBook(id) {
   try {
     const response = await axios({
@@ -58,6 +201,8 @@ export async function getBook(id) {
     const book = response.data;
     // eslint-disable-next-line no-underscore-dangle
     book.id = book._id;
+    // Version of the book, sent back with If-Match to detect concurrent edits
+    book.etag = response.headers.etag ?? null;
     return book;
   } catch (err) {
     console.error(err);
@@ -65,6 +210,84 @@ export async function getBook(id) {
   }
 }
 
+export async function lookupIsbn(isbn) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: API_ROUTES.BOOK_LOOKUP,
+      params: { isbn },
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+// Returns the cover as a File, ready to be used as the book image
+export async function getLookupCover(isbn) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: API_ROUTES.BOOK_LOOKUP_COVER,
+      params: { isbn },
+      responseType: 'blob',
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return new File([response.data], `isbn-${isbn}.jpg`, { type: response.data.type });
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+export async function getEditions(id) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.BOOKS}/${id}/editions`,
+    });
+    return formatBooks(response.data);
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+}
+
+export async function getReviews(id, page = 1, limit = 5) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.BOOKS}/${id}/reviews`,
+      params: { page, limit },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return {
+      reviews: [], page: 1, total: 0, totalPages: 0,
+    };
+  }
+}
+
+export async function getBookStats(id) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.BOOKS}/${id}/stats`,
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
 export async function getBestRatedBooks() {
   try {
     const response = await axios({
@@ -77,6 +300,26 @@ export async function getBestRatedBooks() {
     return [];
   }
 }
+
+/**
+ * Suggestions related to a book. Logged-in readers also get suggestions
+ * based on their own ratings, so the token is sent when there is one.
+ */
+export async function getRecommendations(bookId, limit = 3) {
+  const token = localStorage.getItem('token');
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: API_ROUTES.RECOMMENDATIONS,
+      params: { bookId, limit },
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    return formatBooks(response.data);
+  } catch (e) {
+    console.error(e);
+    return [];
+  }
+}
 export async function deleteBook(id) {
   try {
     await axios.delete(`${API_ROUTES.BOOKS}/${id}`, {
@@ -91,10 +334,11 @@ export async function deleteBook(id) {
   }
 }
 
-export async function rateBook(id, userId, rating) {
+export async function rateBook(id, userId, rating, review = null) {
   const data = {
     userId,
     rating: parseInt(rating, 10),
+    review,
   };
 
   try {
@@ -113,6 +357,40 @@ export async function rateBook(id, userId, rating) {
   }
 }
 
+export async function updateRating(id, rating, review = null) {
+  try {
+    const response = await axios.put(`${API_ROUTES.BOOKS}/${id}/rating`, { rating: parseInt(rating, 10), review }, {
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    const book = response.data;
+    // eslint-disable-next-line no-underscore-dangle
+    book.id = book._id;
+    return book;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function removeRating(id) {
+  try {
+    const response = await axios.delete(`${API_ROUTES.BOOKS}/${id}/rating`, {
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    const book = response.data;
+    // eslint-disable-next-line no-underscore-dangle
+    book.id = book._id;
+    return book;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
 export async function addBook(data) {
   const userId = localStorage.getItem('userId');
   const book = {
@@ -121,6 +399,13 @@ export async function addBook(data) {
     author: data.author,
     year: data.year,
     genre: data.genre,
+    isbn: data.isbn,
+    publishingHouse: data.publishingHouse,
+    language: data.language,
+    pageCount: data.pageCount,
+    edition: data.edition,
+    // Comma-separated, cleaned by the API
+    tags: data.tags,
     ratings: [{
       userId,
       grade: data.rating ? parseInt(data.rating, 10) : 0,
@@ -142,11 +427,11 @@ export async function addBook(data) {
     });
   } catch (err) {
     console.error(err);
-    return { error: true, message: err.message };
+    return { error: true, message: err.response?.data?.error ?? err.message };
   }
 }
 
-export async function updateBook(data, id) {
+export async function updateBook(data, id, etag = null) {
   const userId = localStorage.getItem('userId');
 
   let newData;
@@ -156,6 +441,13 @@ export async function updateBook(data, id) {
     author: data.author,
     year: data.year,
     genre: data.genre,
+    isbn: data.isbn,
+    publishingHouse: data.publishingHouse,
+    language: data.language,
+    pageCount: data.pageCount,
+    edition: data.edition,
+    // Comma-separated, cleaned by the API
+    tags: data.tags,
   };
   console.log(data.file[0]);
   if (data.file[0]) {
@@ -173,11 +465,421 @@ export async function updateBook(data, id) {
       data: newData,
       headers: {
         Authorization: `Bearer ${localStorage.getItem('token')}`,
+        ...(etag ? { 'If-Match': etag } : {}),
       },
     });
     return newBook;
   } catch (err) {
     console.error(err);
-    return { error: true, message: err.message };
+    // 412: the book was modified elsewhere, etag is its current version
+    if (err.response?.status === 412) {
+      return {
+        error: true,
+        conflict: true,
+        etag: err.response.headers.etag ?? null,
+        message: err.response.data?.error ?? err.message,
+      };
+    }
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function getUserProfile(id, page = 1, limit = 12) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.USERS}/${id}`,
+      params: { page, limit },
+    });
+    const profile = response.data;
+    profile.books = formatBooks(profile.books);
+    return profile;
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+export async function getMyProfile() {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: API_ROUTES.ME,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+export async function updateMyProfile(data) {
+  const profile = {
+    displayName: data.displayName,
+    bio: data.bio,
+  };
+  let newData;
+  if (data.file && data.file[0]) {
+    newData = new FormData();
+    newData.append('profile', JSON.stringify(profile));
+    newData.append('image', data.file[0]);
+  } else {
+    newData = profile;
+  }
+
+  try {
+    const response = await axios({
+      method: 'put',
+      url: API_ROUTES.ME,
+      data: newData,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function getShelves() {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: API_ROUTES.SHELVES,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data.shelves;
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+}
+
+export async function createShelf(name) {
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: API_ROUTES.SHELVES,
+      data: { name },
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function renameShelf(id, name) {
+  try {
+    const response = await axios({
+      method: 'PUT',
+      url: `${API_ROUTES.SHELVES}/${id}`,
+      data: { name },
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function deleteShelf(id) {
+  try {
+    await axios({
+      method: 'DELETE',
+      url: `${API_ROUTES.SHELVES}/${id}`,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+export async function getShelfEntries(shelf, page = 1, limit = 12) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.SHELVES}/entries`,
+      params: { shelf, page, limit },
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return {
+      ...response.data,
+      // Books deleted in the meantime are skipped
+      entries: response.data.entries
+        .filter((entry) => entry.book)
+        .map((entry) => ({ ...entry, book: formatBooks([entry.book])[0] })),
+    };
+  } catch (err) {
+    console.error(err);
+    return {
+      entries: [], page: 1, total: 0, totalPages: 0,
+    };
+  }
+}
+
+export async function getReadingEntry(bookId) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.SHELVES}/entries/${bookId}`,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    // 404: the book is not on the user's shelves yet
+    return null;
+  }
+}
+
+export async function saveReadingEntry(bookId, entry) {
+  try {
+    const response = await axios({
+      method: 'PUT',
+      url: `${API_ROUTES.SHELVES}/entries/${bookId}`,
+      data: entry,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function removeReadingEntry(bookId) {
+  try {
+    await axios({
+      method: 'DELETE',
+      url: `${API_ROUTES.SHELVES}/entries/${bookId}`,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+export async function getLists(params = {}) {
+  const token = localStorage.getItem('token');
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: API_ROUTES.LISTS,
+      params,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return {
+      lists: [], page: 1, total: 0, totalPages: 0,
+    };
+  }
+}
+
+export async function getList(id) {
+  const token = localStorage.getItem('token');
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.LISTS}/${id}`,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    return {
+      ...response.data,
+      books: response.data.books.map((item) => ({ ...item, book: formatBooks([item.book])[0] })),
+    };
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+export async function createList(list) {
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: API_ROUTES.LISTS,
+      data: list,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function updateList(id, changes) {
+  try {
+    const response = await axios({
+      method: 'PUT',
+      url: `${API_ROUTES.LISTS}/${id}`,
+      data: changes,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return {
+      ...response.data,
+      books: response.data.books.map((item) => ({ ...item, book: formatBooks([item.book])[0] })),
+    };
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function deleteList(id) {
+  try {
+    await axios({
+      method: 'DELETE',
+      url: `${API_ROUTES.LISTS}/${id}`,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+export async function addBookToList(listId, bookId) {
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: `${API_ROUTES.LISTS}/${listId}/books`,
+      data: { bookId },
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function removeBookFromList(listId, bookId) {
+  try {
+    await axios({
+      method: 'DELETE',
+      url: `${API_ROUTES.LISTS}/${listId}/books/${bookId}`,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return true;
+  } catch (err) {
+    console.error(err);
+    return false;
+  }
+}
+
+export async function getTrash(page = 1, limit = 12) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.BOOKS}/trash`,
+      params: { page, limit },
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return { ...response.data, books: formatBooks(response.data.books) };
+  } catch (err) {
+    console.error(err);
+    return {
+      books: [], page: 1, total: 0, totalPages: 0,
+    };
+  }
+}
+
+export async function restoreBook(id) {
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: `${API_ROUTES.BOOKS}/${id}/restore`,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return { error: true, message: err.response?.data?.error ?? err.message };
+  }
+}
+
+export async function getBookHistory(id, page = 1, limit = 10) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${API_ROUTES.BOOKS}/${id}/history`,
+      params: { page, limit },
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(err);
+    return {
+      revisions: [], page: 1, total: 0, totalPages: 0,
+    };
+  }
+}
+
+export async function revertBook(id, revisionId, etag = null) {
+  try {
+    const response = await axios({
+      method: 'POST',
+      url: `${API_ROUTES.BOOKS}/${id}/history/${revisionId}/revert`,
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+        ...(etag ? { 'If-Match': etag } : {}),
+      },
+    });
+    return { ...response.data, etag: response.headers.etag ?? null };
+  } catch (err) {
+    console.error(err);
+    // 412: the book was modified since the history was loaded
+    return {
+      error: true,
+      conflict: err.response?.status === 412,
+      message: err.response?.data?.error ?? err.message,
+    };
   }
 }
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { getAuthenticatedUser, getBestRatedBooks } from './common';
+import { getAuthenticatedUser, getRecommendations } from './common';
 
 // eslint-disable-next-line import/prefer-default-export
 export function useUser() {
@@ -20,18 +20,18 @@ export function useUser() {
   return { connectedUser, auth, userLoading };
 }
 
-export function useBestRatedBooks() {
-  const [bestRatedBooks, setBestRatedBooks] = useState({});
+export function useRecommendations(bookId) {
+  const [recommendations, setRecommendations] = useState([]);
 
   useEffect(() => {
-    async function getRatedBooks() {
-      const books = await getBestRatedBooks();
-      setBestRatedBooks(books);
+    async function getRecommendedBooks() {
+      const books = await getRecommendations(bookId);
+      setRecommendations(books);
     }
-    getRatedBooks();
-  }, []);
+    getRecommendedBooks();
+  }, [bookId]);
 
-  return { bestRatedBooks };
+  return { recommendations };
 }
 
 export function useFilePreview(file) {
@@ -50,3 +50,14 @@ export function useFilePreview(file) {
 
   return [imgSrc, setImgSrc];
 }
+
+export function useDebounce(value, delay = 300) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+}
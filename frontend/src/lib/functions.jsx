@@ -4,12 +4,21 @@ import { solid } from '@fortawesome/fontawesome-svg-core/import.macro';
 import React from 'react';
 import styles from '../components/Books/BookItem/BookItem.module.css';
 
+// Averages are shown to the nearest half star (4.3 -> 4.5, 4.2 -> 4)
 // eslint-disable-next-line import/prefer-default-export
 export function displayStars(rating) {
+  const rounded = Math.round(rating * 2) / 2;
   const stars = [];
   for (let i = 0; i < 5; i += 1) {
-    if (i < Math.round(rating)) {
+    if (i + 1 <= rounded) {
       stars.push(<FontAwesomeIcon key={`full-${i}`} icon={solid('star')} className={styles.full} />);
+    } else if (i + 0.5 === rounded) {
+      stars.push(
+        <span key={`half-${i}`} className={styles.half}>
+          <FontAwesomeIcon icon={solid('star')} className={styles.empty} />
+          <FontAwesomeIcon icon={solid('star-half')} className={styles.full} />
+        </span>,
+      );
     } else {
       stars.push(<FontAwesomeIcon key={`empty-${i}`} icon={solid('star')} className={styles.empty} />);
     }
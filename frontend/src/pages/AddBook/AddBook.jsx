@@ -26,7 +26,7 @@ function AddBook() {
         {!created ? (
           <>
             <h1>Ajouter un livre</h1>
-            <p>tous les champs sont obligatoires</p>
+            <p>tous les champs sont obligatoires, sauf ceux de l&apos;édition</p>
             <BookForm validate={setCreated} />
           </>
         ) : (
@@ -34,6 +34,23 @@ function AddBook() {
             <h1>Merci!</h1>
             <p>votre livre a bien été publié</p>
             <img src={bookAdd} alt="Livre ajouté" />
+            {created.duplicates?.length ? (
+              <div className={styles.Duplicates}>
+                <p>{created.warning}</p>
+                <ul>
+                  {created.duplicates.map((duplicate) => (
+                    // eslint-disable-next-line no-underscore-dangle
+                    <li key={duplicate._id}>
+                      {/* eslint-disable-next-line no-underscore-dangle */}
+                      <Link to={`/livre/${duplicate._id}`}>
+                        {`${duplicate.title}, ${duplicate.author} (${duplicate.year})`}
+                      </Link>
+                      {duplicate.edition ? ` - ${duplicate.edition}` : null}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : null}
             <Link to="/" className="button">Retour à l&apos;accueil</Link>
           </div>
 
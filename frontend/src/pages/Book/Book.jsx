@@ -3,10 +3,17 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useUser } from '../../lib/customHooks';
+import { APP_ROUTES } from '../../utils/constants';
 import styles from './Book.module.css';
-import { getBook, deleteBook } from '../../lib/common';
+import { getBook, deleteBook, restoreBook } from '../../lib/common';
 import BookInfo from '../../components/Books/BookInfo/BookInfo';
 import BookRatingForm from '../../components/Books/BookRatingForm/BookRatingForm';
+import BookReviews from '../../components/Books/BookReviews/BookReviews';
+import BookEditions from '../../components/Books/BookEditions/BookEditions';
+import BookShelf from '../../components/Books/BookShelf/BookShelf';
+import BookLists from '../../components/Books/BookLists/BookLists';
+import BookRatingStats from '../../components/Books/BookRatingStats/BookRatingStats';
+import BookCover from '../../components/Books/BookCover/BookCover';
 import BookDeleteImage from '../../images/book_delete.png';
 import BestRatedBooks from '../../components/Books/BestRatedBooks/BestRatedBooks';
 import BackArrow from '../../components/BackArrow/BackArrow';
@@ -16,6 +23,7 @@ function Book() {
   const [book, setBook] = useState(null);
   const [rating, setRating] = useState(0);
   const [userRated, setUserRated] = useState(false);
+  const [userReview, setUserReview] = useState(null);
   const [loading, setLoading] = useState(true);
 
   const params = useParams();
@@ -36,10 +44,12 @@ function Book() {
       if (rate) {
         setUserRated(true);
         setRating(parseInt(rate.grade, 10));
+        setUserReview(rate.review ?? null);
         setLoading(false);
       } else {
         setUserRated(false);
         setRating(0);
+        setUserReview(null);
         setLoading(false);
       }
     } else if (!userLoading && !connectedUser && book) {
@@ -52,7 +62,7 @@ function Book() {
       return;
     }
     // eslint-disable-next-line no-restricted-globals
-    const check = confirm('Etes vous sûr de vouloir supprimer ce livre ?');
+    const check = confirm('Placer ce livre dans la corbeille ? Vous pourrez le restaurer depuis la corbeille.');
     if (check) {
       const del = await deleteBook(book.id);
       if (del) {
@@ -61,25 +71,58 @@ function Book() {
     }
   };
 
+  const onRestore = async () => {
+    const restored = await restoreBook(book.id);
+    if (restored.error) {
+      alert(restored.message);
+      return;
+    }
+    setBook((oldValue) => ({ ...oldValue, delete: false }));
+  };
+
+  const isStaff = ['moderator', 'admin'].includes(connectedUser?.role);
   const loadingContent = (<h1>Chargement ...</h1>);
 
   const bookContent = !loading && !book.delete ? (
     <div>
       <div className={styles.Book}>
-        <div className={styles.BookImage} style={{ backgroundImage: `url("${book.imageUrl}")` }} />
+        <div className={styles.BookImage}>
+          <BookCover
+            images={book.images}
+            imageUrl={book.imageUrl}
+            size="medium"
+            alt={`${book.title}, ${book.author} - ${book.year}`}
+          />
+        </div>
         <div className={styles.BookContent}>
-          {book?.userId === connectedUser?.userId ? (
+          {book?.userId === connectedUser?.userId || isStaff ? (
             <div className={styles.Owner}>
-              <p>Vous avez publié cet ouvrage, vous pouvez le :</p>
+              <p>
+                {book?.userId === connectedUser?.userId
+                  ? 'Vous avez publié cet ouvrage, vous pouvez le :'
+                  : 'En tant que modérateur, vous pouvez le :'}
+              </p>
               <p>
                 <Link to={`/livre/modifier/${book.id}`}>modifier</Link>
                 {' '}
                 <span tabIndex={0} role="button" onKeyUp={onDelete} onClick={onDelete}>supprimer</span>
                 {' '}
               </p>
+              <p>
+                <Link to={`/livre/${book.id}/historique`}>Voir l&apos;historique des modifications</Link>
+              </p>
             </div>
           ) : null}
+          {book.publisher ? (
+            <p className={styles.Publisher}>
+              {'Publié par '}
+              <Link to={`/profil/${book.publisher.userId}`}>{book.publisher.displayName}</Link>
+            </p>
+          ) : null}
           <BookInfo book={book} />
+          <BookRatingStats bookId={book.id} ratings={book.ratings} />
+          <BookEditions book={book} />
+          <BookReviews bookId={book.id} ratings={book.ratings} />
           <BookRatingForm
             userRated={userRated}
             userId={connectedUser?.userId}
@@ -87,21 +130,30 @@ function Book() {
             setRating={setRating}
             setBook={setBook}
             id={book.id}
+            review={userReview}
           />
+          {connectedUser ? <BookShelf bookId={book.id} /> : null}
+          <BookLists bookId={book.id} userId={connectedUser?.userId} />
         </div>
       </div>
       <hr />
-      <BestRatedBooks />
+      <BestRatedBooks bookId={params.id} />
     </div>
   ) : null;
   const deletedContent = book?.delete ? (
     <div className={styles.Deleted}>
       <h1>{book.title}</h1>
-      <p>a bien été supprimé</p>
-      <img src={BookDeleteImage} alt={`Le livre ${book.title} a bien été supprimé`} />
-      <Link to="/">
-        <button type="button">{'Retour à l\'accueil'}</button>
-      </Link>
+      <p>a été placé dans la corbeille</p>
+      <img src={BookDeleteImage} alt={`Le livre ${book.title} a été placé dans la corbeille`} />
+      <div className={styles.DeletedActions}>
+        <button type="button" onClick={onRestore}>Annuler la suppression</button>
+        <Link to={APP_ROUTES.TRASH}>
+          <button type="button">Voir la corbeille</button>
+        </Link>
+        <Link to="/">
+          <button type="button">{'Retour à l\'accueil'}</button>
+        </Link>
+      </div>
     </div>
   ) : null;
 
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import BackArrow from '../../components/BackArrow/BackArrow';
+import BookCover from '../../components/Books/BookCover/BookCover';
+import Pagination from '../../components/Pagination/Pagination';
+import { getBook, getBookHistory, revertBook } from '../../lib/common';
+import { useUser } from '../../lib/customHooks';
+import { APP_ROUTES } from '../../utils/constants';
+import styles from './BookHistory.module.css';
+
+const REVISIONS_PER_PAGE = 10;
+
+const ACTION_LABELS = {
+  create: 'Création',
+  update: 'Modification',
+  revert: 'Retour à une version précédente',
+};
+
+const FIELD_LABELS = {
+  title: 'Titre',
+  author: 'Auteur',
+  year: 'Année',
+  genre: 'Genre',
+  isbn: 'ISBN',
+  publishingHouse: 'Éditeur',
+  language: 'Langue',
+  pageCount: 'Nombre de pages',
+  edition: 'Édition',
+  tags: 'Tags',
+};
+
+const formatDate = (date) => new Date(date).toLocaleString('fr-FR');
+
+const formatValue = (value) => {
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return '(vide)';
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+function BookHistory() {
+  const navigate = useNavigate();
+  const params = useParams();
+  const { connectedUser, userLoading } = useUser();
+  const [book, setBook] = useState(null);
+  const [revisions, setRevisions] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!userLoading && !connectedUser) {
+      navigate(APP_ROUTES.SIGN_IN);
+    }
+  }, [userLoading]);
+
+  async function getItem() {
+    setBook(await getBook(params.id));
+  }
+  useEffect(() => {
+    getItem();
+  }, [params.id]);
+
+  const loadHistory = async () => {
+    const data = await getBookHistory(params.id, page, REVISIONS_PER_PAGE);
+    setRevisions(data.revisions);
+    setTotalPages(data.totalPages);
+  };
+
+  useEffect(() => {
+    if (connectedUser) {
+      loadHistory();
+    }
+  }, [connectedUser, params.id, page]);
+
+  const onRevert = async (revision) => {
+    // eslint-disable-next-line no-restricted-globals
+    if (!confirm(`Revenir à la version du ${formatDate(revision.createdAt)} ?`)) {
+      return;
+    }
+    // eslint-disable-next-line no-underscore-dangle
+    const reverted = await revertBook(params.id, revision._id, book?.etag);
+    if (reverted.error) {
+      setMessage(reverted.message);
+      // Modified elsewhere: show the latest version and history before trying again
+      if (reverted.conflict) {
+        getItem();
+        loadHistory();
+      }
+      return;
+    }
+    setMessage('Le livre a retrouvé cette version');
+    setBook({ ...reverted, id: params.id });
+    if (page === 1) {
+      loadHistory();
+    } else {
+      setPage(1);
+    }
+  };
+
+  // The newest revision is the current state of the book
+  const isCurrent = (index) => page === 1 && index === 0;
+
+  return (
+    <div className="content-container">
+      <BackArrow />
+      <div className={styles.BookHistory}>
+        <h1>Historique des modifications</h1>
+        {book ? (
+          <p className={styles.Intro}>
+            <Link to={`/livre/${book.id}`}>{book.title}</Link>
+          </p>
+        ) : null}
+        {message ? <p className={styles.Message}>{message}</p> : null}
+        {revisions && revisions.length === 0 ? <p>Aucune modification enregistrée</p> : null}
+        <ol>
+          {revisions?.map((revision, index) => (
+            // eslint-disable-next-line no-underscore-dangle
+            <li key={revision._id}>
+              <div className={styles.Header}>
+                <h2>{ACTION_LABELS[revision.action]}</h2>
+                <p>{`${formatDate(revision.createdAt)}, par ${revision.user.displayName}`}</p>
+              </div>
+              {revision.changes.length > 0 ? (
+                <table>
+                  <tbody>
+                    {revision.changes.map((change) => (
+                      <tr key={change.field}>
+                        <th scope="row">{FIELD_LABELS[change.field] ?? change.field}</th>
+                        {revision.action !== 'create' ? (
+                          <td className={styles.From}>{formatValue(change.from)}</td>
+                        ) : null}
+                        <td>{formatValue(change.to)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : null}
+              {revision.cover && revision.action !== 'create' ? (
+                <div className={styles.Covers}>
+                  <p>Couverture remplacée</p>
+                  {revision.previousCover ? (
+                    <BookCover
+                      images={revision.previousCover.images}
+                      imageUrl={revision.previousCover.imageUrl}
+                      alt="Couverture précédente"
+                    />
+                  ) : null}
+                  <BookCover
+                    images={revision.cover.images}
+                    imageUrl={revision.cover.imageUrl}
+                    alt="Nouvelle couverture"
+                  />
+                </div>
+              ) : null}
+              {isCurrent(index) ? (
+                <p className={styles.Current}>Version actuelle</p>
+              ) : (
+                <button type="button" onClick={() => onRevert(revision)}>
+                  Revenir à cette version
+                </button>
+              )}
+            </li>
+          ))}
+        </ol>
+        <Pagination page={page} totalPages={totalPages} onChange={setPage} />
+      </div>
+    </div>
+  );
+}
+
+export default BookHistory;
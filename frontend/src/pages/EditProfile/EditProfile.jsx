@@ -0,0 +1,91 @@
+/* eslint-disable react/jsx-props-no-spreading */
+import React, { useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { useNavigate } from 'react-router-dom';
+import BackArrow from '../../components/BackArrow/BackArrow';
+import { getMyProfile, updateMyProfile } from '../../lib/common';
+import { useFilePreview, useUser } from '../../lib/customHooks';
+import { APP_ROUTES } from '../../utils/constants';
+import addFileIMG from '../../images/add_file.png';
+import styles from '../../components/Books/BookForm/BookForm.module.css';
+import pageStyles from '../AddBook/AddBook.module.css';
+
+function EditProfile() {
+  const navigate = useNavigate();
+  const { connectedUser, auth, userLoading } = useUser();
+  const {
+    register, watch, handleSubmit, reset, getValues,
+  } = useForm({
+    defaultValues: { displayName: '', bio: '', avatarUrl: '' },
+  });
+  const file = watch(['file']);
+  const [filePreview] = useFilePreview(file);
+
+  useEffect(() => {
+    if (!userLoading) {
+      if (!connectedUser || !auth) {
+        navigate(APP_ROUTES.SIGN_IN);
+      }
+    }
+  }, [userLoading]);
+
+  useEffect(() => {
+    async function getProfile() {
+      const data = await getMyProfile();
+      if (data) {
+        reset({ displayName: data.displayName, bio: data.bio, avatarUrl: data.avatarUrl });
+      }
+    }
+    getProfile();
+  }, []);
+
+  const onSubmit = async (data) => {
+    const profile = await updateMyProfile(data);
+    if (!profile.error) {
+      // eslint-disable-next-line no-underscore-dangle
+      navigate(`/profil/${profile._id}`);
+    } else {
+      alert(profile.message);
+    }
+  };
+
+  const avatarUrl = getValues('avatarUrl');
+  return (
+    <div className="content-container">
+      <BackArrow />
+      <div className={pageStyles.Container}>
+        <h1>Mon profil</h1>
+        <form onSubmit={handleSubmit(onSubmit)} className={styles.Form}>
+          <label htmlFor="displayName">
+            <p>Nom affiché</p>
+            <input type="text" id="displayName" {...register('displayName')} />
+          </label>
+          <label htmlFor="bio">
+            <p>Présentation</p>
+            <textarea id="bio" rows={5} maxLength={500} {...register('bio')} />
+          </label>
+          <label htmlFor="file">
+            <p>Avatar</p>
+            <div className={styles.AddImage}>
+              {filePreview || avatarUrl ? (
+                <>
+                  <img src={filePreview ?? avatarUrl} alt="preview" />
+                  <p>Modifier</p>
+                </>
+              ) : (
+                <>
+                  <img src={addFileIMG} alt="Add file" />
+                  <p>Ajouter une image</p>
+                </>
+              )}
+            </div>
+            <input {...register('file')} type="file" id="file" />
+          </label>
+          <button type="submit">Enregistrer</button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default EditProfile;
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import * as PropTypes from 'prop-types';
+import BookItem from '../../components/Books/BookItem/BookItem';
+import BackArrow from '../../components/BackArrow/BackArrow';
+import Pagination from '../../components/Pagination/Pagination';
+import { getEntityPage } from '../../lib/common';
+import styles from './EntityBooks.module.css';
+
+const BOOKS_PER_PAGE = 12;
+
+// Author page (books by publication year) or genre page (best rated first)
+function EntityBooks({ kind }) {
+  const { slug } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const page = parseInt(searchParams.get('page') ?? '1', 10);
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    async function getPage() {
+      setData(null);
+      const result = await getEntityPage(kind, slug, page, BOOKS_PER_PAGE);
+      setData(result);
+    }
+    getPage();
+  }, [kind, slug, page]);
+
+  const onPageChange = (newPage) => {
+    setSearchParams({ page: newPage });
+    window.scrollTo(0, 0);
+  };
+
+  if (!data) {
+    return <div className="content-container"><h1>Chargement ...</h1></div>;
+  }
+
+  if (!data.entity) {
+    return (
+      <div className="content-container">
+        <BackArrow />
+        <h1>{kind === 'author' ? 'Auteur introuvable' : 'Genre introuvable'}</h1>
+      </div>
+    );
+  }
+
+  return (
+    <div className="content-container">
+      <BackArrow />
+      <div className={styles.EntityBooks}>
+        <header>
+          <p>{kind === 'author' ? 'Auteur' : 'Genre'}</p>
+          <h1>{data.entity.name}</h1>
+          <p>{`${data.total} livre(s)`}</p>
+        </header>
+        <section className={styles.Books}>
+          {data.books.length > 0
+            ? data.books.map((book) => <BookItem size={2} book={book} key={book.id} />)
+            : <h2>Aucun livre pour le moment</h2>}
+        </section>
+        <Pagination page={page} totalPages={data.totalPages} onChange={onPageChange} />
+      </div>
+    </div>
+  );
+}
+
+EntityBooks.propTypes = {
+  kind: PropTypes.oneOf(['author', 'genre']).isRequired,
+};
+
+export default EntityBooks;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { API_ROUTES, APP_ROUTES } from '../../utils/constants';
+import { ReactComponent as Logo } from '../../images/Logo.svg';
+import styles from '../SignIn/SignIn.module.css';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [notification, setNotification] = useState({ error: false, message: '' });
+
+  const sendLink = async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios({
+        method: 'POST',
+        url: API_ROUTES.FORGOT_PASSWORD,
+        data: { email },
+      });
+      setNotification({ error: false, message: response.data.message });
+    } catch (err) {
+      setNotification({ error: true, message: err.response?.data?.error ?? err.message });
+      console.log('Some error occured during password reset request: ', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const errorClass = notification.error ? styles.Error : null;
+  return (
+    <div className={`${styles.SignIn} container`}>
+      <Logo />
+      <div className={`${styles.Notification} ${errorClass}`}>
+        {notification.message.length > 0 && <p>{notification.message}</p>}
+      </div>
+      <div className={styles.Form}>
+        <h1>Mot de passe oublié</h1>
+        <p>
+          Indiquez votre adresse email, nous vous enverrons un lien
+          pour choisir un nouveau mot de passe.
+        </p>
+        <label htmlFor="email">
+          <p>Adresse email</p>
+          <input
+            type="text"
+            name="email"
+            id="email"
+            value={email}
+            onChange={(e) => { setEmail(e.target.value); }}
+          />
+        </label>
+        <div className={styles.Submit}>
+          <button type="submit" onClick={sendLink} disabled={isLoading}>
+            <span>Envoyer le lien</span>
+          </button>
+        </div>
+        <Link to={APP_ROUTES.SIGN_IN}>Retour à la connexion</Link>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
@@ -1,26 +1,56 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import BookItem from '../../components/Books/BookItem/BookItem';
+import BookFilters from '../../components/Books/BookFilters/BookFilters';
+import Pagination from '../../components/Pagination/Pagination';
 import Banner from '../../images/home_banner.jpg';
 import styles from './Home.module.css';
 import { getBooks } from '../../lib/common';
+import { useDebounce } from '../../lib/customHooks';
+
+const BOOKS_PER_PAGE = 12;
 
 function Home() {
+  const [searchParams] = useSearchParams();
   const [books, setBooks] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [filters, setFilters] = useState({
+    sort: 'recent', genre: '', author: '', tag: searchParams.get('tag') ?? '', yearMin: '', yearMax: '', minRating: '',
+  });
   const [loading, setLoading] = useState(true);
+  const debouncedFilters = useDebounce(filters);
   // eslint-disable-next-line max-len
-  const displayBooks = () => (books ? books.map((book) => <BookItem size={2} book={book} key={book.id} />) : <h1>Vide</h1>);
+  const displayBooks = () => (books?.length ? books.map((book) => <BookItem size={2} book={book} key={book.id} />) : <h1>Vide</h1>);
+
+  // Tag links (/?tag=...) set the tag filter
+  useEffect(() => {
+    setFilters((oldValue) => ({ ...oldValue, tag: searchParams.get('tag') ?? '' }));
+    setPage(1);
+  }, [searchParams]);
 
   useEffect(() => {
     async function getBooksList() {
-      const data = await getBooks();
+      const data = await getBooks({ ...debouncedFilters, page, limit: BOOKS_PER_PAGE });
       if (data) {
-        setBooks(data);
+        setBooks(data.books);
+        setTotalPages(data.totalPages);
         setLoading(false);
       }
     }
     getBooksList();
-  }, []);
+  }, [debouncedFilters, page]);
+
+  const onFiltersChange = (newFilters) => {
+    setFilters(newFilters);
+    setPage(1);
+  };
+
+  const onPageChange = (newPage) => {
+    setPage(newPage);
+    window.scrollTo(0, 0);
+  };
+
   const backgroundImageStyle = { backgroundImage: `url(${Banner})` };
   return (
     <div className={styles.Home}>
@@ -31,9 +61,11 @@ function Home() {
           <p>à lire et à relire</p>
           <Link to="/Ajouter" className="button">+ Ajouter un livre</Link>
         </header>
+        <BookFilters filters={filters} onChange={onFiltersChange} />
         <section className={styles.bookList}>
           {loading ? <h1>Chargement</h1> : displayBooks()}
         </section>
+        <Pagination page={page} totalPages={totalPages} onChange={onPageChange} />
       </main>
 
     </div>
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import BackArrow from '../../components/BackArrow/BackArrow';
+import BookItem from '../../components/Books/BookItem/BookItem';
+import Pagination from '../../components/Pagination/Pagination';
+import { STATUS_LABELS } from '../../components/Books/BookShelf/BookShelf';
+import {
+  getShelves, getShelfEntries, createShelf, renameShelf, deleteShelf,
+} from '../../lib/common';
+import { useUser } from '../../lib/customHooks';
+import { APP_ROUTES } from '../../utils/constants';
+import styles from './Library.module.css';
+
+const ENTRIES_PER_PAGE = 12;
+
+function Library() {
+  const navigate = useNavigate();
+  const { connectedUser, userLoading } = useUser();
+  const [shelves, setShelves] = useState([]);
+  const [selected, setSelected] = useState('reading');
+  const [entries, setEntries] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [newShelfName, setNewShelfName] = useState('');
+
+  useEffect(() => {
+    if (!userLoading && !connectedUser) {
+      navigate(APP_ROUTES.SIGN_IN);
+    }
+  }, [userLoading]);
+
+  const loadShelves = async () => {
+    setShelves(await getShelves());
+  };
+
+  useEffect(() => {
+    if (connectedUser) {
+      loadShelves();
+    }
+  }, [connectedUser]);
+
+  useEffect(() => {
+    async function getEntries() {
+      const data = await getShelfEntries(selected, page, ENTRIES_PER_PAGE);
+      setEntries(data.entries);
+      setTotalPages(data.totalPages);
+    }
+    if (connectedUser) {
+      getEntries();
+    }
+  }, [connectedUser, selected, page]);
+
+  const selectShelf = (key) => {
+    setSelected(key);
+    setPage(1);
+  };
+
+  const onCreate = async (e) => {
+    e.preventDefault();
+    const shelf = await createShelf(newShelfName);
+    if (shelf.error) {
+      alert(shelf.message);
+      return;
+    }
+    setNewShelfName('');
+    await loadShelves();
+    // eslint-disable-next-line no-underscore-dangle
+    selectShelf(shelf._id);
+  };
+
+  const selectedShelf = shelves.find((shelf) => shelf.key === selected);
+
+  const onRename = async () => {
+    const name = prompt('Nouveau nom de l\'étagère', selectedShelf.name);
+    if (name) {
+      const shelf = await renameShelf(selected, name);
+      if (shelf.error) {
+        alert(shelf.message);
+      }
+      loadShelves();
+    }
+  };
+
+  const onDelete = async () => {
+    // eslint-disable-next-line no-restricted-globals
+    if (confirm(`Supprimer l'étagère « ${selectedShelf.name} » ? Les livres restent dans vos autres étagères.`)) {
+      await deleteShelf(selected);
+      await loadShelves();
+      selectShelf('reading');
+    }
+  };
+
+  return (
+    <div className="content-container">
+      <BackArrow />
+      <div className={styles.Library}>
+        <h1>Ma bibliothèque</h1>
+        <nav className={styles.Shelves} aria-label="Étagères">
+          <ul>
+            {shelves.map((shelf) => (
+              <li key={shelf.key}>
+                <button
+                  type="button"
+                  className={shelf.key === selected ? styles.Active : undefined}
+                  aria-current={shelf.key === selected ? 'page' : undefined}
+                  onClick={() => selectShelf(shelf.key)}
+                >
+                  {`${shelf.name} (${shelf.count})`}
+                </button>
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={onCreate}>
+            <input
+              type="text"
+              placeholder="Nouvelle étagère"
+              maxLength={50}
+              value={newShelfName}
+              onChange={(e) => setNewShelfName(e.target.value)}
+            />
+            <button type="submit" disabled={!newShelfName.trim()}>Créer</button>
+          </form>
+        </nav>
+        {selectedShelf && !selectedShelf.builtIn ? (
+          <p className={styles.ShelfActions}>
+            <button type="button" onClick={onRename}>Renommer</button>
+            <button type="button" onClick={onDelete}>Supprimer l&apos;étagère</button>
+          </p>
+        ) : null}
+        <section className={styles.Entries}>
+          {entries && entries.length === 0 ? <p>Aucun livre sur cette étagère</p> : null}
+          {entries?.map((entry) => (
+            <div key={entry.bookId} className={styles.Entry}>
+              <BookItem book={entry.book} size={3} />
+              <p>
+                {STATUS_LABELS[entry.status]}
+                {entry.status === 'reading' ? ` - ${entry.progress} %` : null}
+                {entry.finishedAt ? ` - le ${new Date(entry.finishedAt).toLocaleDateString('fr-FR')}` : null}
+              </p>
+            </div>
+          ))}
+        </section>
+        <Pagination page={page} totalPages={totalPages} onChange={setPage} />
+      </div>
+    </div>
+  );
+}
+
+export default Library;
@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import BackArrow from '../../components/BackArrow/BackArrow';
+import BookItem from '../../components/Books/BookItem/BookItem';
+import { VISIBILITY_LABELS } from '../MyLists/MyLists';
+import { getList, updateList, removeBookFromList } from '../../lib/common';
+import { useUser } from '../../lib/customHooks';
+import styles from './List.module.css';
+
+function List() {
+  const params = useParams();
+  const { connectedUser } = useUser();
+  const [list, setList] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ name: '', description: '', visibility: 'private' });
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    async function getItem() {
+      setLoading(true);
+      setList(await getList(params.id));
+      setLoading(false);
+    }
+    getItem();
+  }, [params.id, connectedUser]);
+
+  const isOwner = list && list.userId === connectedUser?.userId;
+
+  const save = async (changes) => {
+    const updated = await updateList(params.id, changes);
+    if (updated.error) {
+      alert(updated.message);
+      return false;
+    }
+    setList(updated);
+    return true;
+  };
+
+  const startEditing = () => {
+    setForm({ name: list.name, description: list.description, visibility: list.visibility });
+    setEditing(true);
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (await save(form)) {
+      setEditing(false);
+    }
+  };
+
+  // Moves a book one position up (-1) or down (+1)
+  const move = (index, direction) => {
+    const bookIds = list.books.map((item) => item.bookId);
+    [bookIds[index], bookIds[index + direction]] = [bookIds[index + direction], bookIds[index]];
+    save({ bookIds });
+  };
+
+  const onRemove = async (bookId) => {
+    if (await removeBookFromList(params.id, bookId)) {
+      setList((oldValue) => ({
+        ...oldValue,
+        books: oldValue.books.filter((item) => item.bookId !== bookId),
+      }));
+    }
+  };
+
+  const onCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setMessage('Lien copié');
+    } catch (err) {
+      setMessage(window.location.href);
+    }
+  };
+
+  const editForm = (
+    <form className={styles.Edit} onSubmit={onSubmit}>
+      <label htmlFor="editListName">
+        <span>Nom de la liste</span>
+        <input
+          type="text"
+          id="editListName"
+          maxLength={100}
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+      </label>
+      <label htmlFor="editListDescription">
+        <span>Description</span>
+        <textarea
+          id="editListDescription"
+          maxLength={1000}
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+        />
+      </label>
+      <label htmlFor="editListVisibility">
+        <span>Visibilité</span>
+        <select
+          id="editListVisibility"
+          value={form.visibility}
+          onChange={(e) => setForm({ ...form, visibility: e.target.value })}
+        >
+          <option value="private">Privée : visible par moi seulement</option>
+          <option value="public">Publique : visible par tous, lien partageable</option>
+        </select>
+      </label>
+      <div className={styles.Actions}>
+        <button type="submit" disabled={!form.name.trim()}>Enregistrer</button>
+        <button type="button" onClick={() => setEditing(false)}>Annuler</button>
+      </div>
+    </form>
+  );
+
+  const listContent = list ? (
+    <div className={styles.List}>
+      <h1>{list.name}</h1>
+      <p className={styles.Owner}>
+        {'Liste de '}
+        <Link to={`/profil/${list.owner.userId}`}>{list.owner.displayName ?? 'un lecteur'}</Link>
+        {` - ${VISIBILITY_LABELS[list.visibility]}`}
+      </p>
+      {list.description ? <p className={styles.Description}>{list.description}</p> : null}
+      <div className={styles.Actions}>
+        {list.visibility === 'public' ? <button type="button" onClick={onCopyLink}>Copier le lien</button> : null}
+        {isOwner && !editing ? <button type="button" onClick={startEditing}>Modifier</button> : null}
+      </div>
+      {message ? <p className={styles.Message}>{message}</p> : null}
+      {editing ? editForm : null}
+      <section className={styles.Books}>
+        {list.books.length === 0 ? (
+          <p>Cette liste est vide. Ajoutez des livres depuis leur page.</p>
+        ) : null}
+        <ol>
+          {list.books.map((item, index) => (
+            <li key={item.bookId}>
+              <BookItem book={item.book} size={3} />
+              {isOwner ? (
+                <div className={styles.Actions}>
+                  <button type="button" aria-label="Monter" disabled={index === 0} onClick={() => move(index, -1)}>↑</button>
+                  <button type="button" aria-label="Descendre" disabled={index === list.books.length - 1} onClick={() => move(index, 1)}>↓</button>
+                  <button type="button" onClick={() => onRemove(item.bookId)}>Retirer</button>
+                </div>
+              ) : null}
+            </li>
+          ))}
+        </ol>
+      </section>
+    </div>
+  ) : null;
+
+  return (
+    <div className="content-container">
+      <BackArrow />
+      {loading ? <h1>Chargement ...</h1> : null}
+      {!loading && !list ? <h1>Liste introuvable</h1> : null}
+      {!loading ? listContent : null}
+    </div>
+  );
+}
+
+export default List;
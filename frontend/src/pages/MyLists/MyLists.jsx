@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import BackArrow from '../../components/BackArrow/BackArrow';
+import Pagination from '../../components/Pagination/Pagination';
+import { getLists, createList, deleteList } from '../../lib/common';
+import { useUser } from '../../lib/customHooks';
+import { APP_ROUTES } from '../../utils/constants';
+import styles from './MyLists.module.css';
+
+const LISTS_PER_PAGE = 10;
+
+export const VISIBILITY_LABELS = {
+  public: 'Publique',
+  private: 'Privée',
+};
+
+function MyLists() {
+  const navigate = useNavigate();
+  const { connectedUser, userLoading } = useUser();
+  const [lists, setLists] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [visibility, setVisibility] = useState('private');
+
+  useEffect(() => {
+    if (!userLoading && !connectedUser) {
+      navigate(APP_ROUTES.SIGN_IN);
+    }
+  }, [userLoading]);
+
+  const loadLists = async () => {
+    const data = await getLists({ userId: connectedUser.userId, page, limit: LISTS_PER_PAGE });
+    setLists(data.lists);
+    setTotalPages(data.totalPages);
+  };
+
+  useEffect(() => {
+    if (connectedUser) {
+      loadLists();
+    }
+  }, [connectedUser, page]);
+
+  const onCreate = async (e) => {
+    e.preventDefault();
+    const list = await createList({ name, description, visibility });
+    if (list.error) {
+      alert(list.message);
+      return;
+    }
+    // eslint-disable-next-line no-underscore-dangle
+    navigate(`/liste/${list._id}`);
+  };
+
+  const onDelete = async (list) => {
+    // eslint-disable-next-line no-restricted-globals
+    if (confirm(`Supprimer la liste « ${list.name} » ? Les livres ne sont pas supprimés.`)) {
+      // eslint-disable-next-line no-underscore-dangle
+      await deleteList(list._id);
+      loadLists();
+    }
+  };
+
+  return (
+    <div className="content-container">
+      <BackArrow />
+      <div className={styles.MyLists}>
+        <h1>Mes listes</h1>
+        <form className={styles.Create} onSubmit={onCreate}>
+          <label htmlFor="listName">
+            <span>Nom de la liste</span>
+            <input
+              type="text"
+              id="listName"
+              maxLength={100}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </label>
+          <label htmlFor="listDescription">
+            <span>Description (facultative)</span>
+            <textarea
+              id="listDescription"
+              maxLength={1000}
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+          </label>
+          <label htmlFor="listVisibility">
+            <span>Visibilité</span>
+            <select id="listVisibility" value={visibility} onChange={(e) => setVisibility(e.target.value)}>
+              <option value="private">Privée : visible par moi seulement</option>
+              <option value="public">Publique : visible par tous, lien partageable</option>
+            </select>
+          </label>
+          <button type="submit" disabled={!name.trim()}>Créer la liste</button>
+        </form>
+        <section className={styles.Lists}>
+          {lists && lists.length === 0 ? <p>Vous n&apos;avez pas encore de liste</p> : null}
+          <ul>
+            {lists?.map((list) => (
+              // eslint-disable-next-line no-underscore-dangle
+              <li key={list._id}>
+                <div>
+                  {/* eslint-disable-next-line no-underscore-dangle */}
+                  <Link to={`/liste/${list._id}`}>{list.name}</Link>
+                  <p>{`${VISIBILITY_LABELS[list.visibility]} - ${list.booksCount} livre${list.booksCount > 1 ? 's' : ''}`}</p>
+                </div>
+                <button type="button" onClick={() => onDelete(list)}>Supprimer</button>
+              </li>
+            ))}
+          </ul>
+        </section>
+        <Pagination page={page} totalPages={totalPages} onChange={setPage} />
+      </div>
+    </div>
+  );
+}
+
+export default MyLists;
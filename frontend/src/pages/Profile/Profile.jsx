@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import BackArrow from '../../components/BackArrow/BackArrow';
+import BookItem from '../../components/Books/BookItem/BookItem';
+import Pagination from '../../components/Pagination/Pagination';
+import { getUserProfile } from '../../lib/common';
+import { displayStars } from '../../lib/functions';
+import { useUser } from '../../lib/customHooks';
+import { APP_ROUTES } from '../../utils/constants';
+import styles from './Profile.module.css';
+
+// Published books and given ratings are paginated together
+const ITEMS_PER_PAGE = 12;
+
+function Profile() {
+  const params = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const page = parseInt(searchParams.get('page') ?? '1', 10);
+  const { connectedUser } = useUser();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function getProfile() {
+      setLoading(true);
+      const data = await getUserProfile(params.id, page, ITEMS_PER_PAGE);
+      setProfile(data);
+      setLoading(false);
+    }
+    getProfile();
+  }, [params.id, page]);
+
+  const onPageChange = (newPage) => {
+    setSearchParams({ page: newPage });
+    window.scrollTo(0, 0);
+  };
+
+  if (loading) {
+    return (<div className="content-container"><h1>Chargement ...</h1></div>);
+  }
+  if (!profile) {
+    return (
+      <div className="content-container">
+        <BackArrow />
+        <h1>Utilisateur introuvable</h1>
+      </div>
+    );
+  }
+
+  return (
+    <div className="content-container">
+      <BackArrow />
+      <div className={styles.Profile}>
+        <header>
+          {profile.avatarUrl ? <img src={profile.avatarUrl} alt={`Avatar de ${profile.displayName}`} /> : null}
+          <div>
+            <h1>{profile.displayName}</h1>
+            {profile.bio ? <p>{profile.bio}</p> : null}
+            {/* eslint-disable-next-line no-underscore-dangle */}
+            {connectedUser?.userId === profile._id ? (
+              <Link to={APP_ROUTES.EDIT_PROFILE}>Modifier mon profil</Link>
+            ) : null}
+          </div>
+        </header>
+        <section>
+          <h2>{`Livres publiés (${profile.booksCount})`}</h2>
+          <div className={styles.Books}>
+            {profile.books.length > 0
+              ? profile.books.map((book) => <BookItem key={`book-${book.id}`} book={book} size={3} />)
+              : <p>{profile.booksCount > 0 ? 'Aucun autre livre publié' : 'Aucun livre publié'}</p>}
+          </div>
+        </section>
+        <section>
+          <h2>{`Notes données (${profile.ratingsCount})`}</h2>
+          {profile.ratings.length > 0 ? (
+            <ul className={styles.Ratings}>
+              {profile.ratings.map((rating) => (
+                // eslint-disable-next-line no-underscore-dangle
+                <li key={`rating-${rating.book._id}`}>
+                  {/* eslint-disable-next-line no-underscore-dangle */}
+                  <Link to={`/livre/${rating.book._id}`}>
+                    <strong>{rating.book.title}</strong>
+                    {` par ${rating.book.author}`}
+                  </Link>
+                  <div>{displayStars(rating.grade)}</div>
+                  {rating.review?.body ? <p>{rating.review.body}</p> : null}
+                </li>
+              ))}
+            </ul>
+          ) : <p>{profile.ratingsCount > 0 ? 'Aucune autre note donnée' : 'Aucune note donnée'}</p>}
+        </section>
+        <Pagination page={page} totalPages={profile.totalPages} onChange={onPageChange} />
+      </div>
+    </div>
+  );
+}
+
+export default Profile;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Link, useSearchParams } from 'react-router-dom';
+import { API_ROUTES, APP_ROUTES } from '../../utils/constants';
+import { ReactComponent as Logo } from '../../images/Logo.svg';
+import styles from '../SignIn/SignIn.module.css';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') ?? '';
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [done, setDone] = useState(false);
+  const [notification, setNotification] = useState({ error: false, message: '' });
+
+  const resetPassword = async () => {
+    if (password !== confirmation) {
+      setNotification({ error: true, message: 'Les mots de passe ne correspondent pas' });
+      return;
+    }
+    try {
+      setIsLoading(true);
+      const response = await axios({
+        method: 'POST',
+        url: API_ROUTES.RESET_PASSWORD,
+        data: { token, password },
+      });
+      setNotification({ error: false, message: response.data.message });
+      setDone(true);
+    } catch (err) {
+      setNotification({ error: true, message: err.response?.data?.error ?? err.message });
+      console.log('Some error occured during password reset: ', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const errorClass = notification.error ? styles.Error : null;
+  return (
+    <div className={`${styles.SignIn} container`}>
+      <Logo />
+      <div className={`${styles.Notification} ${errorClass}`}>
+        {notification.message.length > 0 && <p>{notification.message}</p>}
+      </div>
+      <div className={styles.Form}>
+        <h1>Nouveau mot de passe</h1>
+        {!done ? (
+          <>
+            <label htmlFor="password">
+              <p>Nouveau mot de passe (8 caractères minimum)</p>
+              <input
+                type="password"
+                name="password"
+                id="password"
+                value={password}
+                onChange={(e) => { setPassword(e.target.value); }}
+              />
+            </label>
+            <label htmlFor="confirmation">
+              <p>Confirmez le mot de passe</p>
+              <input
+                type="password"
+                name="confirmation"
+                id="confirmation"
+                value={confirmation}
+                onChange={(e) => { setConfirmation(e.target.value); }}
+              />
+            </label>
+            <div className={styles.Submit}>
+              <button type="submit" onClick={resetPassword} disabled={isLoading || !token}>
+                <span>Valider</span>
+              </button>
+            </div>
+          </>
+        ) : null}
+        <Link to={APP_ROUTES.SIGN_IN}>Retour à la connexion</Link>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import BookItem from '../../components/Books/BookItem/BookItem';
+import BackArrow from '../../components/BackArrow/BackArrow';
+import Pagination from '../../components/Pagination/Pagination';
+import { searchBooks } from '../../lib/common';
+import styles from './Search.module.css';
+
+const BOOKS_PER_PAGE = 12;
+
+function Search() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') ?? '';
+  const page = parseInt(searchParams.get('page') ?? '1', 10);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    async function getResults() {
+      if (!query) {
+        setResults({ books: [], total: 0, totalPages: 0 });
+        return;
+      }
+      setResults(null);
+      const data = await searchBooks(query, { page, limit: BOOKS_PER_PAGE });
+      setResults(data);
+    }
+    getResults();
+  }, [query, page]);
+
+  const onPageChange = (newPage) => {
+    setSearchParams({ q: query, page: newPage });
+    window.scrollTo(0, 0);
+  };
+
+  const resultsContent = results?.books.length > 0
+    ? results.books.map((book) => <BookItem size={2} book={book} key={book.id} />)
+    : <h2>Aucun livre ne correspond à votre recherche</h2>;
+
+  return (
+    <div className="content-container">
+      <BackArrow />
+      <div className={styles.Search}>
+        <header>
+          <h1>{`Résultats pour « ${query} »`}</h1>
+          {results ? <p>{`${results.total} livre(s) trouvé(s)`}</p> : null}
+        </header>
+        <section className={styles.Results}>
+          {!results ? <h2>Chargement</h2> : resultsContent}
+        </section>
+        {results ? (
+          <Pagination page={page} totalPages={results.totalPages} onChange={onPageChange} />
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+export default Search;
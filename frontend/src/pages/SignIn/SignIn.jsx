@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import axios from 'axios';
 import * as PropTypes from 'prop-types';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { API_ROUTES, APP_ROUTES } from '../../utils/constants';
 import { useUser } from '../../lib/customHooks';
 import { storeInLocalStorage } from '../../lib/common';
@@ -34,7 +34,12 @@ function SignIn({ setUser }) {
         setNotification({ error: true, message: 'Une erreur est survenue' });
         console.log('Something went wrong during signing in: ', response);
       } else {
-        storeInLocalStorage(response.data.token, response.data.userId);
+        storeInLocalStorage(
+          response.data.token,
+          response.data.userId,
+          response.data.refreshToken,
+          response.data.role,
+        );
         setUser(response.data);
         navigate('/');
       }
@@ -62,7 +67,7 @@ function SignIn({ setUser }) {
         console.log('Something went wrong during signing up: ', response);
         return;
       }
-      setNotification({ error: false, message: 'Votre compte a bien été créé, vous pouvez vous connecter' });
+      setNotification({ error: false, message: 'Votre compte a bien été créé, confirmez votre adresse avec le lien reçu par email puis connectez-vous' });
     } catch (err) {
       setNotification({ error: true, message: err.message });
       console.log('Some error occured during signing up: ', err);
@@ -132,7 +137,9 @@ function SignIn({ setUser }) {
             </span>
           </button>
         </div>
-
+        <Link to={APP_ROUTES.FORGOT_PASSWORD} className={styles.ForgotPassword}>
+          Mot de passe oublié ?
+        </Link>
       </div>
     </div>
   );
@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import BackArrow from '../../components/BackArrow/BackArrow';
+import BookCover from '../../components/Books/BookCover/BookCover';
+import Pagination from '../../components/Pagination/Pagination';
+import { getTrash, restoreBook } from '../../lib/common';
+import { useUser } from '../../lib/customHooks';
+import { APP_ROUTES } from '../../utils/constants';
+import styles from './Trash.module.css';
+
+const BOOKS_PER_PAGE = 12;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('fr-FR');
+
+function Trash() {
+  const navigate = useNavigate();
+  const { connectedUser, userLoading } = useUser();
+  const [books, setBooks] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!userLoading && !connectedUser) {
+      navigate(APP_ROUTES.SIGN_IN);
+    }
+  }, [userLoading]);
+
+  const loadTrash = async () => {
+    const data = await getTrash(page, BOOKS_PER_PAGE);
+    setBooks(data.books);
+    setTotalPages(data.totalPages);
+  };
+
+  useEffect(() => {
+    if (connectedUser) {
+      loadTrash();
+    }
+  }, [connectedUser, page]);
+
+  const onRestore = async (book) => {
+    const restored = await restoreBook(book.id);
+    if (restored.error) {
+      setMessage(restored.message);
+      return;
+    }
+    setMessage(`« ${book.title} » a été restauré`);
+    loadTrash();
+  };
+
+  return (
+    <div className="content-container">
+      <BackArrow />
+      <div className={styles.Trash}>
+        <h1>Corbeille</h1>
+        <p className={styles.Intro}>
+          Les livres supprimés restent ici jusqu&apos;à leur suppression définitive,
+          à la date indiquée. Vous pouvez les restaurer d&apos;ici là.
+        </p>
+        {message ? <p className={styles.Message}>{message}</p> : null}
+        {books && books.length === 0 ? <p>La corbeille est vide</p> : null}
+        <ul>
+          {books?.map((book) => (
+            <li key={book.id}>
+              <BookCover
+                images={book.images}
+                imageUrl={book.imageUrl}
+                size="thumbnail"
+                alt={`${book.title}, ${book.author} - ${book.year}`}
+              />
+              <div>
+                <h2>{book.title}</h2>
+                <p>{`${book.author} - ${book.year}`}</p>
+                <p>{`Supprimé le ${formatDate(book.deletedAt)}, suppression définitive le ${formatDate(book.purgeAt)}`}</p>
+                {book.restorable ? (
+                  <button type="button" onClick={() => onRestore(book)}>Restaurer</button>
+                ) : (
+                  <p className={styles.Moderated}>Retiré par la modération</p>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+        <Pagination page={page} totalPages={totalPages} onChange={setPage} />
+      </div>
+    </div>
+  );
+}
+
+export default Trash;
@@ -0,0 +1,41 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link, useParams } from 'react-router-dom';
+import { API_ROUTES, APP_ROUTES } from '../../utils/constants';
+import { ReactComponent as Logo } from '../../images/Logo.svg';
+import styles from '../SignIn/SignIn.module.css';
+
+function VerifyEmail() {
+  const params = useParams();
+  const [notification, setNotification] = useState({ error: false, message: 'Vérification en cours...' });
+
+  useEffect(() => {
+    async function verify() {
+      try {
+        const response = await axios({
+          method: 'GET',
+          url: `${API_ROUTES.VERIFY_EMAIL}/${params.token}`,
+        });
+        setNotification({ error: false, message: response.data.message });
+      } catch (err) {
+        setNotification({ error: true, message: err.response?.data?.error ?? err.message });
+      }
+    }
+    verify();
+  }, [params.token]);
+
+  const errorClass = notification.error ? styles.Error : null;
+  return (
+    <div className={`${styles.SignIn} container`}>
+      <Logo />
+      <div className={`${styles.Notification} ${errorClass}`}>
+        <p>{notification.message}</p>
+      </div>
+      <div className={styles.Form}>
+        <Link to={APP_ROUTES.SIGN_IN}>Aller à la connexion</Link>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
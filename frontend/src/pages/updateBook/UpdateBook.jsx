@@ -3,7 +3,7 @@ import { Link, useNavigate, useParams } from 'react-router-dom';
 import styles from './UpdateBook.module.css';
 import BookForm from '../../components/Books/BookForm/BookForm';
 import BackArrow from '../../components/BackArrow/BackArrow';
-import { getBook } from '../../lib/common';
+import { getBook, updateBook } from '../../lib/common';
 import { APP_ROUTES } from '../../utils/constants';
 import { useUser } from '../../lib/customHooks';
 import bookAdd from '../../images/book_add.jpg';
@@ -14,6 +14,8 @@ function UpdateBook() {
   const navigate = useNavigate();
   const { connectedUser, auth, userLoading } = useUser();
   const [created, setCreated] = useState(false);
+  // Edit refused because the book was modified elsewhere: { data, etag }
+  const [conflict, setConflict] = useState(null);
   useEffect(() => {
     if (!userLoading) {
       if (!connectedUser || !auth) {
@@ -21,16 +23,37 @@ function UpdateBook() {
       }
     }
   }, [userLoading]);
-  useEffect(() => {
-    async function getItem() {
-      const data = await getBook(params.id);
-      if (data) {
-        setBook(data);
-      }
+  async function getItem() {
+    const data = await getBook(params.id);
+    if (data) {
+      setBook(data);
     }
+  }
+  useEffect(() => {
     getItem();
   }, []);
 
+  const onConflict = (data, etag) => setConflict({ data, etag });
+
+  // Discard the local changes and edit the latest version
+  const onReload = async () => {
+    setConflict(null);
+    await getItem();
+  };
+
+  // Save the local changes over the latest version
+  const onOverwrite = async () => {
+    const updatedBook = await updateBook(conflict.data, params.id, conflict.etag);
+    if (!updatedBook.error) {
+      navigate('/');
+    } else if (updatedBook.conflict) {
+      setConflict({ ...conflict, etag: updatedBook.etag });
+    } else {
+      setConflict(null);
+      alert(updatedBook.message);
+    }
+  };
+
   return (
     <div className="content-container">
       <BackArrow />
@@ -39,7 +62,7 @@ function UpdateBook() {
           <>
             <h1>Modifier votre livre</h1>
             <p>Vous pouvez modifier tous les champs sauf la note donnée</p>
-            <BookForm book={book} validate={setCreated} />
+            <BookForm book={book} validate={setCreated} onConflict={onConflict} />
           </>
         ) : (
           <div className={styles.Created}>
@@ -50,6 +73,28 @@ function UpdateBook() {
           </div>
         )}
       </div>
+      {conflict ? (
+        <div className={styles.Overlay}>
+          <div
+            className={styles.Conflict}
+            role="alertdialog"
+            aria-modal="true"
+            aria-labelledby="conflict-title"
+            aria-describedby="conflict-description"
+          >
+            <h2 id="conflict-title">Ce livre a été modifié entre-temps</h2>
+            <p id="conflict-description">
+              Quelqu&apos;un a enregistré une autre version de ce livre depuis que vous avez ouvert
+              ce formulaire. Vous pouvez recharger la dernière version (vos modifications seront
+              perdues) ou l&apos;écraser avec vos modifications.
+            </p>
+            <div className={styles.ConflictActions}>
+              <button type="button" onClick={onReload}>Recharger</button>
+              <button type="button" onClick={onOverwrite}>Écraser avec mes modifications</button>
+            </div>
+          </div>
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -2,14 +2,42 @@ const API_URL = 'http://localhost:4000';
 export const API_ROUTES = {
   SIGN_UP: `${API_URL}/api/auth/signup`,
   SIGN_IN: `${API_URL}/api/auth/login`,
+  REFRESH: `${API_URL}/api/auth/refresh`,
+  LOGOUT: `${API_URL}/api/auth/logout`,
+  FORGOT_PASSWORD: `${API_URL}/api/auth/forgot-password`,
+  RESET_PASSWORD: `${API_URL}/api/auth/reset-password`,
+  VERIFY_EMAIL: `${API_URL}/api/auth/verify`,
   BOOKS: `${API_URL}/api/books`,
+  SEARCH: `${API_URL}/api/books/search`,
+  BOOK_LOOKUP: `${API_URL}/api/books/lookup`,
+  BOOK_LOOKUP_COVER: `${API_URL}/api/books/lookup/cover`,
   BEST_RATED: `${API_URL}/api/books/bestrating`,
+  RECOMMENDATIONS: `${API_URL}/api/books/recommendations`,
+  AUTHORS: `${API_URL}/api/authors`,
+  GENRES: `${API_URL}/api/genres`,
+  USERS: `${API_URL}/api/users`,
+  ME: `${API_URL}/api/users/me`,
+  SHELVES: `${API_URL}/api/users/me/shelves`,
+  LISTS: `${API_URL}/api/lists`,
 };
 
 export const APP_ROUTES = {
   SIGN_UP: '/Inscription',
   SIGN_IN: '/Connexion',
+  FORGOT_PASSWORD: '/mot-de-passe-oublie',
+  RESET_PASSWORD: '/reinitialiser-mot-de-passe',
+  VERIFY_EMAIL: '/verification/:token',
   ADD_BOOK: '/Ajouter',
   BOOK: '/livre/:id',
+  BOOK_HISTORY: '/livre/:id/historique',
   UPDATE_BOOK: 'livre/modifier/:id',
+  SEARCH: '/recherche',
+  PROFILE: '/profil/:id',
+  EDIT_PROFILE: '/profil',
+  LIBRARY: '/ma-bibliotheque',
+  AUTHOR: '/auteur/:slug',
+  GENRE: '/genre/:slug',
+  MY_LISTS: '/mes-listes',
+  LIST: '/liste/:id',
+  TRASH: '/corbeille',
 };